@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+import { createHash } from "crypto";
+import { readFileSync, writeFileSync, readdirSync, statSync } from "fs";
+import { join, relative, resolve, sep, matchesGlob } from "path";
+import { parseArgs } from "util";
+
+const USAGE = `Usage: swimple precache <dir> [options]
+
+Generate a precache manifest (for handleRequest.precache) from the files in a build directory.
+
+Options:
+  --include <glob>  Files to include, relative to <dir> (repeatable, default: "**/*")
+  --exclude <glob>  Files to exclude, relative to <dir> (repeatable)
+  --prefix <path>   URL path the directory is served from (default: "/")
+  --output <file>   File to write (default: "<dir>/precache-manifest.js").
+                    A .json file is written as JSON, anything else as a JS module
+                    with the manifest as its default export
+  -h, --help        Show this help`;
+
+// Get all files recursively
+function getAllFiles(dir, fileList = []) {
+  const files = readdirSync(dir);
+
+  files.forEach((file) => {
+    const filePath = join(dir, file);
+    const stat = statSync(filePath);
+
+    if (stat.isDirectory()) {
+      getAllFiles(filePath, fileList);
+    } else {
+      fileList.push(filePath);
+    }
+  });
+
+  return fileList;
+}
+
+// Hash a file's contents, used as its revision
+function hashFile(filePath) {
+  return createHash("sha256")
+    .update(readFileSync(filePath))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+/**
+ * Build a precache manifest from the files in a directory
+ * @param {string} dir - Build output directory
+ * @param {{ include: string[], exclude: string[], prefix: string, output: string }} options
+ * @returns {{ url: string, revision: string }[]} Entries sorted by URL
+ */
+function buildManifest(dir, { include, exclude, prefix, output }) {
+  const urlPrefix = prefix.endsWith("/") ? prefix : `${prefix}/`;
+  return getAllFiles(dir)
+    .filter((filePath) => resolve(filePath) !== resolve(output))
+    .map((filePath) => ({
+      filePath,
+      // Globs and URLs always use forward slashes
+      path: relative(dir, filePath).split(sep).join("/")
+    }))
+    .filter(
+      ({ path }) =>
+        include.some((glob) => matchesGlob(path, glob)) &&
+        !exclude.some((glob) => matchesGlob(path, glob))
+    )
+    .map(({ filePath, path }) => ({
+      // Encode each segment, so characters like `#` and `?` stay part of the file name
+      url:
+        encodeURI(urlPrefix) +
+        path.split("/").map(encodeURIComponent).join("/"),
+      revision: hashFile(filePath)
+    }))
+    .sort((a, b) => (a.url < b.url ? -1 : a.url > b.url ? 1 : 0));
+}
+
+// Serialize a manifest as JSON or as a JS module
+function formatManifest(manifest, output) {
+  const json = JSON.stringify(manifest, null, 2);
+  if (output.endsWith(".json")) {
+    return `${json}\n`;
+  }
+  return `// Generated by \`swimple precache\`, do not edit
+export default ${json};
+`;
+}
+
+// Main function
+function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      include: { type: "string", multiple: true },
+      exclude: { type: "string", multiple: true },
+      prefix: { type: "string", default: "/" },
+      output: { type: "string" },
+      help: { type: "boolean", short: "h" }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+  const [command, dir] = positionals;
+  if (command !== "precache" || !dir || positionals.length > 2) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  if (!statSync(dir, { throwIfNoEntry: false })?.isDirectory()) {
+    throw new Error(`Not a directory: ${dir}`);
+  }
+
+  const output = values.output ?? join(dir, "precache-manifest.js");
+  const manifest = buildManifest(dir, {
+    include: values.include ?? ["**/*"],
+    exclude: values.exclude ?? [],
+    prefix: values.prefix,
+    output
+  });
+  writeFileSync(output, formatManifest(manifest, output), "utf-8");
+  console.log(`✓ Wrote ${manifest.length} entries to ${output}`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error("Error:", error.message);
+  process.exit(1);
+}
@@ -0,0 +1,178 @@
+// @ts-check
+
+// This library is meant to be called from service workers, so we include
+// webworker types and exclude DOM types (which don't exist in service workers)
+/// <reference no-default-lib="true"/>
+/// <reference lib="esnext" />
+/// <reference lib="webworker" />
+/// <reference path="./typedefs.js" />
+
+// IndexedDB database used for data that doesn't fit in the Cache API
+const DB_NAME = "swimple";
+const DB_VERSION = 2;
+const OUTBOX_STORE = "outbox";
+const ENTRIES_STORE = "entries";
+
+/** @type {Promise<IDBDatabase> | null} */
+let dbPromise = null;
+
+/**
+ * Open the swimple IndexedDB database, creating or upgrading its object stores as needed.
+ * The connection is shared by all callers.
+ * @returns {Promise<IDBDatabase>}
+ * @throws {Error} If IndexedDB is not available
+ */
+export function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+          db.createObjectStore(OUTBOX_STORE, {
+            keyPath: "id",
+            autoIncrement: true
+          });
+        }
+        if (!db.objectStoreNames.contains(ENTRIES_STORE)) {
+          const entriesStore = db.createObjectStore(ENTRIES_STORE, {
+            keyPath: ["cacheName", "url"]
+          });
+          entriesStore.createIndex("cacheName", "cacheName");
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Allow retrying if opening failed
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run a callback against an object store in a new transaction, resolving with the result of the
+ * request returned by the callback once the transaction completes.
+ * @template T
+ * @param {string} storeName - Name of the object store
+ * @param {IDBTransactionMode} mode - Transaction mode
+ * @param {(store: IDBObjectStore) => IDBRequest<T>} callback - Makes a request against the store
+ * @returns {Promise<T>}
+ */
+async function withStore(storeName, mode, callback) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = callback(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Add a mutation to the outbox
+ * @param {OutboxEntry} entry - The serialized mutation
+ * @returns {Promise<number>} The id of the new outbox entry
+ */
+export async function addOutboxEntry(entry) {
+  const id = await withStore(OUTBOX_STORE, "readwrite", (store) =>
+    store.add(entry)
+  );
+  return /** @type {number} */ (id);
+}
+
+/**
+ * Get the outbox entries for a cache, oldest first
+ * @param {string} cacheName - Name of the cache the entries were queued by
+ * @returns {Promise<OutboxEntry[]>}
+ */
+export async function getOutboxEntries(cacheName) {
+  const entries = await withStore(OUTBOX_STORE, "readonly", (store) =>
+    store.getAll()
+  );
+  return entries.filter((entry) => entry.cacheName === cacheName);
+}
+
+/**
+ * Delete an entry from the outbox
+ * @param {number} id - Id of the outbox entry
+ * @returns {Promise<void>}
+ */
+export async function deleteOutboxEntry(id) {
+  await withStore(OUTBOX_STORE, "readwrite", (store) => store.delete(id));
+}
+
+/**
+ * Add or replace the metadata of a cache entry
+ * @param {EntryMetadata} metadata
+ * @returns {Promise<void>}
+ */
+export async function putEntryMetadata(metadata) {
+  await withStore(ENTRIES_STORE, "readwrite", (store) => store.put(metadata));
+}
+
+/**
+ * Get the metadata of all entries of a cache
+ * @param {string} cacheName - Name of the cache
+ * @returns {Promise<EntryMetadata[]>}
+ */
+export async function getEntriesMetadata(cacheName) {
+  return withStore(ENTRIES_STORE, "readonly", (store) =>
+    store.index("cacheName").getAll(cacheName)
+  );
+}
+
+/**
+ * Record when a cache entry was last accessed. Does nothing if the entry has no metadata.
+ * @param {string} cacheName - Name of the cache
+ * @param {string} url - Cache key URL of the entry
+ * @param {number} lastAccess - Access time (milliseconds since epoch)
+ * @returns {Promise<void>}
+ */
+export async function touchEntryMetadata(cacheName, url, lastAccess) {
+  await withStore(ENTRIES_STORE, "readwrite", (store) => {
+    const request = store.get([cacheName, url]);
+    request.onsuccess = () => {
+      if (request.result) {
+        store.put({ ...request.result, lastAccess });
+      }
+    };
+    return request;
+  });
+}
+
+/**
+ * Delete the metadata of cache entries
+ * @param {string} cacheName - Name of the cache
+ * @param {string[]} urls - Cache key URLs of the entries
+ * @returns {Promise<void>}
+ */
+export async function deleteEntriesMetadata(cacheName, urls) {
+  if (urls.length === 0) {
+    return;
+  }
+  await withStore(ENTRIES_STORE, "readwrite", (store) => {
+    const requests = urls.map((url) => store.delete([cacheName, url]));
+    return requests[requests.length - 1];
+  });
+}
+
+/**
+ * Delete the metadata of all entries of a cache
+ * @param {string} cacheName - Name of the cache
+ * @returns {Promise<void>}
+ */
+export async function deleteCacheMetadata(cacheName) {
+  const entries = await getEntriesMetadata(cacheName);
+  await deleteEntriesMetadata(
+    cacheName,
+    entries.map((entry) => entry.url)
+  );
+}
@@ -15,7 +15,7 @@
 
 /**
  * Header name for overriding the caching strategy for a specific request.
- * Values: "cache-first", "network-first", or "stale-while-revalidate"
+ * Values: "cache-first", "network-first", "stale-while-revalidate", "cache-only" or "network-only"
  */
 export const CACHE_STRATEGY_HEADER = "X-SW-Cache-Strategy";
 
@@ -31,20 +31,74 @@ export const CACHE_TTL_HEADER = "X-SW-Cache-TTL-Seconds";
  */
 export const CACHE_STALE_TTL_HEADER = "X-SW-Cache-Stale-TTL-Seconds";
 
+/**
+ * Header name for setting how long (in seconds) network-first requests wait for the network
+ * before falling back to a fresh or stale cached response. The network request keeps running
+ * and updates the cache in the background. Set to "0" to wait for the network indefinitely.
+ */
+export const CACHE_NETWORK_TIMEOUT_HEADER = "X-SW-Cache-Network-Timeout";
+
 /**
  * Header name for explicitly invalidating specific cache entries.
  * Can be set multiple times to invalidate multiple paths.
+ * Paths can be glob patterns: `*` matches within a path segment and `**` across segments.
  */
 export const CACHE_INVALIDATE_HEADER = "X-SW-Cache-Invalidate";
 
+/**
+ * Header name for invalidating all cache entries carrying a tag (see `CACHE_TAGS_HEADER`).
+ * Can be set multiple times, or hold multiple tags separated by spaces.
+ */
+export const CACHE_INVALIDATE_TAG_HEADER = "X-SW-Cache-Invalidate-Tag";
+
+/**
+ * Response header name for declaring the cache tags of a response (e.g. "user:123 org:42"),
+ * separated by spaces. The standard `Surrogate-Key` header is also supported.
+ */
+export const CACHE_TAGS_HEADER = "X-SW-Cache-Tags";
+
+/**
+ * Header name for storing a successful PUT/PATCH/POST response as the cached GET response for
+ * the resource (the request URL, or the `Location` of a `201 Created`).
+ * Set to "true" or "false" to override the `writeThrough` config option for a specific request.
+ */
+export const CACHE_WRITE_THROUGH_HEADER = "X-SW-Cache-Write-Through";
+
 /**
  * Header name for clearing the entire cache.
  * Any value works - the header's presence triggers cache clearing.
  */
 export const CACHE_CLEAR_HEADER = "X-SW-Cache-Clear";
 
+/**
+ * Header name set on the synthetic `202 Accepted` response returned when a mutation is queued in
+ * the outbox because the network is unavailable. It will be sent when the device is back online.
+ */
+export const CACHE_QUEUED_HEADER = "X-SW-Cache-Queued";
+
 /**
  * Internal header name used to store the cache timestamp in cached responses.
  * This header is set automatically by the library and should not be set manually.
  */
 export const CACHE_TIMESTAMP_HEADER = "x-sw-cache-timestamp";
+
+/**
+ * Internal header name used to store the body size (in bytes) of cached responses, so the
+ * `maxCacheBytes` budget can be enforced without reading bodies.
+ * This header is set automatically by the library and should not be set manually.
+ */
+export const CACHE_SIZE_HEADER = "x-sw-cache-size";
+
+/**
+ * Internal header name used to store a hash of the request header values named by the
+ * cached response's `Vary` header. Used to make sure a cached variant matches the request.
+ * This header is set automatically by the library and should not be set manually.
+ */
+export const CACHE_VARY_HEADER = "x-sw-cache-vary";
+
+/**
+ * Internal header name used to store the manifest revision of precached responses (see
+ * `HandleRequest.precache`). Precached responses are always fresh and are not cleaned up by age.
+ * This header is set automatically by the library and should not be set manually.
+ */
+export const CACHE_REVISION_HEADER = "x-sw-cache-revision";
@@ -9,10 +9,50 @@
 
 import {
   CACHE_TIMESTAMP_HEADER,
+  CACHE_SIZE_HEADER,
+  CACHE_REVISION_HEADER,
   CACHE_STRATEGY_HEADER,
   CACHE_TTL_HEADER,
-  CACHE_STALE_TTL_HEADER
+  CACHE_STALE_TTL_HEADER,
+  CACHE_NETWORK_TIMEOUT_HEADER,
+  CACHE_WRITE_THROUGH_HEADER,
+  CACHE_TAGS_HEADER,
+  CACHE_INVALIDATE_TAG_HEADER
 } from "./headers.js";
+import {
+  CACHE_UPDATES_CHANNEL,
+  CACHE_UPDATED_MESSAGE_TYPE
+} from "./updates.js";
+import {
+  putEntryMetadata,
+  getEntriesMetadata,
+  touchEntryMetadata,
+  deleteEntriesMetadata,
+  deleteCacheMetadata
+} from "./db.js";
+
+// Query parameters appended to cache keys to separate partitions and variants of the same URL
+const CACHE_PARTITION_PARAM = "x-sw-cache-partition";
+const CACHE_VARIANT_PARAM = "x-sw-cache-variant";
+
+// Built-in caching strategies
+/** @type {string[]} */
+const STRATEGIES = [
+  "cache-first",
+  "network-first",
+  "stale-while-revalidate",
+  "cache-only",
+  "network-only"
+];
+
+/**
+ * Format strategy names for error messages
+ * @param {string[]} strategyNames
+ * @returns {string}
+ */
+function formatStrategyNames(strategyNames) {
+  return strategyNames.map((strategy) => `'${strategy}'`).join(", ");
+}
 
 // Module-level logging state
 /** @type {LoggingLevel} */
@@ -86,12 +126,25 @@ export function getCacheTimestamp(response) {
 }
 
 /**
- * Check if response is fresh
+ * Get the manifest revision of a precached response
+ * @param {Response} response
+ * @returns {string | null} The revision (empty if the URL itself is versioned), or null if the response wasn't precached
+ */
+export function getPrecacheRevision(response) {
+  return getHeader(response.headers, CACHE_REVISION_HEADER);
+}
+
+/**
+ * Check if response is fresh. Precached responses are always fresh, they're updated by
+ * precaching a new revision.
  * @param {Response} response
  * @param {number} ttl - Time-to-live in seconds
  * @returns {boolean}
  */
 export function isFresh(response, ttl) {
+  if (getPrecacheRevision(response) !== null) {
+    return true;
+  }
   const timestamp = getCacheTimestamp(response);
   if (timestamp === null) {
     return false;
@@ -120,13 +173,15 @@ export function isStale(response, ttl, staleTTL) {
 }
 
 /**
- * Add timestamp to response
+ * Add timestamp to response.
+ * The body is read from a clone into a Blob, so the original response is not consumed and the
+ * copy does not depend on the lifetime of a temporary clone's stream.
  * @param {Response} response
- * @returns {Response}
+ * @returns {Promise<Response>}
  */
-export function addTimestamp(response) {
+export async function addTimestamp(response) {
   // Clone the response to get the body (since Response body can only be read once)
-  const clonedResponse = response.clone();
+  const body = await response.clone().blob();
 
   // Create a new Headers object initialized with the original headers
   // Use original response headers (not cloned) since we're creating a new Response anyway
@@ -135,14 +190,78 @@ export function addTimestamp(response) {
   newHeaders.set(CACHE_TIMESTAMP_HEADER, Date.now().toString());
 
   // Create a new Response with the new headers, preserving all other properties
-  // Use cloned body to avoid consuming the original response body
-  return new Response(clonedResponse.body, {
+  // A null-body status (204, 304, ...) can't carry a body, even an empty one
+  return new Response(response.body === null ? null : body, {
     status: response.status,
     statusText: response.statusText,
     headers: newHeaders
   });
 }
 
+/**
+ * Build a conditional request using the validators (ETag / Last-Modified) of a cached response.
+ * Returns null if the cached response has no validators, if the request already carries its own
+ * conditional headers, or if the request is a navigation (which can't be re-constructed).
+ * @param {Request} request
+ * @param {Response} cachedResponse
+ * @returns {Request | null}
+ */
+export function getConditionalRequest(request, cachedResponse) {
+  if (request.mode === "navigate") {
+    return null;
+  }
+  if (
+    getHeader(request.headers, "If-None-Match") !== null ||
+    getHeader(request.headers, "If-Modified-Since") !== null
+  ) {
+    return null;
+  }
+  const etag = getHeader(cachedResponse.headers, "ETag");
+  const lastModified = getHeader(cachedResponse.headers, "Last-Modified");
+  if (etag === null && lastModified === null) {
+    return null;
+  }
+
+  const conditionalHeaders = new Headers(request.headers);
+  if (etag !== null) {
+    conditionalHeaders.set("If-None-Match", etag);
+  }
+  if (lastModified !== null) {
+    conditionalHeaders.set("If-Modified-Since", lastModified);
+  }
+  return new Request(request, { headers: conditionalHeaders });
+}
+
+/**
+ * Combine a cached response with the headers of a 304 Not Modified response.
+ * The cached body and status are kept, while headers sent with the 304 (e.g. a new Cache-Control,
+ * Date or ETag) replace the stored ones, except for headers that describe the body.
+ * The returned response does not have a new timestamp, use `addTimestamp` for that.
+ * @param {Response} cachedResponse
+ * @param {Response} notModifiedResponse
+ * @returns {Response}
+ */
+export function mergeNotModifiedResponse(cachedResponse, notModifiedResponse) {
+  const newHeaders = new Headers(cachedResponse.headers);
+  const entries = /** @type {unknown} */ (notModifiedResponse.headers);
+  const iterable = /** @type {Iterable<[string, string]>} */ (entries);
+  for (const [key, value] of iterable) {
+    const lowerKey = key.toLowerCase();
+    if (
+      lowerKey !== "content-length" &&
+      lowerKey !== "content-encoding" &&
+      lowerKey !== "content-type"
+    ) {
+      newHeaders.set(key, value);
+    }
+  }
+  return new Response(cachedResponse.body, {
+    status: cachedResponse.status,
+    statusText: cachedResponse.statusText,
+    headers: newHeaders
+  });
+}
+
 /**
  * Get inferred invalidation paths
  * @param {string} url
@@ -169,22 +288,23 @@ export function getInferredInvalidationPaths(url) {
 /**
  * Get strategy from request headers or use default
  * @param {Headers} headers
- * @param {CacheStrategy} defaultStrategy
+ * @param {CacheStrategy | string} defaultStrategy
  * @param {string} url - Request URL for logging
- * @returns {CacheStrategy}
+ * @param {string[]} strategyNames - Names of the available strategies, including custom strategies
+ * @returns {CacheStrategy | string}
  */
-export function getStrategy(headers, defaultStrategy, url = "") {
+export function getStrategy(
+  headers,
+  defaultStrategy,
+  url = "",
+  strategyNames = STRATEGIES
+) {
   const strategyHeader = getHeader(headers, CACHE_STRATEGY_HEADER);
-  if (
-    strategyHeader &&
-    ["cache-first", "network-first", "stale-while-revalidate"].includes(
-      strategyHeader
-    )
-  ) {
+  if (strategyHeader && strategyNames.includes(strategyHeader)) {
     logVerbose(
       `${CACHE_STRATEGY_HEADER} header set: ${strategyHeader} (${url})`
     );
-    return /** @type {CacheStrategy} */ (strategyHeader);
+    return strategyHeader;
   }
   return defaultStrategy;
 }
@@ -231,6 +351,390 @@ export function getStaleTTL(headers, defaultStaleTTL, url = "") {
   return staleTTL;
 }
 
+/**
+ * Get the network timeout from request headers or use default
+ * @param {Headers} headers
+ * @param {number} defaultTimeout - Default network timeout in seconds (0 for no timeout)
+ * @param {string} url - Request URL for logging
+ * @returns {number | null} Network timeout in seconds, or null if there's no timeout
+ */
+export function getNetworkTimeout(headers, defaultTimeout, url = "") {
+  const timeoutHeader = getHeader(headers, CACHE_NETWORK_TIMEOUT_HEADER);
+  if (timeoutHeader === null) {
+    return defaultTimeout > 0 ? defaultTimeout : null;
+  }
+  logVerbose(
+    `${CACHE_NETWORK_TIMEOUT_HEADER} header set: ${timeoutHeader} (${url})`
+  );
+  const timeout = parseFloat(timeoutHeader);
+  if (isNaN(timeout) || timeout <= 0) {
+    return null;
+  }
+  return timeout;
+}
+
+/**
+ * Get whether a mutation's response should be written through to the cache from request headers
+ * or use default. Header values other than "false" enable write-through.
+ * @param {Headers} headers
+ * @param {boolean} defaultWriteThrough - Default from the `writeThrough` config option
+ * @param {string} url - Request URL for logging
+ * @returns {boolean}
+ */
+export function getWriteThrough(headers, defaultWriteThrough, url = "") {
+  const writeThroughHeader = getHeader(headers, CACHE_WRITE_THROUGH_HEADER);
+  if (writeThroughHeader === null) {
+    return defaultWriteThrough;
+  }
+  logVerbose(
+    `${CACHE_WRITE_THROUGH_HEADER} header set: ${writeThroughHeader} (${url})`
+  );
+  return writeThroughHeader.trim().toLowerCase() !== "false";
+}
+
+/**
+ * Get the URL a mutation's response describes, so it can be cached as that URL's GET response.
+ * A `201 Created` response's `Location` header is used if present. Otherwise PUT and PATCH
+ * responses describe the request URL, while POST responses (usually for a collection) are
+ * not written through. Only successful responses with a body on the request's origin qualify.
+ * @param {Request} request - The mutation request
+ * @param {Response} response - The mutation response
+ * @returns {string | null} Resource URL, or null if the response shouldn't be written through
+ */
+export function getWriteThroughUrl(request, response) {
+  if (
+    !response.ok ||
+    response.status === 204 ||
+    response.body === null ||
+    !["POST", "PATCH", "PUT"].includes(request.method)
+  ) {
+    return null;
+  }
+  const location =
+    response.status === 201 ? getHeader(response.headers, "Location") : null;
+  if (location === null) {
+    return request.method === "POST" ? null : request.url;
+  }
+  try {
+    const resourceUrl = new URL(location, request.url);
+    if (resourceUrl.origin !== new URL(request.url).origin) {
+      return null;
+    }
+    return resourceUrl.toString();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Wait for a promise to settle, giving up after a timeout. The promise itself is not cancelled.
+ * @template T
+ * @param {Promise<T>} promise - Promise to wait for
+ * @param {number} timeoutSeconds - Timeout in seconds
+ * @returns {Promise<T | undefined>} The promise's value, or undefined if the timeout elapsed first.
+ * Rejects if the promise rejects before the timeout.
+ */
+export function withTimeout(promise, timeoutSeconds) {
+  /** @type {ReturnType<typeof setTimeout> | undefined} */
+  let timeoutId;
+  /** @type {Promise<undefined>} */
+  const timeout = new Promise((resolve) => {
+    timeoutId = setTimeout(() => resolve(undefined), timeoutSeconds * 1000);
+  });
+  return Promise.race([promise, timeout]).finally(() =>
+    clearTimeout(timeoutId)
+  );
+}
+
+/**
+ * Parse a Cache-Control header value into a map of lowercase directive names to values.
+ * Directives without a value (e.g. `no-cache`) map to an empty string.
+ * @param {string | null} value - Cache-Control header value
+ * @returns {Record<string, string>}
+ */
+export function parseCacheControl(value) {
+  /** @type {Record<string, string>} */
+  const directives = {};
+  if (!value) {
+    return directives;
+  }
+  for (const part of value.split(",")) {
+    const [name, ...rest] = part.split("=");
+    const directive = name.trim().toLowerCase();
+    if (directive) {
+      directives[directive] = rest.join("=").trim().replace(/^"|"$/g, "");
+    }
+  }
+  return directives;
+}
+
+/**
+ * Parse a Cache-Control delta-seconds value
+ * @param {string | undefined} value
+ * @returns {number | null} Seconds, or null if missing or invalid
+ */
+function parseDeltaSeconds(value) {
+  if (value === undefined || !/^\d+$/.test(value)) {
+    return null;
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Derive fresh and stale TTLs from a response's own caching headers.
+ * Freshness comes from `Cache-Control` `max-age` (falling back to `s-maxage`, then `Expires`),
+ * minus any `Age` the response already had when it was received. The stale window extends the
+ * fresh TTL by the larger of `stale-while-revalidate` and `stale-if-error`. `no-cache` makes the
+ * response immediately stale and `must-revalidate` removes the stale window.
+ * TTLs are relative to the `x-sw-cache-timestamp` stored with the cached response.
+ * @param {Response} response
+ * @returns {{ ttl: number, staleTTL: number | null } | null} TTLs in seconds, or null if the response has no freshness information. `staleTTL` is null when the response does not specify a stale window.
+ */
+export function getResponseCacheTTLs(response) {
+  const headers = response.headers;
+  const directives = parseCacheControl(getHeader(headers, "Cache-Control"));
+
+  /** @type {number | null} */
+  let lifetime = null;
+  if ("no-cache" in directives) {
+    lifetime = 0;
+  } else {
+    lifetime =
+      parseDeltaSeconds(directives["max-age"]) ??
+      parseDeltaSeconds(directives["s-maxage"]);
+  }
+
+  if (lifetime === null) {
+    const expiresHeader = getHeader(headers, "Expires");
+    if (expiresHeader === null) {
+      return null;
+    }
+    const expires = Date.parse(expiresHeader);
+    // Invalid dates (e.g. "0") mean the response is already expired
+    if (isNaN(expires)) {
+      lifetime = 0;
+    } else {
+      const dateHeader = getHeader(headers, "Date");
+      const date = dateHeader ? Date.parse(dateHeader) : NaN;
+      const baseline = isNaN(date)
+        ? (getCacheTimestamp(response) ?? Date.now())
+        : date;
+      lifetime = Math.max(0, Math.floor((expires - baseline) / 1000));
+    }
+  }
+
+  const age = parseDeltaSeconds(getHeader(headers, "Age") ?? undefined) ?? 0;
+  const ttl = Math.max(0, lifetime - age);
+
+  if ("must-revalidate" in directives) {
+    return { ttl, staleTTL: ttl };
+  }
+
+  const staleWhileRevalidate = parseDeltaSeconds(
+    directives["stale-while-revalidate"]
+  );
+  const staleIfError = parseDeltaSeconds(directives["stale-if-error"]);
+  if (staleWhileRevalidate === null && staleIfError === null) {
+    return { ttl, staleTTL: null };
+  }
+  return {
+    ttl,
+    staleTTL: ttl + Math.max(staleWhileRevalidate ?? 0, staleIfError ?? 0)
+  };
+}
+
+/**
+ * Get the stale TTL of a response whose fresh TTL comes from its own caching headers, when the
+ * response has no stale window of its own. The configured stale window (`staleTTL - ttl`) starts
+ * at the end of the response's fresh TTL, so a long `max-age` still leaves a stale period.
+ * @param {number} responseTTL - Fresh TTL derived from the response, in seconds
+ * @param {number} ttl - Configured fresh TTL in seconds
+ * @param {number | null} staleTTL - Configured stale TTL in seconds, or null if stale caching is disabled
+ * @returns {number | null} Stale TTL in seconds, or null if stale caching is disabled
+ */
+export function getFallbackStaleTTL(responseTTL, ttl, staleTTL) {
+  if (staleTTL === null) {
+    return null;
+  }
+  return responseTTL + Math.max(0, staleTTL - ttl);
+}
+
+/**
+ * Check if a response must not be stored in the cache.
+ * Responses with `Cache-Control: no-store` are never stored. On shared devices, responses with
+ * `Cache-Control: private` are treated the same way since they are meant for a single user.
+ * @param {Response} response
+ * @param {boolean} [sharedDevice] - Whether `private` responses should also be excluded
+ * @returns {boolean}
+ */
+export function isNoStore(response, sharedDevice = false) {
+  const directives = parseCacheControl(
+    getHeader(response.headers, "Cache-Control")
+  );
+  return "no-store" in directives || (sharedDevice && "private" in directives);
+}
+
+/**
+ * Hash a string with SHA-256
+ * @param {string} value
+ * @returns {Promise<string>} First 16 hex characters of the digest
+ */
+export async function hashString(value) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(value)
+  );
+  return Array.from(new Uint8Array(digest).slice(0, 8), (byte) =>
+    byte.toString(16).padStart(2, "0")
+  ).join("");
+}
+
+/**
+ * Get the header names listed in a response's Vary header
+ * @param {Response} response
+ * @returns {string[]} Lowercased header names (may include "*")
+ */
+export function getVaryHeaderNames(response) {
+  const vary = getHeader(response.headers, "Vary");
+  if (!vary) {
+    return [];
+  }
+  return vary
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Get a signature of the request header values for the given header names.
+ * Values are hashed so sensitive headers (e.g. Authorization) never end up in cache keys.
+ * @param {Headers} headers - Request headers
+ * @param {string[]} names - Header names to include (case-insensitive, order doesn't matter)
+ * @returns {Promise<string>} Signature, or an empty string if no names are given
+ */
+export async function getVarySignature(headers, names) {
+  if (names.length === 0) {
+    return "";
+  }
+  const canonical = [...new Set(names.map((name) => name.toLowerCase()))]
+    .sort()
+    .map((name) => `${name}:${getHeader(headers, name) ?? ""}`)
+    .join("\n");
+  return hashString(canonical);
+}
+
+/**
+ * Get the partition id for a request based on the `partitionBy` config option
+ * (the `Authorization` header, another request header, a cookie, or a custom function).
+ * Cookies are read from the request's `Cookie` header, falling back to the Cookie Store API
+ * since service workers usually can't see the `Cookie` header.
+ * @param {Request} request
+ * @param {PartitionBy} partitionBy
+ * @returns {Promise<string | null>} Raw (unhashed) partition id, or null if the request has none
+ */
+export async function getPartitionId(request, partitionBy) {
+  if (typeof partitionBy === "function") {
+    return (await partitionBy(request)) ?? null;
+  }
+  if (partitionBy === "authorization") {
+    return getHeader(request.headers, "Authorization");
+  }
+  if ("header" in partitionBy) {
+    return getHeader(request.headers, partitionBy.header);
+  }
+
+  const cookieHeader = getHeader(request.headers, "Cookie");
+  if (cookieHeader !== null) {
+    for (const cookie of cookieHeader.split(";")) {
+      const [name, ...rest] = cookie.split("=");
+      if (name.trim() === partitionBy.cookie) {
+        return rest.join("=").trim();
+      }
+    }
+  }
+  const cookieStore = /** @type {any} */ (globalThis).cookieStore;
+  if (cookieStore) {
+    const cookie = await cookieStore.get(partitionBy.cookie);
+    return cookie?.value ?? null;
+  }
+  return null;
+}
+
+/**
+ * Build the cache key for a request. The partition and variant (both already hashed) are
+ * appended as query parameters, so entries for different users or variants of the same URL
+ * are stored separately while pathname-based invalidation still clears them all together.
+ * The key never carries request headers, so the Cache API's own `Vary` handling doesn't apply.
+ * @param {string} keyUrl - URL to build the key from (the request URL or the `cacheKey` config function result)
+ * @param {{ partition?: string, variant?: string }} [parts] - Hashed partition id and variant signature
+ * @returns {Request}
+ */
+export function buildCacheKey(keyUrl, { partition, variant } = {}) {
+  let url = keyUrl;
+  for (const [name, value] of [
+    [CACHE_PARTITION_PARAM, partition],
+    [CACHE_VARIANT_PARAM, variant]
+  ]) {
+    if (value) {
+      url += `${url.includes("?") ? "&" : "?"}${name}=${value}`;
+    }
+  }
+  return new Request(url);
+}
+
+/**
+ * Check whether a response differs from a previously cached response. Compares `ETag` or
+ * `Last-Modified` when both responses have one, then `Content-Length`, then a hash of the bodies.
+ * @param {Response} previousResponse - The previously cached response (body may be consumed)
+ * @param {Response} response - The new response (body may be consumed)
+ * @returns {Promise<boolean>}
+ */
+export async function hasResponseChanged(previousResponse, response) {
+  for (const name of ["ETag", "Last-Modified"]) {
+    const previousValue = getHeader(previousResponse.headers, name);
+    const value = getHeader(response.headers, name);
+    if (previousValue !== null && value !== null) {
+      return previousValue !== value;
+    }
+  }
+  const previousLength = getHeader(previousResponse.headers, "Content-Length");
+  const length = getHeader(response.headers, "Content-Length");
+  if (previousLength !== null && length !== null && previousLength !== length) {
+    return true;
+  }
+  const [previousHash, hash] = await Promise.all([
+    previousResponse.text().then(hashString),
+    response.text().then(hashString)
+  ]);
+  return previousHash !== hash;
+}
+
+/**
+ * Post a cache update message to pages. Uses a `BroadcastChannel` when available, otherwise
+ * posts to each window client of the service worker.
+ * @param {string} cacheName - Name of the cache that was updated
+ * @param {string} url - URL of the request whose cached response changed
+ * @returns {Promise<void>}
+ */
+export async function postCacheUpdate(cacheName, url) {
+  /** @type {CacheUpdateMessage} */
+  const message = { type: CACHE_UPDATED_MESSAGE_TYPE, cacheName, url };
+  if (typeof BroadcastChannel === "function") {
+    const channel = new BroadcastChannel(CACHE_UPDATES_CHANNEL);
+    channel.postMessage(message);
+    channel.close();
+    return;
+  }
+  const clients = /** @type {ServiceWorkerGlobalScope} */ (
+    /** @type {unknown} */ (globalThis)
+  ).clients;
+  if (!clients) {
+    return;
+  }
+  const windowClients = await clients.matchAll({ type: "window" });
+  windowClients.forEach((client) => client.postMessage(message));
+}
+
 /**
  * Check if URL matches scope.  Returns true if scope array is empty or if the URL pathname starts with any of the scope prefixes.
  * @param {string} url
@@ -246,10 +750,192 @@ export function matchesScope(url, scope, defaultTTLSeconds) {
   return scope.some((prefix) => urlObj.pathname.startsWith(prefix));
 }
 
+/**
+ * Convert a glob path pattern to a regular expression matching a whole pathname.
+ * `*` matches within a single path segment and `**` matches across segments.
+ * @param {string} glob - Glob pattern (e.g. `/api/users/*` or `/api/**`)
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  let source = "";
+  for (let i = 0; i < glob.length; i++) {
+    if (glob[i] === "*" && glob[i + 1] === "*") {
+      source += ".*";
+      i++;
+    } else if (glob[i] === "*") {
+      source += "[^/]*";
+    } else {
+      source += glob[i].replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Convert a path template to a regular expression matching a whole pathname.
+ * `:name` segments match a single path segment and are captured as named groups,
+ * and `*` / `**` work like in `globToRegExp`.
+ * @param {string} template - Path template (e.g. `/api/orgs/:org/projects/:id`)
+ * @returns {RegExp}
+ */
+export function pathTemplateToRegExp(template) {
+  const source = template
+    .split(/(:[A-Za-z_]\w*)/)
+    .map((part) =>
+      part.startsWith(":")
+        ? `(?<${part.slice(1)}>[^/]+)`
+        : globToRegExp(part).source.slice(1, -1)
+    )
+    .join("");
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Get the names of the `:name` params in a path template
+ * @param {string} template - Path template (e.g. `/api/orgs/:org/projects/:id`)
+ * @returns {string[]}
+ */
+export function getPathTemplateParams(template) {
+  return [...template.matchAll(/:([A-Za-z_]\w*)/g)].map((match) => match[1]);
+}
+
+/**
+ * Replace the `:name` params in a path template with values
+ * @param {string} template - Path template (e.g. `/api/orgs/:org/dashboard`)
+ * @param {Record<string, string>} params - Param values by name
+ * @returns {string}
+ */
+export function fillPathTemplate(template, params) {
+  return template.replace(
+    /:([A-Za-z_]\w*)/g,
+    (param, name) => params[name] ?? param
+  );
+}
+
+/**
+ * Compile the `match` templates of invalidation rules (see `pathTemplateToRegExp`), so they're
+ * built once instead of on every mutation. Rules must have been validated by `validateConfig`.
+ * @param {InvalidationRule[]} rules - Invalidation rules from the config
+ * @returns {(InvalidationRule & { pattern: RegExp })[]}
+ */
+export function compileInvalidationRules(rules) {
+  return rules.map((rule) => ({
+    ...rule,
+    pattern: pathTemplateToRegExp(rule.match)
+  }));
+}
+
+/**
+ * Get the paths to invalidate for a mutation from the invalidation rules it matches.
+ * Every matching rule applies: its `invalidate` templates are filled with the params captured
+ * from the URL, `ancestors` adds each parent path and `descendants` adds a `**` pattern for
+ * everything below the URL.
+ * @param {string} url - Mutation URL
+ * @param {string} method - Mutation method
+ * @param {(InvalidationRule & { pattern: RegExp })[]} rules - Compiled invalidation rules (see `compileInvalidationRules`)
+ * @returns {string[]} Paths and patterns to invalidate, relative to the URL's origin
+ */
+export function getRuleInvalidationPaths(url, method, rules) {
+  const pathname = new URL(url).pathname;
+  const paths = [];
+  for (const rule of rules) {
+    if (rule.methods && !rule.methods.includes(method)) {
+      continue;
+    }
+    const match = rule.pattern.exec(pathname);
+    if (!match) {
+      continue;
+    }
+    const params = match.groups ?? {};
+    paths.push(
+      ...(rule.invalidate ?? []).map((template) =>
+        fillPathTemplate(template, params)
+      )
+    );
+    if (rule.ancestors) {
+      const segments = pathname.split("/").filter(Boolean);
+      for (let i = segments.length - 1; i > 0; i--) {
+        paths.push(`/${segments.slice(0, i).join("/")}`);
+      }
+    }
+    if (rule.descendants) {
+      paths.push(`${pathname.replace(/\/$/, "")}/**`);
+    }
+  }
+  return [...new Set(paths)];
+}
+
+/**
+ * Check if a URL matches a route pattern.
+ * Strings containing `*` are globs and other strings are pathname prefixes (like `scope`).
+ * RegExps are tested against the pathname and URLPattern-like objects against the full URL.
+ * @param {string} url
+ * @param {RoutePattern} pattern
+ * @returns {boolean}
+ */
+export function matchesPattern(url, pattern) {
+  const pathname = new URL(url).pathname;
+  if (typeof pattern === "string") {
+    return pattern.includes("*")
+      ? globToRegExp(pattern).test(pathname)
+      : pathname.startsWith(pattern);
+  }
+  if (pattern instanceof RegExp) {
+    // Reset in case a global or sticky RegExp was used
+    pattern.lastIndex = 0;
+    return pattern.test(pathname);
+  }
+  return pattern.test(url);
+}
+
+/**
+ * Find the first route whose pattern matches a URL
+ * @param {string} url
+ * @param {Route[]} routes
+ * @returns {Route | null}
+ */
+export function findRoute(url, routes) {
+  return routes.find((route) => matchesPattern(url, route.match)) ?? null;
+}
+
+/**
+ * Split cache tag header values into individual tags. Tags are separated by whitespace
+ * (like `Surrogate-Key`) or commas.
+ * @param {string[]} values - Header values
+ * @returns {string[]} Unique tags
+ */
+export function parseCacheTags(values) {
+  const tags = values.flatMap((value) => value.split(/[\s,]+/));
+  return [...new Set(tags.filter((tag) => tag.length > 0))];
+}
+
+/**
+ * Get the cache tags a response declares with `Surrogate-Key` or `X-SW-Cache-Tags` headers
+ * @param {Response} response
+ * @returns {string[]}
+ */
+export function getResponseCacheTags(response) {
+  return parseCacheTags([
+    ...getAllHeaders(response.headers, "Surrogate-Key"),
+    ...getAllHeaders(response.headers, CACHE_TAGS_HEADER)
+  ]);
+}
+
+/**
+ * Get the cache tags to invalidate from `X-SW-Cache-Invalidate-Tag` request headers
+ * @param {Headers} headers
+ * @returns {string[]}
+ */
+export function getInvalidationTags(headers) {
+  return parseCacheTags(getAllHeaders(headers, CACHE_INVALIDATE_TAG_HEADER));
+}
+
 /**
  * Invalidate cache entries
  * Matches cache entries by pathname (ignoring query parameters), so invalidating
  * "/api/users" will also invalidate "/api/users?org_id=123" and other query variants.
+ * URLs whose pathname contains `*` are glob patterns (see `globToRegExp`), so
+ * "/api/users/*" invalidates every user and "/api/users/**" everything below "/api/users/".
  * @param {string} cacheName
  * @param {string[]} urls - Array of full URLs to invalidate (should already be normalized to full URLs)
  * @returns {Promise<void>}
@@ -257,10 +943,30 @@ export function matchesScope(url, scope, defaultTTLSeconds) {
 export async function invalidateCache(cacheName, urls) {
   const cache = await caches.open(cacheName);
   const invalidatedUrls = [];
+  /** @type {readonly Request[] | null} */
+  let cachedRequests = null;
 
   // Iterate over URLs to invalidate
   for (const url of urls) {
     try {
+      const urlObj = new URL(url);
+      if (urlObj.pathname.includes("*")) {
+        // Delete every entry on the same origin whose pathname matches the pattern
+        const pattern = globToRegExp(urlObj.pathname);
+        cachedRequests ??= await cache.keys();
+        for (const request of cachedRequests) {
+          const requestUrl = new URL(request.url);
+          if (
+            requestUrl.origin === urlObj.origin &&
+            pattern.test(requestUrl.pathname) &&
+            (await cache.delete(request))
+          ) {
+            invalidatedUrls.push(request.url);
+          }
+        }
+        continue;
+      }
+
       // Use cache.delete with ignoreSearch to delete all entries matching this pathname
       // (ignoring query parameters). This deletes all variants with different query params.
       const deleted = await cache.delete(url, { ignoreSearch: true });
@@ -278,6 +984,29 @@ export async function invalidateCache(cacheName, urls) {
   });
 }
 
+/**
+ * Invalidate all cache entries carrying any of the given tags (see `getResponseCacheTags`)
+ * @param {string} cacheName
+ * @param {string[]} tags - Tags to invalidate
+ * @returns {Promise<void>}
+ */
+export async function invalidateTags(cacheName, tags) {
+  if (tags.length === 0) {
+    return;
+  }
+  const cache = await caches.open(cacheName);
+  const entries = await getCacheEntriesMetadata(cacheName);
+  const urls = entries
+    .filter((entry) => entry.tags.some((tag) => tags.includes(tag)))
+    .map((entry) => entry.url);
+  for (const url of urls) {
+    if (await cache.delete(url)) {
+      logInfo(`Cache invalidated (tag): ${url}`);
+    }
+  }
+  await deleteEntriesMetadata(cacheName, urls).catch(() => {});
+}
+
 /**
  * Clear entire cache
  * @param {string} cacheName
@@ -285,17 +1014,18 @@ export async function invalidateCache(cacheName, urls) {
  */
 export async function clearCache(cacheName) {
   await caches.delete(cacheName);
+  await deleteCacheMetadata(cacheName).catch(() => {});
 }
 
 /**
- * Check if a cached response is older than the maximum age
+ * Check if a cached response is older than the maximum age. Precached responses never are.
  * @param {Response} response
  * @param {number} maxAgeSeconds - Maximum age in seconds
  * @returns {boolean}
  */
 export function isOlderThanMaxAge(response, maxAgeSeconds) {
   const timestamp = getCacheTimestamp(response);
-  if (timestamp === null) {
+  if (timestamp === null || getPrecacheRevision(response) !== null) {
     return false;
   }
   const age = Date.now() - timestamp;
@@ -303,27 +1033,41 @@ export function isOlderThanMaxAge(response, maxAgeSeconds) {
 }
 
 /**
- * Clean up cache entries older than maxAgeSeconds
+ * Clean up cache entries older than maxAgeSeconds. Entry timestamps are read from the metadata
+ * index (see `getCacheEntriesMetadata`), so only the cached responses of entries past their
+ * maximum age are read, when `maxAgeSeconds` is a function. Precached entries are skipped.
  * @param {string} cacheName
- * @param {number} maxAgeSeconds - Maximum age in seconds
+ * @param {number | ((url: string, response?: Response) => number)} maxAgeSeconds - Maximum age in seconds, or a function returning the maximum age for an entry's URL. Entries past that age are checked again with their cached response before being deleted.
  * @returns {Promise<void>}
  */
 export async function cleanupOldCacheEntries(cacheName, maxAgeSeconds) {
   const cache = await caches.open(cacheName);
-  const keys = await cache.keys();
-  const cleanupPromises = [];
+  const entries = await getCacheEntriesMetadata(cacheName);
+  const now = Date.now();
+  /** @type {string[]} */
   const cleanedUrls = [];
-
-  for (const request of keys) {
-    const response = await cache.match(request);
-    if (response && isOlderThanMaxAge(response, maxAgeSeconds)) {
-      const url = request.url || request.toString();
-      cleanedUrls.push(url);
-      cleanupPromises.push(cache.delete(request));
+  for (const entry of entries) {
+    if (isPrecachedEntry(entry) || entry.timestamp === null) {
+      continue;
+    }
+    const age = now - entry.timestamp;
+    if (typeof maxAgeSeconds === "number") {
+      if (age >= maxAgeSeconds * 1000) {
+        cleanedUrls.push(entry.url);
+      }
+      continue;
+    }
+    if (age < maxAgeSeconds(entry.url) * 1000) {
+      continue;
+    }
+    const response = await cache.match(entry.url);
+    if (!response || age >= maxAgeSeconds(entry.url, response) * 1000) {
+      cleanedUrls.push(entry.url);
     }
   }
 
-  await Promise.allSettled(cleanupPromises);
+  await Promise.allSettled(cleanedUrls.map((url) => cache.delete(url)));
+  await deleteEntriesMetadata(cacheName, cleanedUrls).catch(() => {});
   if (cleanedUrls.length > 0) {
     cleanedUrls.forEach((url) => {
       logVerbose(`Cache entry cleaned up (maxAge): ${url}`);
@@ -334,6 +1078,264 @@ export async function cleanupOldCacheEntries(cacheName, maxAgeSeconds) {
   }
 }
 
+/**
+ * Get the size in bytes of a response body, from the internal size header recorded when it was
+ * cached, its `Content-Length` header, or by reading a copy of the body.
+ * @param {Response} response - The response (not consumed)
+ * @returns {Promise<number>}
+ */
+export async function getResponseSize(response) {
+  for (const name of [CACHE_SIZE_HEADER, "Content-Length"]) {
+    const size = parseInt(getHeader(response.headers, name) ?? "", 10);
+    if (!isNaN(size) && size >= 0) {
+      return size;
+    }
+  }
+  if (response.body === null) {
+    return 0;
+  }
+  const body = await response.clone().arrayBuffer();
+  return body.byteLength;
+}
+
+/**
+ * Check if an error is a storage `QuotaExceededError`
+ * @param {unknown} error
+ * @returns {boolean}
+ */
+export function isQuotaExceededError(error) {
+  return (
+    typeof error === "object" &&
+    error !== null &&
+    /** @type {{ name?: unknown }} */ (error).name === "QuotaExceededError"
+  );
+}
+
+/**
+ * Evict the least recently used entries from a cache until it's within the given limits.
+ * Entries without a recorded last access are ordered by when they were cached. Precached entries
+ * are never evicted and don't count towards the limits.
+ * @param {string} cacheName
+ * @param {{ maxEntries?: number | null, maxBytes?: number | null, freeBytes?: number }} limits -
+ * Maximum number of entries to keep, maximum total size in bytes to keep, and a number of
+ * bytes to free regardless of the other limits (e.g. to make room after a `QuotaExceededError`)
+ * @returns {Promise<EntryMetadata[]>} Metadata of the entries that are left, without precached entries
+ */
+export async function evictCacheEntries(
+  cacheName,
+  { maxEntries = null, maxBytes = null, freeBytes = 0 }
+) {
+  const cache = await caches.open(cacheName);
+  const entries = (await getCacheEntriesMetadata(cacheName)).filter(
+    (entry) => !isPrecachedEntry(entry)
+  );
+  entries.sort(
+    (a, b) =>
+      (a.lastAccess ?? a.timestamp ?? 0) - (b.lastAccess ?? b.timestamp ?? 0)
+  );
+
+  let remainingEntries = entries.length;
+  let remainingBytes = entries.reduce((total, entry) => total + entry.size, 0);
+  let freedBytes = 0;
+  /** @type {string[]} */
+  const evictedUrls = [];
+  for (const { url, size } of entries) {
+    const overLimit =
+      (maxEntries !== null && remainingEntries > maxEntries) ||
+      (maxBytes !== null && remainingBytes > maxBytes) ||
+      freedBytes < freeBytes;
+    if (!overLimit) {
+      break;
+    }
+    remainingEntries--;
+    remainingBytes -= size;
+    freedBytes += size;
+    evictedUrls.push(url);
+    if (await cache.delete(url)) {
+      logVerbose(`Cache entry evicted: ${url}`);
+    }
+  }
+  await deleteEntriesMetadata(cacheName, evictedUrls).catch(() => {});
+  return entries.slice(evictedUrls.length);
+}
+
+/**
+ * Create the metadata of a cached entry from its cached response
+ * @param {string} cacheName
+ * @param {string} url - Cache key URL of the entry
+ * @param {Response} response - The cached response (not consumed)
+ * @returns {Promise<EntryMetadata>}
+ */
+export async function createEntryMetadata(cacheName, url, response) {
+  const timestamp = getCacheTimestamp(response);
+  return {
+    cacheName,
+    url,
+    timestamp,
+    size: await getResponseSize(response),
+    tags: getResponseCacheTags(response),
+    lastAccess: timestamp,
+    revision: getPrecacheRevision(response)
+  };
+}
+
+/**
+ * Check if a cache entry was precached (see `HandleRequest.precache`)
+ * @param {EntryMetadata} entry
+ * @returns {boolean}
+ */
+export function isPrecachedEntry(entry) {
+  return typeof entry.revision === "string";
+}
+
+/**
+ * Record the metadata of an entry that was just cached. IndexedDB errors are ignored, since
+ * missing metadata is recreated from the cache when it's read (see `getCacheEntriesMetadata`).
+ * @param {string} cacheName
+ * @param {string} url - Cache key URL of the entry
+ * @param {Response} response - The cached response (not consumed)
+ * @returns {Promise<void>}
+ */
+export async function recordEntryMetadata(cacheName, url, response) {
+  try {
+    await putEntryMetadata(await createEntryMetadata(cacheName, url, response));
+  } catch {
+    // IndexedDB is unavailable
+  }
+}
+
+/**
+ * Record that a cached entry was served, for least-recently-used eviction.
+ * IndexedDB errors are ignored.
+ * @param {string} cacheName
+ * @param {string} url - Cache key URL of the entry
+ * @returns {Promise<void>}
+ */
+export async function recordEntryAccess(cacheName, url) {
+  try {
+    await touchEntryMetadata(cacheName, url, Date.now());
+  } catch {
+    // IndexedDB is unavailable
+  }
+}
+
+/**
+ * Get the metadata of every entry in a cache from the IndexedDB metadata index, without reading
+ * cached responses. Entries missing from the index (cached before it existed, or while IndexedDB
+ * was unavailable) are read from the cache once and added, and metadata of entries that are no
+ * longer cached (e.g. invalidated) is removed.
+ * @param {string} cacheName
+ * @returns {Promise<EntryMetadata[]>}
+ */
+export async function getCacheEntriesMetadata(cacheName) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  /** @type {EntryMetadata[]} */
+  let storedEntries = [];
+  try {
+    storedEntries = await getEntriesMetadata(cacheName);
+  } catch {
+    // IndexedDB is unavailable, read everything from the cache
+  }
+  const storedEntriesByUrl = new Map(
+    storedEntries.map((entry) => [entry.url, entry])
+  );
+
+  const entries = [];
+  for (const request of keys) {
+    const storedEntry = storedEntriesByUrl.get(request.url);
+    if (storedEntry) {
+      entries.push(storedEntry);
+      storedEntriesByUrl.delete(request.url);
+      continue;
+    }
+    const response = await cache.match(request);
+    if (response) {
+      const entry = await createEntryMetadata(cacheName, request.url, response);
+      entries.push(entry);
+      await putEntryMetadata(entry).catch(() => {});
+    }
+  }
+
+  // Whatever is left is no longer cached
+  await deleteEntriesMetadata(cacheName, [...storedEntriesByUrl.keys()]).catch(
+    () => {}
+  );
+  return entries;
+}
+
+/**
+ * Get statistics about a cache from the metadata index
+ * @param {string} cacheName
+ * @returns {Promise<CacheStats>}
+ */
+export async function getCacheStats(cacheName) {
+  const entries = await getCacheEntriesMetadata(cacheName);
+  const timestamps = entries
+    .map((entry) => entry.timestamp)
+    .filter((timestamp) => timestamp !== null);
+  return {
+    entries: entries.length,
+    bytes: entries.reduce((total, entry) => total + entry.size, 0),
+    oldestTimestamp: timestamps.length > 0 ? Math.min(...timestamps) : null,
+    newestTimestamp: timestamps.length > 0 ? Math.max(...timestamps) : null
+  };
+}
+
+/**
+ * Parse a precache manifest into absolute URLs and revisions. Entries without a revision get an
+ * empty revision, since their URL is expected to change with their content.
+ * @param {PrecacheManifest} manifest
+ * @param {string} [baseUrl] - URL relative entry URLs are resolved against (the service worker's location)
+ * @returns {{ url: string, revision: string }[]}
+ * @throws {Error} If the manifest or one of its entries is invalid
+ */
+export function parsePrecacheManifest(manifest, baseUrl) {
+  if (!Array.isArray(manifest)) {
+    throw new Error("precache manifest must be an array");
+  }
+  return manifest.map((entry) => {
+    const { url, revision = null } =
+      typeof entry === "string" ? { url: entry } : (entry ?? {});
+    if (typeof url !== "string" || url === "") {
+      throw new Error("precache manifest entry url must be a non-empty string");
+    }
+    if (revision !== null && typeof revision !== "string") {
+      throw new Error(
+        `precache manifest entry revision must be a string: ${url}`
+      );
+    }
+    let absoluteUrl;
+    try {
+      absoluteUrl = new URL(url, baseUrl).toString();
+    } catch {
+      throw new Error(`precache manifest entry url is invalid: ${url}`);
+    }
+    return { url: absoluteUrl, revision: revision ?? "" };
+  });
+}
+
+/**
+ * Delete precached entries (see `HandleRequest.precache`) that are no longer in the manifest.
+ * Entries cached at runtime are left alone.
+ * @param {string} cacheName
+ * @param {Set<string>} urls - Cache key URLs of the entries in the current manifest
+ * @returns {Promise<void>}
+ */
+export async function cleanupPrecachedEntries(cacheName, urls) {
+  const cache = await caches.open(cacheName);
+  const entries = await getCacheEntriesMetadata(cacheName);
+  const removedUrls = entries
+    .filter((entry) => isPrecachedEntry(entry) && !urls.has(entry.url))
+    .map((entry) => entry.url);
+
+  await Promise.allSettled(removedUrls.map((url) => cache.delete(url)));
+  await deleteEntriesMetadata(cacheName, removedUrls).catch(() => {});
+  removedUrls.forEach((url) => {
+    logVerbose(`Precached entry removed: ${url}`);
+  });
+}
+
 /**
  * Log an informational message (minimal and verbose levels)
  * @param {string} message - Message to log
@@ -354,6 +1356,111 @@ export function logVerbose(message) {
   }
 }
 
+/**
+ * Validate a route from config.routes
+ * @param {Route} route - Route to validate
+ * @param {number} index - Index of the route, used in error messages
+ * @param {string[]} strategyNames - Names of the available strategies, including custom strategies
+ * @throws {Error} If route is invalid
+ */
+function validateRoute(route, index, strategyNames) {
+  const name = `config.routes[${index}]`;
+  if (!route || typeof route !== "object") {
+    throw new Error(`${name} must be an object`);
+  }
+  const match = /** @type {unknown} */ (route.match);
+  if (
+    typeof match !== "string" &&
+    !(match instanceof RegExp) &&
+    typeof (/** @type {any} */ (match)?.test) !== "function"
+  ) {
+    throw new Error(`${name}.match must be a string, RegExp or URLPattern`);
+  }
+  if (route.strategy !== undefined && !strategyNames.includes(route.strategy)) {
+    throw new Error(
+      `${name}.strategy must be one of: ${formatStrategyNames(strategyNames)}`
+    );
+  }
+  for (const option of [
+    "ttlSeconds",
+    "staleTTLSeconds",
+    "maxCacheAgeSeconds",
+    "networkTimeoutSeconds"
+  ]) {
+    const value = /** @type {any} */ (route)[option];
+    if (value !== undefined && (typeof value !== "number" || value < 0)) {
+      throw new Error(
+        `${name}.${option} must be a non-negative number if provided`
+      );
+    }
+  }
+  if (route.outbox !== undefined && typeof route.outbox !== "boolean") {
+    throw new Error(`${name}.outbox must be a boolean`);
+  }
+  if (
+    route.invalidate !== undefined &&
+    (!Array.isArray(route.invalidate) ||
+      !route.invalidate.every((path) => typeof path === "string"))
+  ) {
+    throw new Error(`${name}.invalidate must be an array of strings`);
+  }
+}
+
+/**
+ * Validate an invalidation rule from the config
+ * @param {InvalidationRule} rule
+ * @param {number} index - Index of the rule, for error messages
+ * @throws {Error} If the rule is invalid
+ */
+function validateInvalidationRule(rule, index) {
+  const name = `config.invalidationRules[${index}]`;
+  if (!rule || typeof rule !== "object") {
+    throw new Error(`${name} must be an object`);
+  }
+  if (typeof rule.match !== "string" || !rule.match.startsWith("/")) {
+    throw new Error(`${name}.match must be a path starting with "/"`);
+  }
+  for (const option of /** @type {const} */ (["invalidate", "methods"])) {
+    const value = rule[option];
+    if (
+      value !== undefined &&
+      (!Array.isArray(value) ||
+        !value.every((item) => typeof item === "string"))
+    ) {
+      throw new Error(`${name}.${option} must be an array of strings`);
+    }
+  }
+  for (const option of /** @type {const} */ (["ancestors", "descendants"])) {
+    if (rule[option] !== undefined && typeof rule[option] !== "boolean") {
+      throw new Error(`${name}.${option} must be a boolean`);
+    }
+  }
+  const matchParams = getPathTemplateParams(rule.match);
+  const duplicateParam = matchParams.find(
+    (param, paramIndex) => matchParams.indexOf(param) !== paramIndex
+  );
+  if (duplicateParam) {
+    throw new Error(`${name}.match uses :${duplicateParam} more than once`);
+  }
+  try {
+    pathTemplateToRegExp(rule.match);
+  } catch (error) {
+    throw new Error(
+      `${name}.match is not a valid path template (${error.message})`
+    );
+  }
+  for (const template of rule.invalidate ?? []) {
+    const unknownParam = getPathTemplateParams(template).find(
+      (param) => !matchParams.includes(param)
+    );
+    if (unknownParam) {
+      throw new Error(
+        `${name}.invalidate uses :${unknownParam}, which is not a param of ${name}.match`
+      );
+    }
+  }
+}
+
 /**
  * Validate configuration object
  * @param {HandleRequestConfig} config - Configuration object to validate
@@ -367,19 +1474,48 @@ export function validateConfig(config) {
   if (!cfg.cacheName || typeof cfg.cacheName !== "string") {
     throw new Error("config.cacheName is required and must be a string");
   }
-  if (
-    cfg.defaultStrategy &&
-    !["cache-first", "network-first", "stale-while-revalidate"].includes(
-      String(cfg.defaultStrategy)
-    )
-  ) {
+  if (cfg.strategies !== undefined) {
+    if (
+      !cfg.strategies ||
+      typeof cfg.strategies !== "object" ||
+      !Object.values(cfg.strategies).every(
+        (strategy) => typeof strategy === "function"
+      )
+    ) {
+      throw new Error(
+        "config.strategies must be an object mapping strategy names to functions"
+      );
+    }
+  }
+  const strategyNames = [
+    ...new Set([...STRATEGIES, ...Object.keys(cfg.strategies ?? {})])
+  ];
+  if (cfg.defaultStrategy && !strategyNames.includes(cfg.defaultStrategy)) {
     throw new Error(
-      "config.defaultStrategy must be one of: 'cache-first', 'network-first', 'stale-while-revalidate'"
+      `config.defaultStrategy must be one of: ${formatStrategyNames(strategyNames)}`
     );
   }
   if (cfg.customFetch !== undefined && typeof cfg.customFetch !== "function") {
     throw new Error("config.customFetch must be a function");
   }
+  if (cfg.cacheKey !== undefined && typeof cfg.cacheKey !== "function") {
+    throw new Error("config.cacheKey must be a function");
+  }
+  if (
+    cfg.partitionBy !== undefined &&
+    typeof cfg.partitionBy !== "function" &&
+    cfg.partitionBy !== "authorization" &&
+    !(
+      cfg.partitionBy &&
+      typeof cfg.partitionBy === "object" &&
+      (typeof (/** @type {any} */ (cfg.partitionBy).header) === "string" ||
+        typeof (/** @type {any} */ (cfg.partitionBy).cookie) === "string")
+    )
+  ) {
+    throw new Error(
+      'config.partitionBy must be "authorization", { header: string }, { cookie: string } or a function'
+    );
+  }
   if (
     cfg.maxCacheAgeSeconds !== undefined &&
     (typeof cfg.maxCacheAgeSeconds !== "number" || cfg.maxCacheAgeSeconds <= 0)
@@ -388,6 +1524,92 @@ export function validateConfig(config) {
       "config.maxCacheAgeSeconds must be a positive number if provided"
     );
   }
+  if (
+    cfg.maxEntries !== undefined &&
+    (!Number.isInteger(cfg.maxEntries) || cfg.maxEntries <= 0)
+  ) {
+    throw new Error("config.maxEntries must be a positive integer if provided");
+  }
+  if (
+    cfg.maxCacheBytes !== undefined &&
+    (typeof cfg.maxCacheBytes !== "number" || cfg.maxCacheBytes <= 0)
+  ) {
+    throw new Error(
+      "config.maxCacheBytes must be a positive number if provided"
+    );
+  }
+  if (
+    cfg.networkTimeoutSeconds !== undefined &&
+    (typeof cfg.networkTimeoutSeconds !== "number" ||
+      cfg.networkTimeoutSeconds < 0)
+  ) {
+    throw new Error(
+      "config.networkTimeoutSeconds must be a non-negative number if provided"
+    );
+  }
+  if (
+    cfg.invalidationTiming !== undefined &&
+    !["before", "after-success", "both"].includes(
+      String(cfg.invalidationTiming)
+    )
+  ) {
+    throw new Error(
+      'config.invalidationTiming must be one of: "before", "after-success", "both"'
+    );
+  }
+  if (cfg.writeThrough !== undefined && typeof cfg.writeThrough !== "boolean") {
+    throw new Error("config.writeThrough must be a boolean");
+  }
+  if (
+    cfg.serverInvalidation !== undefined &&
+    typeof cfg.serverInvalidation !== "boolean"
+  ) {
+    throw new Error("config.serverInvalidation must be a boolean");
+  }
+  if (
+    cfg.respectResponseCacheHeaders !== undefined &&
+    typeof cfg.respectResponseCacheHeaders !== "boolean"
+  ) {
+    throw new Error("config.respectResponseCacheHeaders must be a boolean");
+  }
+  if (
+    cfg.conditionalRevalidation !== undefined &&
+    typeof cfg.conditionalRevalidation !== "boolean"
+  ) {
+    throw new Error("config.conditionalRevalidation must be a boolean");
+  }
+  if (cfg.sharedDevice !== undefined && typeof cfg.sharedDevice !== "boolean") {
+    throw new Error("config.sharedDevice must be a boolean");
+  }
+  if (
+    cfg.varyHeaders !== undefined &&
+    (!Array.isArray(cfg.varyHeaders) ||
+      !cfg.varyHeaders.every((name) => typeof name === "string"))
+  ) {
+    throw new Error("config.varyHeaders must be an array of strings");
+  }
+  if (cfg.routes !== undefined) {
+    if (!Array.isArray(cfg.routes)) {
+      throw new Error("config.routes must be an array");
+    }
+    cfg.routes.forEach((route, index) =>
+      validateRoute(route, index, strategyNames)
+    );
+  }
+  if (cfg.invalidationRules !== undefined) {
+    if (!Array.isArray(cfg.invalidationRules)) {
+      throw new Error("config.invalidationRules must be an array");
+    }
+    cfg.invalidationRules.forEach((rule, index) =>
+      validateInvalidationRule(rule, index)
+    );
+  }
+  if (
+    cfg.broadcastUpdates !== undefined &&
+    typeof cfg.broadcastUpdates !== "boolean"
+  ) {
+    throw new Error("config.broadcastUpdates must be a boolean");
+  }
   if (
     cfg.loggingLevel !== undefined &&
     !["none", "minimal", "verbose"].includes(String(cfg.loggingLevel))
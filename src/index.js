@@ -13,16 +13,46 @@ import {
   isFresh,
   isStale,
   addTimestamp,
+  getConditionalRequest,
+  mergeNotModifiedResponse,
   getInferredInvalidationPaths,
+  getRuleInvalidationPaths,
+  compileInvalidationRules,
   getStrategy,
   getTTL,
   getStaleTTL,
+  getNetworkTimeout,
+  getWriteThrough,
+  getWriteThroughUrl,
+  getResponseCacheTTLs,
+  getFallbackStaleTTL,
   matchesScope,
+  findRoute,
   invalidateCache,
+  invalidateTags,
+  getInvalidationTags,
   clearCache,
   validateConfig,
   isOlderThanMaxAge,
+  getPrecacheRevision,
+  isNoStore,
+  getVaryHeaderNames,
+  getVarySignature,
+  getPartitionId,
+  buildCacheKey,
+  hashString,
+  hasResponseChanged,
+  postCacheUpdate,
   cleanupOldCacheEntries,
+  evictCacheEntries,
+  isPrecachedEntry,
+  recordEntryMetadata,
+  recordEntryAccess,
+  getResponseSize,
+  isQuotaExceededError,
+  getCacheEntriesMetadata,
+  parsePrecacheManifest,
+  cleanupPrecachedEntries,
   setLoggingLevel,
   logInfo,
   logVerbose
@@ -30,32 +60,62 @@ import {
 import {
   CACHE_CLEAR_HEADER,
   CACHE_INVALIDATE_HEADER,
-  CACHE_TTL_HEADER
+  CACHE_INVALIDATE_TAG_HEADER,
+  CACHE_TTL_HEADER,
+  CACHE_STALE_TTL_HEADER,
+  CACHE_VARY_HEADER,
+  CACHE_QUEUED_HEADER,
+  CACHE_SIZE_HEADER,
+  CACHE_REVISION_HEADER,
+  CACHE_TIMESTAMP_HEADER
 } from "./headers.js";
+import { addOutboxEntry, getOutboxEntries, deleteOutboxEntry } from "./db.js";
+import { builtInStrategies } from "./strategies.js";
 
 /**
  * Creates a request handler function for service worker fetch events.
- * The handler implements HTTP caching with configurable strategies (cache-first, network-first, stale-while-revalidate),
+ * The handler implements HTTP caching with configurable strategies (cache-first, network-first, stale-while-revalidate,
+ * cache-only, network-only),
  * automatic cache invalidation for mutations, and periodic cache cleanup. Only handles same-origin GET requests
  * that match the configured scope.
  *
  * @param {HandleRequestConfig} config - Configuration options including cache name, scope, default strategy, and TTL settings
- * @returns {(event: FetchEvent) => Promise<Response> | null} Request handler function that can be used in service worker fetch event listeners
+ * @returns {HandleRequest} Request handler function that can be used in service worker fetch event listeners
  */
 export function createHandleRequest(config) {
   validateConfig(config);
 
   // Set defaults
   const cacheName = config.cacheName;
-  const scope = config.scope || [];
-  const defaultStrategy = /** @type {CacheStrategy} */ (
-    config.defaultStrategy || "cache-first"
-  );
+  const routes = config.routes || [];
+  // When only routes are configured, only the routes are in scope
+  const scope = config.scope || (routes.length > 0 ? null : []);
+  const defaultStrategy = config.defaultStrategy || "cache-first";
   const defaultTTLSeconds = config.defaultTTLSeconds ?? 300;
   const defaultStaleTTLSeconds = config.defaultStaleTTLSeconds ?? 3600;
   const maxCacheAgeSeconds = config.maxCacheAgeSeconds ?? 7200;
+  const maxEntries = config.maxEntries ?? null;
+  const maxCacheBytes = config.maxCacheBytes ?? null;
+  const networkTimeoutSeconds = config.networkTimeoutSeconds ?? 0;
   const inferInvalidation = config.inferInvalidation ?? true;
+  const invalidationRules = compileInvalidationRules(
+    config.invalidationRules ?? []
+  );
+  const invalidationTiming = config.invalidationTiming ?? "before";
+  const writeThrough = config.writeThrough ?? false;
+  const serverInvalidation = config.serverInvalidation ?? true;
+  const respectResponseCacheHeaders =
+    config.respectResponseCacheHeaders ?? false;
+  const conditionalRevalidation = config.conditionalRevalidation ?? true;
+  const sharedDevice = config.sharedDevice ?? false;
+  const varyHeaders = config.varyHeaders ?? [];
+  const customCacheKey = config.cacheKey;
+  const partitionBy = config.partitionBy;
+  const broadcastUpdates = config.broadcastUpdates ?? false;
   const customFetch = config.customFetch || fetch;
+  /** @type {Record<string, Strategy>} */
+  const strategies = { ...builtInStrategies, ...config.strategies };
+  const strategyNames = Object.keys(strategies);
   const loggingLevel = config.loggingLevel ?? "none";
 
   // Set module-level logging state
@@ -64,15 +124,800 @@ export function createHandleRequest(config) {
   // Track fetch counter for periodic cleanup
   let fetchCounter = 0;
 
+  // Background work (revalidation, cleanup) that hasn't settled yet
+  /** @type {Set<Promise<void>>} */
+  const backgroundWork = new Set();
+
+  // Outbox of mutations queued while offline, replayed on sync or the next successful fetch
+  const outboxEnabled = routes.some((route) => route.outbox === true);
+  const outboxSyncTag = `swimple-outbox:${cacheName}`;
+  let outboxMayHaveEntries = outboxEnabled;
+  // Number of mutations queued so far, so a replay can tell if mutations were queued meanwhile
+  let queuedMutationCount = 0;
+  /** @type {Promise<void> | null} */
+  let outboxReplay = null;
+
+  // Precached responses that replace a cached entry, kept here until `cleanupPrecache` swaps them in
+  const precacheStagingCacheName = `swimple-precache:${cacheName}`;
+
+  // Update checks in progress by cache key URL, so concurrent refreshes broadcast once
+  /** @type {Set<string>} */
+  const pendingUpdateChecks = new Set();
+
+  // Network requests in flight by cache key URL, so concurrent requests share one fetch
+  /** @type {Map<string, { request: Request, response: Promise<Response> }>} */
+  const inFlightRequests = new Map();
+
+  // Sizes of the entries counted towards maxEntries / maxCacheBytes by cache key URL, and their
+  // total, so writes within the limits don't read the whole metadata index. Entries deleted
+  // elsewhere (e.g. invalidated) stay counted until the index is read again, by eviction or
+  // periodic cleanup, which at worst makes a write run eviction early
+  /** @type {{ sizes: Map<string, number>, bytes: number } | null} */
+  let cacheUsage = null;
+
+  /**
+   * Run work in the background of a fetch event. The work is registered with `event.waitUntil`
+   * so the browser keeps the service worker alive until it's done, and is tracked so
+   * `waitForBackgroundWork` can wait for it. Errors are ignored.
+   *
+   * @param {FetchEvent} event - The fetch event the work belongs to
+   * @param {Promise<unknown>} promise - The background work
+   */
+  function waitUntil(event, promise) {
+    /** @type {Promise<void>} */
+    const work = promise
+      .then(
+        () => {},
+        () => {
+          // Ignore background errors
+        }
+      )
+      .finally(() => {
+        backgroundWork.delete(work);
+      });
+    backgroundWork.add(work);
+    if (typeof event.waitUntil === "function") {
+      try {
+        event.waitUntil(work);
+      } catch {
+        // The event is no longer active, the work still runs but may be cut short
+      }
+    }
+  }
+
+  /**
+   * Get the maximum cache age for a cached entry, using the matching route's
+   * `maxCacheAgeSeconds` if it has one. With `respectResponseCacheHeaders`, an entry is kept at
+   * least until the end of the stale TTL (or fresh TTL, without stale caching) derived from its
+   * cached response's headers, so a server-set lifetime isn't cut short.
+   *
+   * @param {string} url - URL of the cached entry
+   * @param {Response} [response] - The cached response
+   * @returns {number} Maximum age in seconds
+   */
+  function getMaxCacheAgeSeconds(url, response) {
+    const route = findRoute(url, routes);
+    const maxAgeSeconds = route?.maxCacheAgeSeconds ?? maxCacheAgeSeconds;
+    const responseTTLs =
+      respectResponseCacheHeaders && response
+        ? getResponseCacheTTLs(response)
+        : null;
+    if (!responseTTLs) {
+      return maxAgeSeconds;
+    }
+    const staleTTLSeconds = route?.staleTTLSeconds ?? defaultStaleTTLSeconds;
+    const staleTTL =
+      responseTTLs.staleTTL ??
+      getFallbackStaleTTL(
+        responseTTLs.ttl,
+        route?.ttlSeconds ?? defaultTTLSeconds,
+        staleTTLSeconds > 0 ? staleTTLSeconds : null
+      );
+    return Math.max(maxAgeSeconds, staleTTL ?? responseTTLs.ttl);
+  }
+
+  /**
+   * Check if GET requests for a URL are cached by default, because it matches a route or the scope
+   *
+   * @param {string} url
+   * @returns {boolean}
+   */
+  function isCachedUrl(url) {
+    return Boolean(
+      findRoute(url, routes) ||
+      (scope && matchesScope(url, scope, defaultTTLSeconds))
+    );
+  }
+
+  /**
+   * Check if a URL has the service worker's origin. Where the origin isn't known (outside a
+   * service worker), every URL is treated as same-origin.
+   *
+   * @param {string} url
+   * @returns {boolean}
+   */
+  function isSameOrigin(url) {
+    if (
+      typeof self === "undefined" ||
+      !self.location ||
+      !self.location.origin
+    ) {
+      return true;
+    }
+    return new URL(url).origin === self.location.origin;
+  }
+
+  /**
+   * Check if invalidation headers on the response to a mutation of a URL are applied (see
+   * `serverInvalidation`). Only same-origin URLs matching the scope or a route are trusted.
+   *
+   * @param {string} url - The mutation URL
+   * @returns {boolean}
+   */
+  function acceptsServerInvalidation(url) {
+    return serverInvalidation && isSameOrigin(url) && isCachedUrl(url);
+  }
+
+  /**
+   * Get the URL a request is cached under, using the `cacheKey` config function if provided.
+   * Relative URLs returned by `cacheKey` are resolved against the request URL.
+   *
+   * @param {Request} request
+   * @returns {Promise<string>}
+   */
+  async function getCacheKeyUrl(request) {
+    if (!customCacheKey) {
+      return request.url;
+    }
+    const keyUrl = await customCacheKey(request);
+    return new URL(String(keyUrl), request.url).toString();
+  }
+
+  /**
+   * Get the cache key for a request, including its partition (see `partitionBy`)
+   * and variant (see `varyHeaders`).
+   *
+   * @param {Request} request
+   * @returns {Promise<Request>}
+   */
+  async function getCacheKey(request) {
+    const keyUrl = await getCacheKeyUrl(request);
+    const partitionId = partitionBy
+      ? await getPartitionId(request, partitionBy)
+      : null;
+    return buildCacheKey(keyUrl, {
+      partition: partitionId ? await hashString(partitionId) : undefined,
+      variant: await getVarySignature(request.headers, varyHeaders)
+    });
+  }
+
+  /**
+   * Look up the cached response for a request. If the cached response has a `Vary` header,
+   * the request's values for those headers must match the values recorded when it was stored,
+   * otherwise it's treated as a miss.
+   *
+   * @param {Cache} cache - The opened cache
+   * @param {Request} cacheKey - The variant cache key for the request
+   * @param {Request} request - The original request
+   * @returns {Promise<Response | undefined>}
+   */
+  async function matchResponse(cache, cacheKey, request) {
+    const cachedResponse = await cache.match(cacheKey);
+    if (!cachedResponse) {
+      return undefined;
+    }
+    const varyHeaderNames = getVaryHeaderNames(cachedResponse);
+    if (varyHeaderNames.length > 0) {
+      const signature = await getVarySignature(
+        request.headers,
+        varyHeaderNames
+      );
+      if (signature !== getHeader(cachedResponse.headers, CACHE_VARY_HEADER)) {
+        logVerbose(`Cache miss (vary): ${request.url}`);
+        return undefined;
+      }
+    }
+    return cachedResponse;
+  }
+
+  /**
+   * Look up the precached response for a request whose cache key has a partition or variant.
+   * Precached entries are keyed without them (see `handleRequest.precache`), so they're shared by
+   * all partitions and variants. Runtime entries under that key aren't served, since they belong
+   * to requests without a partition or variant.
+   *
+   * @param {Cache} cache - The opened cache
+   * @param {Request} cacheKey - The variant cache key for the request
+   * @param {Request} request - The original request
+   * @returns {Promise<Response | undefined>}
+   */
+  async function matchPrecachedResponse(cache, cacheKey, request) {
+    const precacheKey = buildCacheKey(await getCacheKeyUrl(request));
+    if (precacheKey.url === cacheKey.url) {
+      return undefined;
+    }
+    const cachedResponse = await matchResponse(cache, precacheKey, request);
+    return cachedResponse && getPrecacheRevision(cachedResponse) !== null
+      ? cachedResponse
+      : undefined;
+  }
+
+  /**
+   * Create the copy of a response to cache, with a fresh timestamp, its `Vary` header values and
+   * its size. Responses that must not be stored (`Cache-Control: no-store`, `private` when
+   * `sharedDevice` is enabled, or `Vary: *`) and responses larger than `maxCacheBytes` aren't.
+   *
+   * @param {Request} request - The original request, used to record `Vary` header values
+   * @param {Response} response - The response to copy (not consumed)
+   * @returns {Promise<{ response: Response, size: number } | null>} The copy and its size, or
+   * null if the response must not be stored
+   */
+  async function createResponseToCache(request, response) {
+    const varyHeaderNames = getVaryHeaderNames(response);
+    if (isNoStore(response, sharedDevice) || varyHeaderNames.includes("*")) {
+      logVerbose(`Cache entry not stored (no-store): ${request.url}`);
+      return null;
+    }
+    const responseToCache = await addTimestamp(response);
+    if (varyHeaderNames.length > 0) {
+      responseToCache.headers.set(
+        CACHE_VARY_HEADER,
+        await getVarySignature(request.headers, varyHeaderNames)
+      );
+    }
+    const size = await getResponseSize(responseToCache);
+    if (maxCacheBytes !== null && size > maxCacheBytes) {
+      logVerbose(`Cache entry not stored (maxCacheBytes): ${request.url}`);
+      return null;
+    }
+    responseToCache.headers.set(CACHE_SIZE_HEADER, String(size));
+    return { response: responseToCache, size };
+  }
+
+  /**
+   * Store a response in the cache with a fresh timestamp. Responses that must not be stored
+   * (see `createResponseToCache`) are not written, and any existing entry for the request is
+   * evicted instead. When `maxEntries` or `maxCacheBytes` is set, least recently used entries are
+   * evicted after the write. The entry's metadata (see `EntryMetadata`) is recorded in IndexedDB.
+   * Storage errors never fail the request: on a `QuotaExceededError`, least recently used entries
+   * are evicted to make room and the write is retried once, otherwise the response isn't cached.
+   *
+   * @param {Cache} cache - The opened cache
+   * @param {Request} cacheKey - The variant cache key for the request
+   * @param {Request} request - The original request, used to record `Vary` header values
+   * @param {Response} response - The response to store (not consumed, a copy is stored)
+   * @returns {Promise<boolean>} Whether the response was stored
+   */
+  async function storeResponse(cache, cacheKey, request, response) {
+    const copy = await createResponseToCache(request, response);
+    if (!copy) {
+      await cache.delete(cacheKey);
+      return false;
+    }
+    const { response: responseToCache, size } = copy;
+
+    // Keep a copy to retry with, since a failed put may have consumed the body
+    const retryResponse = responseToCache.clone();
+    try {
+      await cache.put(cacheKey, responseToCache);
+    } catch (error) {
+      if (!isQuotaExceededError(error)) {
+        logInfo(`Cache write failed: ${request.url} (${error})`);
+        return false;
+      }
+      try {
+        logInfo(`Cache quota exceeded, evicting entries: ${request.url}`);
+        resetCacheUsage(
+          await evictCacheEntries(cacheName, { freeBytes: size })
+        );
+        await cache.put(cacheKey, retryResponse);
+      } catch (retryError) {
+        logInfo(`Cache write failed: ${request.url} (${retryError})`);
+        return false;
+      }
+    }
+
+    await recordEntryMetadata(cacheName, cacheKey.url, retryResponse);
+    if (maxEntries !== null || maxCacheBytes !== null) {
+      await enforceCacheLimits(
+        cacheKey.url,
+        getPrecacheRevision(retryResponse) === null ? size : null
+      );
+    }
+    return true;
+  }
+
+  /**
+   * Reset the tracked cache usage (see `cacheUsage`) from the metadata of the cached entries
+   *
+   * @param {EntryMetadata[]} entries - Metadata of the cached entries
+   * @returns {{ sizes: Map<string, number>, bytes: number }}
+   */
+  function resetCacheUsage(entries) {
+    const usage = { sizes: new Map(), bytes: 0 };
+    for (const entry of entries) {
+      if (!isPrecachedEntry(entry)) {
+        usage.sizes.set(entry.url, entry.size);
+        usage.bytes += entry.size;
+      }
+    }
+    cacheUsage = usage;
+    return usage;
+  }
+
+  /**
+   * Add a stored entry to the tracked cache usage, and evict least recently used entries if the
+   * cache is now over `maxEntries` or `maxCacheBytes`. Only the first write and writes over the
+   * limits read the metadata index.
+   *
+   * @param {string} url - Cache key URL of the stored entry
+   * @param {number | null} size - Size of the stored entry, or null if it was precached (precached
+   * entries don't count towards the limits)
+   * @returns {Promise<void>}
+   */
+  async function enforceCacheLimits(url, size) {
+    let usage = cacheUsage;
+    if (usage) {
+      usage.bytes -= usage.sizes.get(url) ?? 0;
+      usage.sizes.delete(url);
+      if (size !== null) {
+        usage.sizes.set(url, size);
+        usage.bytes += size;
+      }
+    } else {
+      usage = resetCacheUsage(await getCacheEntriesMetadata(cacheName));
+    }
+    if (
+      (maxEntries === null || usage.sizes.size <= maxEntries) &&
+      (maxCacheBytes === null || usage.bytes <= maxCacheBytes)
+    ) {
+      return;
+    }
+    resetCacheUsage(
+      await evictCacheEntries(cacheName, {
+        maxEntries,
+        maxBytes: maxCacheBytes
+      })
+    );
+  }
+
+  /**
+   * Periodic cleanup: delete entries older than their maximum cache age and, when `maxEntries` or
+   * `maxCacheBytes` is set, evict entries over the limits, which also reconciles the tracked
+   * cache usage with the metadata index.
+   *
+   * @returns {Promise<void>}
+   */
+  async function cleanupCache() {
+    await cleanupOldCacheEntries(cacheName, getMaxCacheAgeSeconds);
+    if (maxEntries !== null || maxCacheBytes !== null) {
+      resetCacheUsage(
+        await evictCacheEntries(cacheName, {
+          maxEntries,
+          maxBytes: maxCacheBytes
+        })
+      );
+    }
+  }
+
+  /**
+   * Post a cache update message to pages if a refreshed response differs from the previously
+   * cached one. Does nothing unless `broadcastUpdates` is enabled, or if the response wasn't
+   * successful. Concurrent checks for the same cache key (e.g. concurrent stale-while-revalidate
+   * refreshes sharing one network request) only broadcast once.
+   *
+   * @param {Request} cacheKey - The variant cache key for the request
+   * @param {Request} request - The original request
+   * @param {Response} previousResponse - The previously cached response (body may be consumed)
+   * @param {Response} response - The refreshed response (body may be consumed)
+   * @returns {Promise<void>}
+   */
+  async function broadcastUpdate(
+    cacheKey,
+    request,
+    previousResponse,
+    response
+  ) {
+    if (
+      !broadcastUpdates ||
+      !response.ok ||
+      pendingUpdateChecks.has(cacheKey.url)
+    ) {
+      return;
+    }
+    pendingUpdateChecks.add(cacheKey.url);
+    try {
+      if (await hasResponseChanged(previousResponse, response)) {
+        logInfo(`Cache updated: ${request.url}`);
+        await postCacheUpdate(cacheName, request.url);
+      }
+    } finally {
+      pendingUpdateChecks.delete(cacheKey.url);
+    }
+  }
+
+  /**
+   * Fetch a request from the network and cache the response if successful.
+   * Concurrent calls for the same cache key share one network request (and one cache write),
+   * and each caller receives its own clone of the response. If the response has a `Vary` header,
+   * it's only shared with callers whose values for those headers match the request that was sent,
+   * the others make their own request.
+   *
+   * @param {Cache} cache - The opened cache
+   * @param {Request} cacheKey - The variant cache key for the request
+   * @param {Request} request - The original request
+   * @param {Response} [cachedResponse] - The currently cached response, if any. Its body is consumed on a 304.
+   * @returns {Promise<Response>} The network response, or the refreshed cached response on a 304
+   */
+  async function fetchAndCache(cache, cacheKey, request, cachedResponse) {
+    const inFlightRequest = inFlightRequests.get(cacheKey.url);
+    if (inFlightRequest) {
+      const response = await inFlightRequest.response;
+      const varyHeaderNames = getVaryHeaderNames(response);
+      if (
+        !varyHeaderNames.includes("*") &&
+        (await getVarySignature(request.headers, varyHeaderNames)) ===
+          (await getVarySignature(
+            inFlightRequest.request.headers,
+            varyHeaderNames
+          ))
+      ) {
+        logVerbose(`Joined in-flight request: ${request.url}`);
+        return response.clone();
+      }
+      logVerbose(`In-flight request not shared (vary): ${request.url}`);
+      return fetchAndStore(cache, cacheKey, request, cachedResponse);
+    }
+
+    const response = fetchAndStore(
+      cache,
+      cacheKey,
+      request,
+      cachedResponse
+    ).finally(() => {
+      inFlightRequests.delete(cacheKey.url);
+    });
+    inFlightRequests.set(cacheKey.url, { request, response });
+    return (await response).clone();
+  }
+
+  /**
+   * Fetch a request from the network and cache the response if successful.
+   * When a cached response is available and has validators (ETag / Last-Modified), the network
+   * request is made conditional. A 304 Not Modified response refreshes the cached entry's
+   * timestamp and returns the cached body instead of re-downloading it.
+   *
+   * @param {Cache} cache - The opened cache
+   * @param {Request} cacheKey - The variant cache key for the request
+   * @param {Request} request - The original request
+   * @param {Response} [cachedResponse] - The currently cached response, if any. Its body is consumed on a 304.
+   * @returns {Promise<Response>} The network response, or the refreshed cached response on a 304
+   */
+  async function fetchAndStore(cache, cacheKey, request, cachedResponse) {
+    const conditionalRequest =
+      conditionalRevalidation && cachedResponse
+        ? getConditionalRequest(request, cachedResponse)
+        : null;
+    const networkResponse = await customFetch(conditionalRequest ?? request);
+
+    if (
+      conditionalRequest &&
+      cachedResponse &&
+      networkResponse.status === 304
+    ) {
+      logVerbose(`Cache revalidated (not modified): ${request.url}`);
+      const refreshedResponse = await addTimestamp(
+        mergeNotModifiedResponse(cachedResponse, networkResponse)
+      );
+      await storeResponse(cache, cacheKey, request, refreshedResponse);
+      return refreshedResponse;
+    }
+
+    // Cache the response if successful
+    if (networkResponse.ok) {
+      await storeResponse(cache, cacheKey, request, networkResponse);
+    }
+    return networkResponse;
+  }
+
+  /**
+   * Get the cache URLs to invalidate for a request. Paths from `X-SW-Cache-Invalidate` headers
+   * take precedence, otherwise a mutation's inferred paths (if enabled), the paths from matching
+   * `invalidationRules` and the matching route's `invalidate` paths are used. Paths are normalized with `normalizeInvalidationPaths`.
+   *
+   * @param {Request} request - The request to get invalidation paths for
+   * @returns {Promise<string[]>}
+   */
+  async function getInvalidationPaths(request) {
+    const url = request.url;
+    const headers = request.headers;
+    const isMutation = ["POST", "PATCH", "PUT", "DELETE"].includes(
+      request.method
+    );
+    const mutationRoute = isMutation ? findRoute(url, routes) : null;
+    let pathsToInvalidate = getAllHeaders(headers, CACHE_INVALIDATE_HEADER);
+
+    // Only add inferred, rule and route paths if no explicit headers were provided
+    // Headers take precedence over inferred paths
+    if (pathsToInvalidate.length === 0 && isMutation) {
+      if (mutationRoute?.inferInvalidation ?? inferInvalidation) {
+        pathsToInvalidate.push(...getInferredInvalidationPaths(url));
+      }
+      pathsToInvalidate.push(
+        ...getRuleInvalidationPaths(url, request.method, invalidationRules)
+      );
+      pathsToInvalidate.push(...(mutationRoute?.invalidate ?? []));
+    }
+
+    return normalizeInvalidationPaths(request, pathsToInvalidate);
+  }
+
+  /**
+   * Normalize invalidation paths for a request. Relative paths are resolved against the request's
+   * origin and mapped through the `cacheKey` function so they match how entries were stored.
+   *
+   * @param {Request} request - The request the paths belong to
+   * @param {string[]} paths - Paths, patterns or full URLs to invalidate
+   * @returns {Promise<string[]>}
+   */
+  async function normalizeInvalidationPaths(request, paths) {
+    const url = request.url;
+    const headers = request.headers;
+    let pathsToInvalidate = paths;
+    if (pathsToInvalidate.length === 0) {
+      return [];
+    }
+
+    // Normalize relative paths to full URLs using the request's origin
+    try {
+      const requestUrlObj = new URL(url);
+      const requestOrigin = requestUrlObj.origin;
+      pathsToInvalidate = pathsToInvalidate.map((path) => {
+        try {
+          // Try to parse as URL - if it fails, it's relative
+          new URL(path);
+          return path; // Already a full URL
+        } catch {
+          // Relative path - construct full URL using request origin
+          return new URL(path, requestOrigin).toString();
+        }
+      });
+    } catch {
+      // If we can't parse the request URL, leave paths as-is
+      // invalidateCache will handle it
+    }
+
+    // Map paths through the cacheKey function so they match how entries were stored.
+    // The request's headers are passed along (e.g. for keys derived from a tenant header)
+    if (customCacheKey) {
+      pathsToInvalidate = await Promise.all(
+        pathsToInvalidate.map(async (path) => {
+          try {
+            return await getCacheKeyUrl(new Request(path, { headers }));
+          } catch {
+            return path;
+          }
+        })
+      );
+    }
+    return pathsToInvalidate;
+  }
+
+  /**
+   * Invalidate cache entries by path (or pattern) and by tag
+   *
+   * @param {string[]} paths - Normalized URLs to invalidate (see `getInvalidationPaths`)
+   * @param {string[]} tags - Tags to invalidate
+   * @returns {Promise<void>}
+   */
+  async function invalidate(paths, tags) {
+    if (paths.length > 0) {
+      await invalidateCache(cacheName, paths);
+    }
+    if (tags.length > 0) {
+      await invalidateTags(cacheName, tags);
+    }
+  }
+
+  /**
+   * Apply invalidation requested by the server with `X-SW-Cache-Invalidate` (paths or patterns)
+   * and `X-SW-Cache-Invalidate-Tag` headers on a mutation response, in addition to the paths
+   * invalidated for the request. Does nothing unless `serverInvalidation` is enabled and the
+   * mutation URL is same-origin and matches the scope or a route.
+   *
+   * @param {Request} request - The mutation request (its body may be consumed)
+   * @param {Response} response - The mutation response
+   * @returns {Promise<void>}
+   */
+  async function invalidateFromResponse(request, response) {
+    if (!acceptsServerInvalidation(request.url)) {
+      return;
+    }
+    const paths = getAllHeaders(response.headers, CACHE_INVALIDATE_HEADER);
+    const tags = getInvalidationTags(response.headers);
+    if (paths.length === 0 && tags.length === 0) {
+      return;
+    }
+    logVerbose(
+      `Server invalidation: ${[...paths, ...tags].join(", ")} (${request.url})`
+    );
+    await invalidate(await normalizeInvalidationPaths(request, paths), tags);
+  }
+
+  /**
+   * Store a successful mutation response as the cached GET response for the resource it
+   * describes (see `writeThrough`), so the next read is a cache hit. Responses for resources
+   * the handler doesn't cache are not stored. Errors are logged and ignored, since the mutation
+   * itself succeeded.
+   *
+   * @param {Request} request - The mutation request (its body may be consumed)
+   * @param {Response} response - The mutation response (not consumed, a copy is stored)
+   * @returns {Promise<void>}
+   */
+  async function writeThroughResponse(request, response) {
+    const resourceUrl = getWriteThroughUrl(request, response);
+    if (!resourceUrl || !isCachedUrl(resourceUrl)) {
+      return;
+    }
+    try {
+      // Key the entry as a GET carrying the mutation's headers, so partitions and variants match
+      const resourceRequest = new Request(resourceUrl, {
+        headers: request.headers
+      });
+      const cache = await caches.open(cacheName);
+      const cacheKey = await getCacheKey(resourceRequest);
+      const responseCopy = response.clone();
+      await storeResponse(
+        cache,
+        cacheKey,
+        resourceRequest,
+        new Response(responseCopy.body, {
+          status: 200,
+          statusText: "OK",
+          headers: responseCopy.headers
+        })
+      );
+      logVerbose(`Cache written through: ${resourceUrl} (${request.url})`);
+    } catch (error) {
+      logInfo(`Cache write-through failed: ${resourceUrl} (${error})`);
+    }
+  }
+
+  /**
+   * Queue a mutation in the outbox because the network is unavailable, and register a
+   * background sync to replay it. If the mutation can't be queued (e.g. IndexedDB is
+   * unavailable), the original network error is thrown.
+   *
+   * @param {Request} request - A copy of the mutation request with its body unread
+   * @param {unknown} networkError - The error from the failed network request
+   * @returns {Promise<Response>} A synthetic `202 Accepted` response
+   */
+  async function queueMutation(request, networkError) {
+    try {
+      const body = await request.arrayBuffer();
+      /** @type {[string, string][]} */
+      const headers = [];
+      request.headers.forEach((value, name) => headers.push([name, value]));
+      await addOutboxEntry({
+        cacheName,
+        method: request.method,
+        url: request.url,
+        headers,
+        body: body.byteLength > 0 ? body : null,
+        timestamp: Date.now()
+      });
+    } catch {
+      throw networkError;
+    }
+    outboxMayHaveEntries = true;
+    queuedMutationCount++;
+    logInfo(`Mutation queued (offline): ${request.method} ${request.url}`);
+
+    // Ask the browser to fire a sync event when the device is back online
+    const registration = /** @type {any} */ (globalThis).registration;
+    try {
+      await registration?.sync?.register(outboxSyncTag);
+    } catch {
+      // Background sync isn't supported, the outbox is replayed on the next successful fetch
+    }
+
+    return new Response(null, {
+      status: 202,
+      statusText: "Accepted",
+      headers: { [CACHE_QUEUED_HEADER]: "true" }
+    });
+  }
+
+  /**
+   * Replay queued mutations in the order they were queued, including mutations queued while
+   * replaying. Each mutation is removed from the outbox once the server responds with a non-5xx
+   * status, and the cache is invalidated for it. Replaying stops at the first network error or
+   * 5xx response, leaving the remaining mutations queued. Only one replay runs at a time.
+   *
+   * @returns {Promise<void>} Rejects if a mutation couldn't be sent or the server failed
+   */
+  function replayOutbox() {
+    if (!outboxReplay) {
+      outboxReplay = (async () => {
+        let entries;
+        let queuedCount;
+        do {
+          queuedCount = queuedMutationCount;
+          entries = await getOutboxEntries(cacheName);
+          for (const entry of entries) {
+            await replayOutboxEntry(entry);
+          }
+        } while (entries.length > 0 || queuedCount !== queuedMutationCount);
+        outboxMayHaveEntries = false;
+      })().finally(() => {
+        outboxReplay = null;
+      });
+    }
+    return outboxReplay;
+  }
+
+  /**
+   * Send a queued mutation, then remove it from the outbox and invalidate the cache for it.
+   * A 5xx response (e.g. from a flaky gateway) leaves the mutation queued.
+   *
+   * @param {OutboxEntry} entry
+   * @returns {Promise<void>} Rejects if the mutation couldn't be sent or the server failed
+   */
+  async function replayOutboxEntry(entry) {
+    const request = new Request(entry.url, {
+      method: entry.method,
+      headers: entry.headers,
+      body: entry.body
+    });
+    const response = await customFetch(request);
+    if (response.status >= 500) {
+      throw new Error(
+        `Mutation replay failed: ${entry.method} ${entry.url} (${response.status})`
+      );
+    }
+    await deleteOutboxEntry(/** @type {number} */ (entry.id));
+    logInfo(`Mutation replayed: ${entry.method} ${entry.url}`);
+
+    // Invalidate once the server has the mutation, cached data is all there is while offline
+    await invalidate(
+      await getInvalidationPaths(request),
+      getInvalidationTags(request.headers)
+    );
+    await invalidateFromResponse(request, response);
+    if (getWriteThrough(request.headers, writeThrough, entry.url)) {
+      await writeThroughResponse(request, response);
+    }
+  }
+
+  /**
+   * Replay the outbox in the background after a successful network response, since that means
+   * the device is back online. Does nothing if no route uses the outbox or it's known to be empty.
+   *
+   * @param {FetchEvent} event - The fetch event the response belongs to
+   * @param {Response} response - The response returned for the event
+   */
+  function replayOutboxAfterResponse(event, response) {
+    if (
+      !outboxEnabled ||
+      !outboxMayHaveEntries ||
+      !response.ok ||
+      getHeader(response.headers, CACHE_TIMESTAMP_HEADER) !== null ||
+      getHeader(response.headers, CACHE_QUEUED_HEADER) !== null
+    ) {
+      return;
+    }
+    waitUntil(event, replayOutbox());
+  }
+
   /**
    * Service worker fetch event handler that implements HTTP caching strategies.
-   * Handles cache invalidation for mutations, implements cache-first/network-first/stale-while-revalidate
-   * strategies for GET requests, and performs automatic cache cleanup.
+   * Handles cache invalidation for mutations, implements cache-first/network-first/stale-while-revalidate/
+   * cache-only/network-only strategies for GET requests, and performs automatic cache cleanup.
    *
    * @param {FetchEvent} event - The fetch event from the service worker
    * @returns {Promise<Response> | null} The cached or fetched response, or null if request shouldn't be handled
    */
-  return function handleRequest(event) {
+  function handleRequest(event) {
     const request = event.request;
     const url = request.url;
     const method = request.method;
@@ -90,47 +935,87 @@ export function createHandleRequest(config) {
     // Handle invalidation for mutations
     // Check for explicit invalidation headers first (works even if inferInvalidation is false)
     const invalidateHeaders = getAllHeaders(headers, CACHE_INVALIDATE_HEADER);
+    const tagsToInvalidate = getInvalidationTags(headers);
     const isMutation = ["POST", "PATCH", "PUT", "DELETE"].includes(method);
+    const mutationRoute = isMutation ? findRoute(url, routes) : null;
+    const shouldInferInvalidation =
+      isMutation && (mutationRoute?.inferInvalidation ?? inferInvalidation);
+    const routeInvalidationPaths = mutationRoute?.invalidate ?? [];
+    const ruleInvalidationPaths = isMutation
+      ? getRuleInvalidationPaths(url, method, invalidationRules)
+      : [];
 
     if (invalidateHeaders.length > 0) {
       invalidateHeaders.forEach((path) => {
         logVerbose(`${CACHE_INVALIDATE_HEADER} header set: ${path} (${url})`);
       });
     }
+    tagsToInvalidate.forEach((tag) => {
+      logVerbose(`${CACHE_INVALIDATE_TAG_HEADER} header set: ${tag} (${url})`);
+    });
+
+    const queueOffline = mutationRoute?.outbox === true;
+    const shouldWriteThrough =
+      isMutation && getWriteThrough(headers, writeThrough, url);
+    // Mutations of cached URLs are handled so the server can request invalidation in the response
+    const shouldReadServerInvalidation =
+      isMutation && acceptsServerInvalidation(url);
 
-    if (invalidateHeaders.length > 0 || (inferInvalidation && isMutation)) {
+    if (
+      invalidateHeaders.length > 0 ||
+      tagsToInvalidate.length > 0 ||
+      shouldInferInvalidation ||
+      routeInvalidationPaths.length > 0 ||
+      ruleInvalidationPaths.length > 0 ||
+      queueOffline ||
+      shouldWriteThrough ||
+      shouldReadServerInvalidation
+    ) {
       return (async () => {
-        let pathsToInvalidate = [...invalidateHeaders];
+        // Keep a copy of the request so it can be queued if the network is unavailable
+        const outboxRequest = queueOffline ? request.clone() : null;
+        // Mutations that may be queued only invalidate once they reached the server, since
+        // cached data is all there is while offline
+        const timing = queueOffline ? "after-success" : invalidationTiming;
 
-        // Only add inferred paths if no explicit headers were provided
-        // Headers take precedence over inferred paths
-        if (pathsToInvalidate.length === 0 && inferInvalidation && isMutation) {
-          pathsToInvalidate.push(...getInferredInvalidationPaths(url));
+        const pathsToInvalidate = await getInvalidationPaths(request);
+        if (timing !== "after-success") {
+          await invalidate(pathsToInvalidate, tagsToInvalidate);
         }
 
-        // Normalize relative paths to full URLs using the mutation request's origin
-        if (pathsToInvalidate.length > 0) {
+        // Send queued mutations first, so an older edit can't overwrite this one on the server.
+        // If they can't be sent, this mutation is queued behind them
+        if (outboxRequest && outboxMayHaveEntries) {
           try {
-            const requestUrlObj = new URL(url);
-            const requestOrigin = requestUrlObj.origin;
-            pathsToInvalidate = pathsToInvalidate.map((path) => {
-              try {
-                // Try to parse as URL - if it fails, it's relative
-                new URL(path);
-                return path; // Already a full URL
-              } catch {
-                // Relative path - construct full URL using request origin
-                return new URL(path, requestOrigin).toString();
-              }
-            });
-          } catch {
-            // If we can't parse the request URL, leave paths as-is
-            // invalidateCache will handle it
+            await replayOutbox();
+          } catch (error) {
+            return queueMutation(outboxRequest, error);
           }
-          await invalidateCache(cacheName, pathsToInvalidate);
         }
 
-        return customFetch(request);
+        let response;
+        try {
+          response = await customFetch(request);
+        } catch (error) {
+          if (outboxRequest) {
+            return queueMutation(outboxRequest, error);
+          }
+          throw error;
+        }
+
+        // Invalidate (again) once the mutation succeeded, so entries re-populated with old data
+        // while it was in flight are removed. Failed mutations leave the cache untouched
+        if (timing !== "before" && response.ok) {
+          await invalidate(pathsToInvalidate, tagsToInvalidate);
+        }
+        await invalidateFromResponse(request, response);
+
+        // Write through after invalidating, so the new entry isn't removed with the old ones
+        if (shouldWriteThrough) {
+          await writeThroughResponse(request, response);
+        }
+        replayOutboxAfterResponse(event, response);
+        return response;
       })();
     }
 
@@ -142,21 +1027,10 @@ export function createHandleRequest(config) {
     // Only cache same-origin requests - cross-origin requests are not cached
     // In service worker context, self.location.origin is the service worker's origin
     try {
-      const requestUrl = new URL(url);
-      // Check if we're in a service worker context and can determine the origin
-      if (
-        typeof self !== "undefined" &&
-        self.location &&
-        self.location.origin
-      ) {
-        const serviceWorkerOrigin = self.location.origin;
-        // If request origin doesn't match service worker origin, don't cache
-        if (requestUrl.origin !== serviceWorkerOrigin) {
-          return null;
-        }
+      // If request origin doesn't match service worker origin, don't cache
+      if (!isSameOrigin(url)) {
+        return null;
       }
-      // In test environments where self.location might not be available,
-      // we rely on the test setup to ensure proper origin handling
     } catch (error) {
       // If URL parsing fails, don't cache
       return null;
@@ -165,21 +1039,25 @@ export function createHandleRequest(config) {
     // Periodic cleanup: run on first fetch and every 100 fetches
     fetchCounter++;
     if (fetchCounter === 1 || fetchCounter % 100 === 0) {
-      // Run cleanup asynchronously, don't block the fetch
-      cleanupOldCacheEntries(cacheName, maxCacheAgeSeconds).catch(() => {
-        // Ignore cleanup errors
-      });
+      // Run cleanup in the background, don't block the fetch
+      waitUntil(event, cleanupCache());
       if (fetchCounter % 100 === 0) {
         fetchCounter = 1; // Reset to 1 after cleanup, not 0
       }
     }
 
-    // Check if request matches scope and should be cached
+    // Check if request matches a route or scope and should be cached
+    // Route settings override config defaults, request headers override both
+    const route = findRoute(url, routes);
     const hasExplicitTTLHeader = getHeader(headers, CACHE_TTL_HEADER) !== null;
-    const ttl = getTTL(headers, defaultTTLSeconds, url);
+    const ttl = getTTL(headers, route?.ttlSeconds ?? defaultTTLSeconds, url);
 
-    // If scope doesn't match and there's no explicit TTL header, don't handle the request
-    if (!matchesScope(url, scope, defaultTTLSeconds) && !hasExplicitTTLHeader) {
+    // If no route or scope matches and there's no explicit TTL header, don't handle the request
+    if (
+      !route &&
+      !(scope && matchesScope(url, scope, defaultTTLSeconds)) &&
+      !hasExplicitTTLHeader
+    ) {
       return null;
     }
 
@@ -188,159 +1066,267 @@ export function createHandleRequest(config) {
       return null;
     }
 
-    const staleTTL = getStaleTTL(headers, defaultStaleTTLSeconds, url);
-    const strategy = getStrategy(headers, defaultStrategy, url);
+    const staleTTL = getStaleTTL(
+      headers,
+      route?.staleTTLSeconds ?? defaultStaleTTLSeconds,
+      url
+    );
+    const hasExplicitStaleTTLHeader =
+      getHeader(headers, CACHE_STALE_TTL_HEADER) !== null;
+    const strategy = getStrategy(
+      headers,
+      route?.strategy ?? defaultStrategy,
+      url,
+      strategyNames
+    );
+    const networkTimeout = getNetworkTimeout(
+      headers,
+      route?.networkTimeoutSeconds ?? networkTimeoutSeconds,
+      url
+    );
 
-    // Handle cache-first strategy
-    if (strategy === "cache-first") {
-      return (async () => {
-        const cache = await caches.open(cacheName);
-        const cachedResponse = await cache.match(request);
+    /**
+     * Resolve the fresh and stale TTLs used to validate a cached response.
+     * Request headers take precedence, then the cached response's own Cache-Control/Expires
+     * headers (when respectResponseCacheHeaders is enabled), then the config defaults.
+     * A response without a stale window of its own keeps the configured one after its fresh TTL.
+     * @param {Response | undefined} cachedResponse
+     * @returns {{ ttl: number, staleTTL: number | null }}
+     */
+    const getEntryTTLs = (cachedResponse) => {
+      const responseTTLs =
+        respectResponseCacheHeaders && cachedResponse
+          ? getResponseCacheTTLs(cachedResponse)
+          : null;
+      if (!responseTTLs) {
+        return { ttl, staleTTL };
+      }
+      const entryTTL = hasExplicitTTLHeader ? ttl : responseTTLs.ttl;
+      return {
+        ttl: entryTTL,
+        staleTTL: hasExplicitStaleTTLHeader
+          ? staleTTL
+          : (responseTTLs.staleTTL ??
+            getFallbackStaleTTL(entryTTL, ttl, staleTTL))
+      };
+    };
 
-        if (cachedResponse) {
-          if (isFresh(cachedResponse, ttl)) {
-            logInfo(`Cache hit: ${url}`);
-            return cachedResponse;
-          }
+    const strategyHandler = strategies[strategy];
+    if (!strategyHandler) {
+      return null;
+    }
+
+    return (async () => {
+      const cache = await caches.open(cacheName);
+      const cacheKey = await getCacheKey(request);
 
+      /** @type {StrategyContext} */
+      const context = {
+        request,
+        url,
+        cache,
+        cacheKey,
+        ttl,
+        staleTTL,
+        networkTimeout,
+        isFresh: (response) => isFresh(response, getEntryTTLs(response).ttl),
+        isStale: (response) => {
+          const entry = getEntryTTLs(response);
+          return isStale(response, entry.ttl, entry.staleTTL);
+        },
+        match: async () => {
+          const cachedResponse = await matchResponse(cache, cacheKey, request);
+          if (!cachedResponse) {
+            return matchPrecachedResponse(cache, cacheKey, request);
+          }
           // Reactive cleanup: delete if older than maxCacheAgeSeconds
-          if (isOlderThanMaxAge(cachedResponse, maxCacheAgeSeconds)) {
+          if (
+            isOlderThanMaxAge(
+              cachedResponse,
+              getMaxCacheAgeSeconds(url, cachedResponse)
+            )
+          ) {
             logVerbose(`Cache entry cleaned up (maxAge): ${url}`);
-            await cache.delete(request); // Fire-and-forget cleanup
+            await cache.delete(cacheKey);
+            return undefined;
           }
-        }
-
-        // No fresh cache, fetch from network
-        if (!cachedResponse) {
-          logVerbose(`Cache miss: ${url}`);
-        } else if (!isStale(cachedResponse, ttl, staleTTL)) {
-          logVerbose(`Cache miss (stale): ${url}`);
-        }
-        let networkResponse;
-        try {
-          networkResponse = await customFetch(request);
-        } catch (error) {
-          // Network failed, return stale cache if available
-          if (cachedResponse && isStale(cachedResponse, ttl, staleTTL)) {
-            logInfo(`Cache hit (stale, offline): ${url}`);
-            return cachedResponse;
+          if (maxEntries !== null || maxCacheBytes !== null) {
+            waitUntil(event, recordEntryAccess(cacheName, cacheKey.url));
           }
-          throw error;
-        }
+          return cachedResponse;
+        },
+        fetchAndCache: (cachedResponse) =>
+          fetchAndCache(cache, cacheKey, request, cachedResponse),
+        put: (response) => storeResponse(cache, cacheKey, request, response),
+        broadcastUpdate: (previousResponse, response) =>
+          broadcastUpdate(cacheKey, request, previousResponse, response),
+        waitUntil: (promise) => waitUntil(event, promise),
+        customFetch
+      };
+      const response = await strategyHandler(context);
+      replayOutboxAfterResponse(event, response);
+      return response;
+    })();
+  }
 
-        // Cache the response if successful
-        if (networkResponse.ok) {
-          const responseToCache = addTimestamp(networkResponse.clone());
-          await cache.put(request, responseToCache);
-        }
-        return networkResponse;
-      })();
+  /**
+   * Wait until all background work started by the handler (stale-while-revalidate refreshes,
+   * network timeout updates, cleanup) has settled, including work started while waiting.
+   * Useful in tests.
+   *
+   * @returns {Promise<void>}
+   */
+  handleRequest.waitForBackgroundWork = async () => {
+    while (backgroundWork.size > 0) {
+      await Promise.all(backgroundWork);
     }
+  };
 
-    // Handle network-first strategy
-    if (strategy === "network-first") {
-      return (async () => {
-        const cache = await caches.open(cacheName);
-
-        let networkResponse;
-        try {
-          networkResponse = await customFetch(request);
-        } catch (error) {
-          // Network failed, try cache
-          const cachedResponse = await cache.match(request);
-          if (cachedResponse) {
-            // Reactive cleanup: delete if older than maxCacheAgeSeconds
-            if (isOlderThanMaxAge(cachedResponse, maxCacheAgeSeconds)) {
-              logVerbose(`Cache entry cleaned up (maxAge): ${url}`);
-              cache.delete(request); // Fire-and-forget cleanup
-              throw error;
-            }
-            if (
-              isFresh(cachedResponse, ttl) ||
-              isStale(cachedResponse, ttl, staleTTL)
-            ) {
-              logInfo(`Cache hit (offline): ${url}`);
-              return cachedResponse;
-            }
-          }
-          logVerbose(`Cache miss (offline): ${url}`);
-          throw error;
-        }
+  /**
+   * Handle a background sync event by replaying the outbox (see `Route.outbox`). Returns null for
+   * sync events that weren't registered by this handler.
+   *
+   * @param {ExtendableEvent & { tag: string }} event - The sync event from the service worker
+   * @returns {Promise<void> | null} Resolves once all queued mutations were sent, rejects if the
+   * network is still unavailable (so the browser retries the sync later)
+   */
+  handleRequest.handleSync = (event) => {
+    if (event.tag !== outboxSyncTag) {
+      return null;
+    }
+    return replayOutbox();
+  };
 
-        // Cache the response if successful
-        if (networkResponse.ok) {
-          const responseToCache = addTimestamp(networkResponse.clone());
-          await cache.put(request, responseToCache);
+  /**
+   * Get the manifest entries with their cache keys. Entries are keyed like a GET request without
+   * headers, and without a partition or variant, so they're shared by all partitions and variants
+   * (see `matchPrecachedResponse`). Relative URLs are resolved against the service worker's location.
+   *
+   * @param {PrecacheManifest} manifest
+   * @returns {Promise<{ url: string, revision: string, request: Request, cacheKey: Request }[]>}
+   * @throws {Error} If the manifest is invalid or lists a URL the handler doesn't cache
+   */
+  async function getPrecacheEntries(manifest) {
+    const baseUrl =
+      typeof self !== "undefined" && self.location
+        ? self.location.href
+        : undefined;
+    const entries = parsePrecacheManifest(manifest, baseUrl);
+    return Promise.all(
+      entries.map(async ({ url, revision }) => {
+        if (!isCachedUrl(url)) {
+          throw new Error(
+            `precache manifest entry is not in scope or a route: ${url}`
+          );
         }
-        return networkResponse;
-      })();
-    }
+        const request = new Request(url);
+        const cacheKey = buildCacheKey(await getCacheKeyUrl(request));
+        return { url, revision, request, cacheKey };
+      })
+    );
+  }
 
-    // Handle stale-while-revalidate strategy
-    if (strategy === "stale-while-revalidate") {
-      return (async () => {
-        const cache = await caches.open(cacheName);
-        const cachedResponse = await cache.match(request);
+  /**
+   * Populate the cache from a precache manifest, so its entries are served by the handler (and
+   * available offline) before they're first requested. Entries that are already cached with the
+   * same revision are skipped, the others are fetched (bypassing the HTTP cache) and stored with
+   * their revision. Entries that replace a cached response are staged instead, and swapped in by
+   * `cleanupPrecache`, since the active service worker may still be serving from the cache.
+   * Precached entries are always fresh, and aren't removed by age-based cleanup or
+   * `maxEntries` / `maxCacheBytes` eviction. Call it from the `install` event.
+   *
+   * @param {PrecacheManifest} manifest
+   * @returns {Promise<void>} Rejects if an entry couldn't be fetched or stored (e.g. it's
+   * `no-store`, or larger than `maxCacheBytes`), which fails the install
+   */
+  handleRequest.precache = async (manifest) => {
+    const entries = await getPrecacheEntries(manifest);
+    const cache = await caches.open(cacheName);
+    // Entries staged by an install that didn't activate are outdated
+    await caches.delete(precacheStagingCacheName);
+    const stagingCache = await caches.open(precacheStagingCacheName);
+    const cachedRevisions = new Map(
+      (await getCacheEntriesMetadata(cacheName)).map((entry) => [
+        entry.url,
+        entry.revision
+      ])
+    );
 
-        if (cachedResponse) {
-          // Reactive cleanup: delete if older than maxCacheAgeSeconds
-          if (isOlderThanMaxAge(cachedResponse, maxCacheAgeSeconds)) {
-            logVerbose(`Cache entry cleaned up (maxAge): ${url}`);
-            cache.delete(request); // Fire-and-forget cleanup
-            // Continue to fetch from network
-          } else {
-            const fresh = isFresh(cachedResponse, ttl);
-            const stale = isStale(cachedResponse, ttl, staleTTL);
-
-            if (fresh || stale) {
-              if (fresh) {
-                logInfo(`Cache hit: ${url}`);
-              } else {
-                logInfo(`Cache hit (stale): ${url}`);
-              }
-              // Return cached response immediately
-              // Update cache in background if stale
-              if (stale) {
-                customFetch(request)
-                  .then((networkResponse) => {
-                    if (networkResponse.ok) {
-                      const responseToCache = addTimestamp(
-                        networkResponse.clone()
-                      );
-                      cache.put(request, responseToCache);
-                    }
-                  })
-                  .catch(() => {
-                    // Ignore background update errors
-                  });
-              }
-              return cachedResponse;
-            }
+    const updatedEntries = entries.filter(
+      ({ cacheKey, revision }) => cachedRevisions.get(cacheKey.url) !== revision
+    );
+    await Promise.all(
+      updatedEntries.map(async ({ url, revision, request, cacheKey }) => {
+        const response = await customFetch(
+          new Request(url, { cache: "reload" })
+        );
+        if (!response.ok) {
+          throw new Error(
+            `Precache request failed: ${url} (${response.status})`
+          );
+        }
+        const responseCopy = new Response(response.body, {
+          status: response.status,
+          statusText: response.statusText,
+          headers: response.headers
+        });
+        responseCopy.headers.set(CACHE_REVISION_HEADER, revision);
+        if (!cachedRevisions.has(cacheKey.url)) {
+          if (!(await storeResponse(cache, cacheKey, request, responseCopy))) {
+            throw new Error(`Precache entry not stored: ${url}`);
           }
+          logVerbose(`Precached: ${url}`);
+          return;
         }
-
-        // No cache or too stale, fetch from network, no need for fallback if offline
-        // because we already know if there was a cached response it won't be
-        // fresh or stale if we've reached this point
-        if (!cachedResponse) {
-          logVerbose(`Cache miss: ${url}`);
-        } else {
-          logVerbose(`Cache miss (too stale): ${url}`);
+        const copy = await createResponseToCache(request, responseCopy);
+        if (!copy) {
+          throw new Error(`Precache entry not stored: ${url}`);
         }
-        const networkResponse = await customFetch(request);
+        await stagingCache.put(cacheKey, copy.response);
+        logVerbose(`Precached (staged until activated): ${url}`);
+      })
+    );
+    logInfo(
+      `Precached ${updatedEntries.length} entr${updatedEntries.length === 1 ? "y" : "ies"} (${entries.length - updatedEntries.length} unchanged)`
+    );
+  };
 
-        // Cache the response if successful
-        if (networkResponse.ok) {
-          const responseToCache = addTimestamp(networkResponse.clone());
-          await cache.put(request, responseToCache);
-        }
-        return networkResponse;
-      })();
+  /**
+   * Swap in the entries staged by `precache`, and delete precached entries that are no longer in
+   * the precache manifest. Call it from the `activate` event, so the previous service worker
+   * version keeps serving its entries until it's replaced.
+   *
+   * @param {PrecacheManifest} manifest - The current precache manifest
+   * @returns {Promise<void>}
+   */
+  handleRequest.cleanupPrecache = async (manifest) => {
+    const entries = await getPrecacheEntries(manifest);
+    const cache = await caches.open(cacheName);
+    const stagingCache = await caches.open(precacheStagingCacheName);
+    for (const { url, revision, request, cacheKey } of entries) {
+      const stagedResponse = await stagingCache.match(cacheKey);
+      // Only the revisions of this manifest, in case another version was installed meanwhile
+      if (
+        stagedResponse &&
+        getPrecacheRevision(stagedResponse) === revision &&
+        (await storeResponse(cache, cacheKey, request, stagedResponse))
+      ) {
+        logVerbose(`Precache entry activated: ${url}`);
+      }
     }
-
-    return null;
+    await caches.delete(precacheStagingCacheName);
+    await cleanupPrecachedEntries(
+      cacheName,
+      new Set(entries.map(({ cacheKey }) => cacheKey.url))
+    );
   };
+
+  return handleRequest;
 }
 
-// Export cleanup function for manual use
-export { cleanupOldCacheEntries } from "./helpers.js";
+// Export cleanup, tag invalidation and stats functions for manual use
+export {
+  cleanupOldCacheEntries,
+  invalidateTags,
+  getCacheStats
+} from "./helpers.js";
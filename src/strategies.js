@@ -0,0 +1,195 @@
+// @ts-check
+
+// This library is meant to be called from service workers, so we include
+// webworker types and exclude DOM types (which don't exist in service workers)
+/// <reference no-default-lib="true"/>
+/// <reference lib="esnext" />
+/// <reference lib="webworker" />
+/// <reference path="./typedefs.js" />
+
+import { withTimeout, logInfo, logVerbose } from "./helpers.js";
+
+/**
+ * Cache-first: Return from cache if fresh, otherwise fetch from network.
+ * Stale cache is only used when the network request fails.
+ * @param {StrategyContext} context
+ * @returns {Promise<Response>}
+ */
+export async function cacheFirst(context) {
+  const { url } = context;
+  const cachedResponse = await context.match();
+
+  if (cachedResponse && context.isFresh(cachedResponse)) {
+    logInfo(`Cache hit: ${url}`);
+    return cachedResponse;
+  }
+
+  // No fresh cache, fetch from network
+  if (!cachedResponse) {
+    logVerbose(`Cache miss: ${url}`);
+  } else if (!context.isStale(cachedResponse)) {
+    logVerbose(`Cache miss (stale): ${url}`);
+  }
+  try {
+    return await context.fetchAndCache(cachedResponse);
+  } catch (error) {
+    // Network failed, return stale cache if available
+    if (cachedResponse && context.isStale(cachedResponse)) {
+      logInfo(`Cache hit (stale, offline): ${url}`);
+      return cachedResponse;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Network-first: Fetch from network, falling back to fresh or stale cache when the network
+ * request fails or takes longer than the network timeout.
+ * @param {StrategyContext} context
+ * @returns {Promise<Response>}
+ */
+export async function networkFirst(context) {
+  const { url } = context;
+  const cachedResponse = await context.match();
+  const usableCachedResponse =
+    cachedResponse &&
+    (context.isFresh(cachedResponse) || context.isStale(cachedResponse))
+      ? cachedResponse
+      : undefined;
+
+  // With a network timeout, a fresh or stale cached response is served if the
+  // network is too slow. Without a usable cached response, wait for the network.
+  if (usableCachedResponse && context.networkTimeout !== null) {
+    // Clone so the network request can't consume the body of the fallback response
+    const previousResponse = usableCachedResponse.clone();
+    const networkPromise = context.fetchAndCache(usableCachedResponse.clone());
+    try {
+      const networkResponse = await withTimeout(
+        networkPromise,
+        context.networkTimeout
+      );
+      if (networkResponse) {
+        return networkResponse;
+      }
+    } catch {
+      logInfo(`Cache hit (offline): ${url}`);
+      return usableCachedResponse;
+    }
+    // Let the network request finish and update the cache in the background
+    context.waitUntil(
+      networkPromise.then((response) =>
+        context.broadcastUpdate(previousResponse, response)
+      )
+    );
+    logInfo(`Cache hit (network timeout): ${url}`);
+    return usableCachedResponse;
+  }
+
+  try {
+    return await context.fetchAndCache(cachedResponse);
+  } catch (error) {
+    // Network failed, try cache
+    if (usableCachedResponse) {
+      logInfo(`Cache hit (offline): ${url}`);
+      return usableCachedResponse;
+    }
+    logVerbose(`Cache miss (offline): ${url}`);
+    throw error;
+  }
+}
+
+/**
+ * Stale-while-revalidate: Return fresh or stale cache immediately, updating stale entries in
+ * the background. Fetch from network if too stale or missing.
+ * @param {StrategyContext} context
+ * @returns {Promise<Response>}
+ */
+export async function staleWhileRevalidate(context) {
+  const { url } = context;
+  const cachedResponse = await context.match();
+
+  if (cachedResponse) {
+    const fresh = context.isFresh(cachedResponse);
+    const stale = context.isStale(cachedResponse);
+
+    if (fresh || stale) {
+      if (fresh) {
+        logInfo(`Cache hit: ${url}`);
+      } else {
+        logInfo(`Cache hit (stale): ${url}`);
+      }
+      // Return cached response immediately
+      // Update cache in background if stale
+      if (stale) {
+        // Clone so the background revalidation can't consume the returned body
+        const previousResponse = cachedResponse.clone();
+        context.waitUntil(
+          context
+            .fetchAndCache(cachedResponse.clone())
+            .then((response) =>
+              context.broadcastUpdate(previousResponse, response)
+            )
+        );
+      }
+      return cachedResponse;
+    }
+  }
+
+  // No cache or too stale, fetch from network, no need for fallback if offline
+  // because we already know if there was a cached response it won't be
+  // fresh or stale if we've reached this point
+  if (!cachedResponse) {
+    logVerbose(`Cache miss: ${url}`);
+  } else {
+    logVerbose(`Cache miss (too stale): ${url}`);
+  }
+  return context.fetchAndCache(cachedResponse);
+}
+
+/**
+ * Cache-only: Return fresh or stale cache, otherwise a synthetic 504 response.
+ * Never fetches from the network.
+ * @param {StrategyContext} context
+ * @returns {Promise<Response>}
+ */
+export async function cacheOnly(context) {
+  const { url } = context;
+  const cachedResponse = await context.match();
+
+  if (cachedResponse) {
+    if (context.isFresh(cachedResponse)) {
+      logInfo(`Cache hit: ${url}`);
+      return cachedResponse;
+    }
+    if (context.isStale(cachedResponse)) {
+      logInfo(`Cache hit (stale): ${url}`);
+      return cachedResponse;
+    }
+  }
+
+  // Never go to the network, respond like an unreachable gateway instead
+  logVerbose(`Cache miss (cache-only): ${url}`);
+  return new Response(null, { status: 504, statusText: "Gateway Timeout" });
+}
+
+/**
+ * Network-only: Always fetch from network without reading or writing the cache.
+ * @param {StrategyContext} context
+ * @returns {Promise<Response>}
+ */
+export function networkOnly(context) {
+  logVerbose(`Network only: ${context.url}`);
+  return context.customFetch(context.request);
+}
+
+/**
+ * Built-in strategies by name
+ * @type {Record<CacheStrategy, Strategy>}
+ */
+export const builtInStrategies = {
+  "cache-first": cacheFirst,
+  "network-first": networkFirst,
+  "stale-while-revalidate": staleWhileRevalidate,
+  "cache-only": cacheOnly,
+  "network-only": networkOnly
+};
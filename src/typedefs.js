@@ -3,9 +3,11 @@
 /**
  * Caching strategy for handling requests.
  * - `cache-first`: Return from cache if fresh (within TTL), otherwise fetch from network immediately. Stale cache is only used when offline (network request fails). No background updates.
- * - `network-first`: Try network first, fall back to stale cache if offline (within stale TTL). Cache updated when network succeeds.
+ * - `network-first`: Try network first, fall back to stale cache if offline (within stale TTL) or if the network takes longer than `networkTimeoutSeconds`. Cache updated when network succeeds.
  * - `stale-while-revalidate`: Return from cache immediately (fresh = no update, stale = update in background). Fetch from network if too stale or missing.
- * @typedef {"cache-first" | "network-first" | "stale-while-revalidate"} CacheStrategy
+ * - `cache-only`: Return from cache if fresh or stale, otherwise return a synthetic `504 Gateway Timeout` response. Never fetches from the network.
+ * - `network-only`: Always fetch from the network without reading or writing the cache. Unlike not handling the request, it still participates in logging.
+ * @typedef {"cache-first" | "network-first" | "stale-while-revalidate" | "cache-only" | "network-only"} CacheStrategy
  */
 
 /**
@@ -16,15 +18,173 @@
  * @typedef {"none" | "minimal" | "verbose"} LoggingLevel
  */
 
+/**
+ * When mutations invalidate cache entries.
+ * - `before`: Before the mutation is sent to the network
+ * - `after-success`: After the mutation succeeds (2xx response). Failed mutations leave the cache untouched
+ * - `both`: Before the mutation is sent, and again after it succeeds
+ * @typedef {"before" | "after-success" | "both"} InvalidationTiming
+ */
+
+/**
+ * How to derive the cache partition id for a request.
+ * - `"authorization"`: The `Authorization` request header
+ * - `{ header: string }`: Another request header
+ * - `{ cookie: string }`: A cookie, read from the `Cookie` header or the Cookie Store API
+ * - `function`: Custom function returning the partition id (or `null` for the anonymous partition)
+ * @typedef {"authorization" | { header: string } | { cookie: string } | ((request: Request) => string | null | Promise<string | null>)} PartitionBy
+ */
+
+/**
+ * Pattern used to match a request URL.
+ * - `string` without `*`: Pathname prefix (e.g. `/api/config`), like `scope`
+ * - `string` with `*`: Pathname glob, where `*` matches within a path segment and `**` matches across segments (e.g. `/api/users/*`)
+ * - `RegExp`: Tested against the pathname
+ * - `URLPattern` (or any object with a `test(url)` method): Tested against the full URL
+ * @typedef {string | RegExp | { test: (url: string) => boolean }} RoutePattern
+ */
+
+/**
+ * Per-route caching settings. Route settings override the config defaults, and request headers override route settings.
+ * @typedef Route
+ * @property {RoutePattern} match - Pattern the request URL must match. Routes are checked in order and the first match wins.
+ * @property {CacheStrategy | string} [strategy] - Caching strategy for GET requests matching this route. Can be a built-in strategy or the name of a custom strategy from `config.strategies`.
+ * @property {number} [ttlSeconds] - Fresh TTL for GET requests matching this route. Set to `0` to opt the route out of caching.
+ * @property {number} [staleTTLSeconds] - Stale TTL for GET requests matching this route.
+ * @property {number} [maxCacheAgeSeconds] - Maximum age before cached entries matching this route are cleaned up.
+ * @property {number} [networkTimeoutSeconds] - Network timeout for network-first GET requests matching this route.
+ * @property {boolean} [inferInvalidation] - Whether mutations matching this route infer invalidation paths. Overrides the `inferInvalidation` config option.
+ * @property {string[]} [invalidate] - Additional paths to invalidate when a mutation (POST/PATCH/PUT/DELETE) matches this route. Paths can be glob patterns (e.g. `/api/users/**`).
+ * @property {boolean} [outbox] - Queue mutations matching this route in an IndexedDB outbox when the network is unavailable, and respond with a synthetic `202 Accepted` (with the `X-SW-Cache-Queued` header). Queued mutations (including those the server answered with a 5xx error on replay) are replayed in order on the `sync` event (see `handleRequest.handleSync`) or after the next successful network response, invalidating the cache for each. A new mutation on an outbox route replays the queued ones before it's sent, and is queued behind them if they can't be sent. Mutations on outbox routes only invalidate once they reach the server (like `invalidationTiming: "after-success"`), so cached data stays available while they're queued.
+ */
+
+/**
+ * Rule for inferring which cache entries a mutation invalidates. Every rule matching a mutation
+ * applies, in addition to the inferred paths (see `inferInvalidation`).
+ * @typedef InvalidationRule
+ * @property {string} match - Path template the mutation's pathname must match. `:name` matches a single path segment and captures it as a param, `*` and `**` work like route globs (e.g. `/api/orgs/:org/projects/:id`).
+ * @property {string[]} [methods] - Mutation methods the rule applies to (e.g. `["PATCH", "PUT"]`). Defaults to all (POST/PATCH/PUT/DELETE).
+ * @property {string[]} [invalidate] - Paths to invalidate, with `:name` params filled from `match` (e.g. `/api/orgs/:org/dashboard`). Paths can be glob patterns.
+ * @property {boolean} [ancestors] - Also invalidate every ancestor path of the mutation URL (e.g. `/api/orgs/42/projects`, `/api/orgs/42`, `/api/orgs` and `/api` for `/api/orgs/42/projects/7`).
+ * @property {boolean} [descendants] - Also invalidate every path below the mutation URL (e.g. `/api/orgs/42/projects/7/**`).
+ */
+
+/**
+ * Context passed to a caching strategy for a GET request.
+ * @typedef StrategyContext
+ * @property {Request} request - The request being handled
+ * @property {string} url - The request URL
+ * @property {Cache} cache - The opened cache
+ * @property {Request} cacheKey - The key the request is cached under (see `cacheKey`, `partitionBy` and `varyHeaders`)
+ * @property {number} ttl - Fresh TTL in seconds from the request header, route or config default
+ * @property {number | null} staleTTL - Stale TTL in seconds from the request header, route or config default, or null if stale responses are disabled
+ * @property {number | null} networkTimeout - Network timeout in seconds from the request header, route or config default, or null if there's no timeout
+ * @property {(response: Response) => boolean} isFresh - Whether a cached response is within its fresh TTL (takes `respectResponseCacheHeaders` into account)
+ * @property {(response: Response) => boolean} isStale - Whether a cached response is past its fresh TTL but within its stale TTL
+ * @property {() => Promise<Response | undefined>} match - Look up the cached response for the request. Entries older than `maxCacheAgeSeconds` are deleted and not returned.
+ * @property {(cachedResponse?: Response) => Promise<Response>} fetchAndCache - Fetch the request from the network and cache a successful response. Pass the cached response (its body may be consumed) to revalidate it with `If-None-Match` / `If-Modified-Since`.
+ * @property {(response: Response) => Promise<boolean>} put - Store a response in the cache for the request (a copy is stored). Resolves to whether it was stored
+ * @property {(previousResponse: Response, response: Response) => Promise<void>} broadcastUpdate - Post a cache update message to pages if `response` differs from `previousResponse` (and `broadcastUpdates` is enabled). Both bodies may be consumed.
+ * @property {(promise: Promise<unknown>) => void} waitUntil - Register background work (e.g. a revalidation) with `event.waitUntil` so the service worker stays alive until it's done. Errors are ignored.
+ * @property {typeof fetch} customFetch - The configured fetch function
+ */
+
+/**
+ * A caching strategy. Receives a context for a GET request and returns the response to respond with.
+ * @typedef {(context: StrategyContext) => Response | Promise<Response>} Strategy
+ */
+
+/**
+ * Message posted to pages when a background refresh changes a cached response (see `broadcastUpdates`).
+ * @typedef CacheUpdateMessage
+ * @property {"swimple:cache-updated"} type - Message type
+ * @property {string} cacheName - Name of the cache that was updated
+ * @property {string} url - URL of the request whose cached response changed
+ */
+
+/**
+ * A mutation queued in the outbox while offline (see `Route.outbox`).
+ * @typedef OutboxEntry
+ * @property {number} [id] - Auto-incremented id, assigned when the entry is added
+ * @property {string} cacheName - Name of the cache of the handler that queued the mutation
+ * @property {string} method - Request method
+ * @property {string} url - Request URL
+ * @property {[string, string][]} headers - Request headers
+ * @property {ArrayBuffer | null} body - Request body
+ * @property {number} timestamp - When the mutation was queued (milliseconds since epoch)
+ */
+
+/**
+ * Metadata of a cached entry, kept in IndexedDB alongside the Cache API so cleanup, eviction,
+ * tag invalidation and stats don't need to read cached responses.
+ * @typedef EntryMetadata
+ * @property {string} cacheName - Name of the cache the entry is stored in
+ * @property {string} url - Cache key URL of the entry
+ * @property {number | null} timestamp - When the entry was cached (milliseconds since epoch)
+ * @property {number} size - Size of the response body in bytes
+ * @property {string[]} tags - Cache tags declared by the response (see `X-SW-Cache-Tags`)
+ * @property {number | null} lastAccess - When the entry was last written or served from the cache (milliseconds since epoch)
+ * @property {string | null} revision - Manifest revision of a precached entry (empty if the URL itself is versioned), null for entries cached at runtime
+ */
+
+/**
+ * Statistics about a cache, returned by `getCacheStats`.
+ * @typedef CacheStats
+ * @property {number} entries - Number of cached entries
+ * @property {number} bytes - Total size of the cached response bodies in bytes
+ * @property {number | null} oldestTimestamp - When the oldest entry was cached (milliseconds since epoch)
+ * @property {number | null} newestTimestamp - When the newest entry was cached (milliseconds since epoch)
+ */
+
+/**
+ * An entry of a precache manifest: a URL (relative URLs are resolved against the service worker's
+ * location) and a revision that changes whenever the content at the URL changes. URLs that
+ * already contain a content hash (e.g. `/app.3f2a1c.js`) can omit the revision, or be listed as
+ * plain strings.
+ * @typedef PrecacheEntry
+ * @property {string} url - URL to precache
+ * @property {string | null} [revision] - Revision of the content, e.g. a hash of the file
+ */
+
+/**
+ * A list of URLs to precache, as plain strings or `PrecacheEntry` objects.
+ * @typedef {Array<string | PrecacheEntry>} PrecacheManifest
+ */
+
+/**
+ * Request handler returned by `createHandleRequest`.
+ * - `waitForBackgroundWork()`: Resolves once all background work started by the handler has settled
+ * - `handleSync(event)`: Replays the outbox for this handler's background sync events, returns null for other sync events
+ * - `precache(manifest)`: Fetches and caches the manifest's entries that are new or whose revision changed, call it from the `install` event
+ * - `cleanupPrecache(manifest)`: Swaps in the entries `precache` staged because they replace a cached response, and deletes precached entries that are no longer in the manifest, call it from the `activate` event
+ * @typedef {((event: FetchEvent) => Promise<Response> | null) & { waitForBackgroundWork: () => Promise<void>, handleSync: (event: ExtendableEvent & { tag: string }) => Promise<void> | null, precache: (manifest: PrecacheManifest) => Promise<void>, cleanupPrecache: (manifest: PrecacheManifest) => Promise<void> }} HandleRequest
+ */
+
 /**
  * @typedef HandleRequestConfig
  * @property {string} cacheName - Name of the cache, used when calling `Cache.open(cacheName)` internally. Changing this name effectively clears the previous cache entries.
  * @property {string[]} [scope] - URL prefixes to cache by default (e.g., `['/api/']`). If not set and `defaultTTLSeconds` is set, all same-origin GET requests are cached automatically. If not set and `defaultTTLSeconds` is not set (or 0), no requests are cached by default. Individual requests outside the scope can still enable caching with `X-SW-Cache-TTL-Seconds` header. Note: Cross-origin requests are never cached, regardless of scope or TTL headers.
- * @property {CacheStrategy} [defaultStrategy] - Default caching strategy: `'cache-first'`, `'network-first'`, or `'stale-while-revalidate'`.
+ * @property {Route[]} [routes] - Per-route strategy, TTL, max age and invalidation settings, matched by prefix, glob, RegExp or URLPattern. GET requests matching a route are cached even if they're outside `scope`. If `routes` is set without `scope`, only requests matching a route are cached by default.
+ * @property {CacheStrategy | string} [defaultStrategy] - Default caching strategy: `'cache-first'`, `'network-first'`, `'stale-while-revalidate'`, `'cache-only'`, `'network-only'` or the name of a custom strategy from `strategies`.
+ * @property {Record<string, Strategy>} [strategies] - Custom strategies by name. Custom strategies can be used as `defaultStrategy`, as a route's `strategy` or via the `X-SW-Cache-Strategy` header, and can replace a built-in strategy by using its name.
  * @property {number} [defaultTTLSeconds] - Maximum age for fresh content. Fresh content will be returned from cache for cache-first and stale-while-revalidate strategies, and also from network-first when offline. Fresh content does not get updated from the network. Since this defaults to `300`, caching is automatic by default for GET requests matching the scope. Set to `0` or `undefined` to disable automatic caching (individual requests can still enable caching with `X-SW-Cache-TTL-Seconds` header).
  * @property {number} [defaultStaleTTLSeconds] - Maximum age for stale content. Stale content will be returned from cache for cache-first (when offline), network-first (when offline), and stale-while-revalidate strategies. That means responses past the fresh TTL but within stale TTL can still be returned from cache. Stale content does get updated from the network.
  * @property {boolean} [inferInvalidation] - Automatically invalidate cache on POST/PATCH/PUT/DELETE requests.
+ * @property {InvalidationRule[]} [invalidationRules] - Rules mapping mutation paths (with `:name` params) to additional paths to invalidate, so inference matches your resource graph. Every matching rule applies, in addition to the inferred paths. Rules apply even with `inferInvalidation: false`, which can be used to replace the built-in inference with your rules. Like inferred paths, rules are skipped when the request has `X-SW-Cache-Invalidate` headers.
+ * @property {InvalidationTiming} [invalidationTiming] - When mutations invalidate cache entries: `"before"` the request is sent, `"after-success"` (only once it succeeds, failed mutations leave the cache untouched) or `"both"` (before, and again after it succeeds, removing entries a concurrent GET re-populated with old data in between). Defaults to `"before"`.
+ * @property {boolean} [serverInvalidation] - Apply `X-SW-Cache-Invalidate` (paths or patterns) and `X-SW-Cache-Invalidate-Tag` headers set on mutation responses, in addition to the paths invalidated for the request. Only same-origin mutations of URLs matching the scope or a route are trusted, and they're handled (even with `inferInvalidation: false`) so their responses can be read. Defaults to `true`.
+ * @property {boolean} [writeThrough] - Store the body of a successful PUT/PATCH response as the cached GET response for the request URL (or for the `Location` of a `201 Created`, which also applies to POST), so the next read is a cache hit. The entry is written after invalidation, and only for URLs the handler caches. Can be overridden per request with the `X-SW-Cache-Write-Through` header. Defaults to `false`.
  * @property {typeof fetch} [customFetch] - Custom fetch function to use for network requests. Receives a `Request` object and must return a `Promise<Response>`. Useful for handling authentication errors (401/403) or adding custom headers to all requests.
- * @property {number} [maxCacheAgeSeconds] - Maximum age (in seconds) before cache entries are automatically cleaned up. Entries older than this age are deleted. Defaults to 7200 seconds (2 hours, which is 2x the default stale TTL). Cache entries are cleaned up reactively (when accessed) and periodically (every 100 fetches).
+ * @property {number} [maxCacheAgeSeconds] - Maximum age (in seconds) before cache entries are automatically cleaned up. Entries older than this age are deleted. Defaults to 7200 seconds (2 hours, which is 2x the default stale TTL). Cache entries are cleaned up reactively (when accessed) and periodically (every 100 fetches). With `respectResponseCacheHeaders`, entries are kept until their response-derived stale TTL has passed, even if that's longer.
+ * @property {number} [maxEntries] - Maximum number of entries in the cache. When a write exceeds it, the least recently used entries (by cache hits and writes) are evicted. Unlimited by default.
+ * @property {number} [maxCacheBytes] - Maximum total size (in bytes) of the cached response bodies. When a write exceeds it, the least recently used entries are evicted, and responses larger than the budget are not cached. Sizes come from `Content-Length` or are measured. Unlimited by default.
+ * @property {number} [networkTimeoutSeconds] - How long (in seconds) network-first requests wait for the network before serving a fresh or stale cached response. The network request keeps running and updates the cache in the background. Requests without a usable cached response always wait for the network. Set to `0` or `undefined` to wait indefinitely. Can be overridden per request with the `X-SW-Cache-Network-Timeout` header.
+ * @property {boolean} [respectResponseCacheHeaders] - Derive fresh and stale TTLs from the cached response's own `Cache-Control` (`max-age`, `s-maxage`, `stale-while-revalidate`, `stale-if-error`), `Expires` and `Age` headers. Request headers (`X-SW-Cache-TTL-Seconds`, `X-SW-Cache-Stale-TTL-Seconds`) still override, and responses without freshness information fall back to `defaultTTLSeconds` and `defaultStaleTTLSeconds`. Responses without a stale window of their own keep the configured one (`defaultStaleTTLSeconds - defaultTTLSeconds`) after their fresh TTL. Defaults to `false`.
+ * @property {boolean} [conditionalRevalidation] - When a cached response has an `ETag` or `Last-Modified` header, send `If-None-Match` / `If-Modified-Since` when fetching a new copy from the network. A `304 Not Modified` response refreshes the cached entry's timestamp and keeps the cached body. Defaults to `true`.
+ * @property {boolean} [sharedDevice] - Treat responses with `Cache-Control: private` like `no-store`: they are never written to the cache and any existing entry for the URL is evicted. Useful for kiosks and other devices shared between users. Responses with `Cache-Control: no-store` are never cached regardless of this option. Defaults to `false`.
+ * @property {string[]} [varyHeaders] - Request header names (e.g. `['Accept-Language']`) whose values select a separate cache entry for the same URL. Variants are stored side by side and invalidated together. Responses with a `Vary` header are additionally only served to requests with matching values for those headers.
+ * @property {(request: Request) => string | URL | Promise<string | URL>} [cacheKey] - Function that returns the URL a GET request is cached under, instead of the full request URL. Useful for sorting query parameters, dropping tracking parameters (e.g. `utm_*`) or folding in a tenant ID. Invalidation paths are passed through the same function (as GET requests carrying the mutation's headers) so they match the stored entries.
+ * @property {PartitionBy} [partitionBy] - Store cached entries in separate partitions per user, so one user is never served another user's cached response. The partition id is derived from the `Authorization` header (`"authorization"`), another request header (`{ header: "X-User-Id" }`), a cookie (`{ cookie: "session" }`) or a custom function, and is hashed before it's used in a cache key. Requests without a partition id share an anonymous partition.
+ * @property {boolean} [broadcastUpdates] - After a background refresh (stale-while-revalidate, or network-first after a network timeout), compare the new response to the previously cached one (`ETag`, `Last-Modified`, `Content-Length` or a body hash) and, if it changed, post a `CacheUpdateMessage` to pages via `BroadcastChannel` (or `clients.matchAll` where `BroadcastChannel` isn't available). Use `onCacheUpdate` from `swimple/updates` to listen. Defaults to `false`.
  * @property {LoggingLevel} [loggingLevel] - Logging level: "none" (no logging), "minimal" (cache hits and invalidation only), or "verbose" (all logging including misses, cleanup, and headers). Defaults to "none".
  */
@@ -0,0 +1,67 @@
+// @ts-check
+
+/// <reference path="./typedefs.js" />
+
+/**
+ * Page-side helpers for cache update messages sent by swimple's service worker when
+ * `broadcastUpdates` is enabled. These can be imported in non-service-worker code.
+ *
+ * @example
+ * // Node.js / npm import
+ * import { onCacheUpdate } from "swimple/updates";
+ *
+ * @example
+ * // CDN import
+ * import { onCacheUpdate } from "https://cdn.jsdelivr.net/npm/swimple@1.0.6/src/updates.js";
+ */
+
+/**
+ * Name of the `BroadcastChannel` cache update messages are posted to.
+ */
+export const CACHE_UPDATES_CHANNEL = "swimple-cache-updates";
+
+/**
+ * Value of the `type` property of cache update messages.
+ */
+export const CACHE_UPDATED_MESSAGE_TYPE = "swimple:cache-updated";
+
+/**
+ * Listen for cache update messages, sent when a background refresh stores a response that
+ * differs from the previously cached one. Messages are received through a `BroadcastChannel`,
+ * or from the service worker directly in browsers without `BroadcastChannel` support.
+ *
+ * @param {(message: CacheUpdateMessage) => void} callback - Called with each cache update message
+ * @param {{ cacheName?: string }} [options] - Only receive updates for this cache name
+ * @returns {() => void} Function that stops listening
+ */
+export function onCacheUpdate(callback, { cacheName } = {}) {
+  /**
+   * @param {MessageEvent} event
+   */
+  const handleMessage = (event) => {
+    const message = event.data;
+    if (!message || message.type !== CACHE_UPDATED_MESSAGE_TYPE) {
+      return;
+    }
+    if (cacheName && message.cacheName !== cacheName) {
+      return;
+    }
+    callback(message);
+  };
+
+  const channel =
+    typeof BroadcastChannel === "function"
+      ? new BroadcastChannel(CACHE_UPDATES_CHANNEL)
+      : null;
+  channel?.addEventListener("message", handleMessage);
+
+  const serviceWorker =
+    typeof navigator !== "undefined" ? navigator.serviceWorker : undefined;
+  serviceWorker?.addEventListener("message", handleMessage);
+
+  return () => {
+    channel?.removeEventListener("message", handleMessage);
+    channel?.close();
+    serviceWorker?.removeEventListener("message", handleMessage);
+  };
+}
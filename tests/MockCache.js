@@ -4,6 +4,31 @@
  * Mock Cache API implementation for Node.js unit tests
  * Provides a simple in-memory implementation of the browser Cache API
  */
+
+/**
+ * A stored response. Like the browser Cache API, the body is read in full when the entry is
+ * written, rather than keeping the (single-use) Response object around.
+ * @typedef {Object} MockCacheEntry
+ * @property {ArrayBuffer | null} body
+ * @property {number} status
+ * @property {string} statusText
+ * @property {[string, string][]} headers
+ */
+
+/**
+ * Create a response from a stored entry.
+ * Browser Cache API returns cloned responses, so we match that behavior
+ * @param {MockCacheEntry} entry
+ * @returns {Response}
+ */
+function toResponse(entry) {
+  return new Response(entry.body, {
+    status: entry.status,
+    statusText: entry.statusText,
+    headers: entry.headers
+  }).clone();
+}
+
 export class MockCacheStorage {
   /** @type {Map<string, Cache>} */
   _caches = new Map();
@@ -16,7 +41,7 @@ export class MockCacheStorage {
   async open(name) {
     if (!this._caches.has(name)) {
       const cache = {
-        /** @type {Map<string, Response>} */
+        /** @type {Map<string, MockCacheEntry>} */
         _entries: new Map(),
         /**
          * @param {Request | string} request
@@ -24,9 +49,8 @@ export class MockCacheStorage {
          */
         async match(request) {
           const url = typeof request === "string" ? request : request.url;
-          const response = this._entries.get(url);
-          // Browser Cache API returns cloned responses, so we match that behavior
-          return response ? response.clone() : undefined;
+          const entry = this._entries.get(url);
+          return entry ? toResponse(entry) : undefined;
         },
         /**
          * @param {Request | string} request
@@ -43,7 +67,7 @@ export class MockCacheStorage {
             const requestUrlObj = new URL(requestUrl);
             const requestPathname = requestUrlObj.pathname;
 
-            for (const [cachedUrl, response] of this._entries.entries()) {
+            for (const [cachedUrl, entry] of this._entries.entries()) {
               try {
                 const cachedUrlObj = new URL(cachedUrl);
                 const cachedPathname = cachedUrlObj.pathname;
@@ -51,14 +75,12 @@ export class MockCacheStorage {
                 if (ignoreSearch) {
                   // Match by pathname only (ignore query parameters)
                   if (cachedPathname === requestPathname) {
-                    const clonedResponse = response.clone();
-                    matchingResponses.push(clonedResponse);
+                    matchingResponses.push(toResponse(entry));
                   }
                 } else {
                   // Exact match (including query parameters)
                   if (cachedUrl === requestUrl) {
-                    const clonedResponse = response.clone();
-                    matchingResponses.push(clonedResponse);
+                    matchingResponses.push(toResponse(entry));
                   }
                 }
               } catch {
@@ -67,10 +89,9 @@ export class MockCacheStorage {
             }
           } catch {
             // If request URL is invalid, try exact match
-            const response = this._entries.get(requestUrl);
-            if (response) {
-              const clonedResponse = response.clone();
-              matchingResponses.push(clonedResponse);
+            const entry = this._entries.get(requestUrl);
+            if (entry) {
+              matchingResponses.push(toResponse(entry));
             }
           }
 
@@ -83,7 +104,15 @@ export class MockCacheStorage {
          */
         async put(request, response) {
           const url = typeof request === "string" ? request : request.url;
-          this._entries.set(url, response);
+          const headers = /** @type {Iterable<[string, string]>} */ (
+            /** @type {unknown} */ (response.headers)
+          );
+          this._entries.set(url, {
+            body: response.body === null ? null : await response.arrayBuffer(),
+            status: response.status,
+            statusText: response.statusText,
+            headers: Array.from(headers)
+          });
         },
         /**
          * @param {Request | string} request
@@ -0,0 +1,289 @@
+// @ts-check
+
+/**
+ * Mock IndexedDB implementation for Node.js tests
+ * Provides a simple in-memory implementation of the subset of the browser IndexedDB API used by swimple.
+ * Requests and transactions complete asynchronously (in a microtask), like in browsers.
+ */
+
+/**
+ * @typedef MockStoreData
+ * @property {string | string[]} keyPath
+ * @property {boolean} autoIncrement
+ * @property {Map<any, any>} records - Records by key (array keys are stored as JSON)
+ * @property {number} nextKey
+ * @property {Map<string, string>} indexes - Index key paths by index name
+ */
+
+/**
+ * Convert a key to the value records are stored under. Array keys (from array key paths)
+ * are compared by value, so they're stored as JSON.
+ * @param {any} key
+ * @returns {any}
+ */
+function toRecordKey(key) {
+  return Array.isArray(key) ? JSON.stringify(key) : key;
+}
+
+/**
+ * Minimal IDBRequest: result is set and onsuccess/onerror is called asynchronously
+ */
+class MockRequest {
+  /** @type {any} */
+  result = undefined;
+  /** @type {any} */
+  error = null;
+  /** @type {((event?: any) => void) | null} */
+  onsuccess = null;
+  /** @type {((event?: any) => void) | null} */
+  onerror = null;
+  /** @type {((event?: any) => void) | null} */
+  onupgradeneeded = null;
+}
+
+/**
+ * Minimal IDBIndex: supports getAll with an exact key
+ */
+class MockIndex {
+  /**
+   * @param {MockObjectStore} store
+   * @param {string} keyPath
+   */
+  constructor(store, keyPath) {
+    this._store = store;
+    this._keyPath = keyPath;
+  }
+
+  /** @param {any} [query] */
+  getAll(query) {
+    return this._store._request(() =>
+      this._store
+        ._sortedRecords()
+        .filter(
+          (record) => query === undefined || record[this._keyPath] === query
+        )
+    );
+  }
+}
+
+class MockObjectStore {
+  /**
+   * @param {MockTransaction} transaction
+   * @param {MockStoreData} data
+   */
+  constructor(transaction, data) {
+    this._transaction = transaction;
+    this._data = data;
+  }
+
+  /**
+   * @param {() => any} operation
+   * @returns {MockRequest}
+   */
+  _request(operation) {
+    return this._transaction._request(operation);
+  }
+
+  /**
+   * @param {any} value
+   * @param {boolean} overwrite
+   */
+  _write(value, overwrite) {
+    const record = structuredClone(value);
+    const keyPath = this._data.keyPath;
+    let key = Array.isArray(keyPath)
+      ? keyPath.map((path) => record[path])
+      : record[keyPath];
+    if (key === undefined && this._data.autoIncrement) {
+      key = this._data.nextKey++;
+      record[/** @type {string} */ (keyPath)] = key;
+    }
+    if (!overwrite && this._data.records.has(toRecordKey(key))) {
+      throw new DOMException("Key already exists", "ConstraintError");
+    }
+    this._data.records.set(toRecordKey(key), record);
+    return key;
+  }
+
+  /** @returns {any[]} Copies of all records, sorted by key */
+  _sortedRecords() {
+    return [...this._data.records.keys()]
+      .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0))
+      .map((key) => structuredClone(this._data.records.get(key)));
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} keyPath
+   */
+  createIndex(name, keyPath) {
+    this._data.indexes.set(name, keyPath);
+    return new MockIndex(this, keyPath);
+  }
+
+  /** @param {string} name */
+  index(name) {
+    const keyPath = this._data.indexes.get(name);
+    if (keyPath === undefined) {
+      throw new DOMException(`No index named ${name}`, "NotFoundError");
+    }
+    return new MockIndex(this, keyPath);
+  }
+
+  /** @param {any} value */
+  add(value) {
+    return this._request(() => this._write(value, false));
+  }
+
+  /** @param {any} value */
+  put(value) {
+    return this._request(() => this._write(value, true));
+  }
+
+  /** @param {any} key */
+  get(key) {
+    return this._request(() =>
+      structuredClone(this._data.records.get(toRecordKey(key)))
+    );
+  }
+
+  getAll() {
+    return this._request(() => this._sortedRecords());
+  }
+
+  /** @param {any} key */
+  delete(key) {
+    return this._request(() => {
+      this._data.records.delete(toRecordKey(key));
+      return undefined;
+    });
+  }
+
+  clear() {
+    return this._request(() => {
+      this._data.records.clear();
+      return undefined;
+    });
+  }
+}
+
+class MockTransaction {
+  /** @type {any} */
+  error = null;
+  /** @type {((event?: any) => void) | null} */
+  oncomplete = null;
+  /** @type {((event?: any) => void) | null} */
+  onerror = null;
+  /** @type {((event?: any) => void) | null} */
+  onabort = null;
+  _pending = 0;
+
+  /** @param {MockDatabase} db */
+  constructor(db) {
+    this._db = db;
+  }
+
+  /** @param {string} name */
+  objectStore(name) {
+    const data = this._db._stores.get(name);
+    if (!data) {
+      throw new DOMException(`No object store named ${name}`, "NotFoundError");
+    }
+    return new MockObjectStore(this, data);
+  }
+
+  /**
+   * @param {() => any} operation
+   * @returns {MockRequest}
+   */
+  _request(operation) {
+    const request = new MockRequest();
+    this._pending++;
+    queueMicrotask(() => {
+      try {
+        request.result = operation();
+        request.onsuccess?.();
+      } catch (error) {
+        request.error = error;
+        this.error = error;
+        request.onerror?.();
+        this.onerror?.();
+      }
+      this._pending--;
+      if (this._pending === 0) {
+        queueMicrotask(() => {
+          if (this.error) {
+            this.onabort?.();
+          } else {
+            this.oncomplete?.();
+          }
+        });
+      }
+    });
+    return request;
+  }
+}
+
+class MockDatabase {
+  /** @type {Map<string, MockStoreData>} */
+  _stores = new Map();
+  version = 0;
+
+  get objectStoreNames() {
+    const names = [...this._stores.keys()];
+    return { contains: (/** @type {string} */ name) => names.includes(name) };
+  }
+
+  /**
+   * Create an object store. Must be called during an upgrade, and returns the store so indexes
+   * can be created on it.
+   * @param {string} name
+   * @param {{ keyPath?: string | string[], autoIncrement?: boolean }} options
+   */
+  createObjectStore(name, options = {}) {
+    /** @type {MockStoreData} */
+    const data = {
+      keyPath: options.keyPath ?? "id",
+      autoIncrement: options.autoIncrement ?? false,
+      records: new Map(),
+      nextKey: 1,
+      indexes: new Map()
+    };
+    this._stores.set(name, data);
+    return new MockObjectStore(new MockTransaction(this), data);
+  }
+
+  /** @param {string} _name */
+  transaction(_name) {
+    return new MockTransaction(this);
+  }
+
+  close() {}
+}
+
+export class MockIndexedDB {
+  /** @type {Map<string, MockDatabase>} */
+  _databases = new Map();
+
+  /**
+   * @param {string} name
+   * @param {number} version
+   */
+  open(name, version = 1) {
+    const request = new MockRequest();
+    queueMicrotask(() => {
+      let db = this._databases.get(name);
+      if (!db) {
+        db = new MockDatabase();
+        this._databases.set(name, db);
+      }
+      request.result = db;
+      if (db.version < version) {
+        db.version = version;
+        request.onupgradeneeded?.();
+      }
+      request.onsuccess?.();
+    });
+    return request;
+  }
+}
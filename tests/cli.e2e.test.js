@@ -0,0 +1,169 @@
+// @ts-check
+/**
+ * End-to-end tests for the swimple CLI (bin/swimple.mjs)
+ * Runs the CLI against a temporary build directory
+ */
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import { spawnSync } from "node:child_process";
+import {
+  mkdtempSync,
+  mkdirSync,
+  readFileSync,
+  rmSync,
+  writeFileSync
+} from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+const cliPath = fileURLToPath(new URL("../bin/swimple.mjs", import.meta.url));
+
+/**
+ * Run the CLI
+ * @param {string[]} args
+ */
+function runCli(args) {
+  return spawnSync(process.execPath, [cliPath, ...args], {
+    encoding: "utf-8"
+  });
+}
+
+describe("swimple precache", () => {
+  /** @type {string} */
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), "swimple-cli-"));
+    mkdirSync(join(dir, "assets"));
+    writeFileSync(join(dir, "index.html"), "<h1>Hello</h1>");
+    writeFileSync(join(dir, "assets", "app.js"), "console.log('app');");
+    writeFileSync(join(dir, "assets", "app.js.map"), "{}");
+    writeFileSync(join(dir, "sw.js"), "// service worker");
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("writes a JS module with a revision for each file", async () => {
+    const result = runCli(["precache", dir]);
+    assert.strictEqual(result.status, 0, result.stderr);
+
+    const outputPath = join(dir, "precache-manifest.js");
+    const { default: manifest } = await import(pathToFileURL(outputPath).href);
+    assert.deepStrictEqual(
+      manifest.map((/** @type {{ url: string }} */ entry) => entry.url),
+      ["/assets/app.js", "/assets/app.js.map", "/index.html", "/sw.js"]
+    );
+    for (const entry of manifest) {
+      assert.match(entry.revision, /^[0-9a-f]{16}$/);
+    }
+  });
+
+  test("filters files with include and exclude globs", () => {
+    const outputPath = join(dir, "manifest.json");
+    const result = runCli([
+      "precache",
+      dir,
+      "--include",
+      "**/*.{html,js}",
+      "--exclude",
+      "sw.js",
+      "--output",
+      outputPath
+    ]);
+    assert.strictEqual(result.status, 0, result.stderr);
+
+    const manifest = JSON.parse(readFileSync(outputPath, "utf-8"));
+    assert.deepStrictEqual(
+      manifest.map((/** @type {{ url: string }} */ entry) => entry.url),
+      ["/assets/app.js", "/index.html"]
+    );
+  });
+
+  test("changes a file's revision only when its content changes", () => {
+    const outputPath = join(dir, "manifest.json");
+    /** @returns {Record<string, string>} */
+    const getRevisions = () => {
+      assert.strictEqual(
+        runCli(["precache", dir, "--output", outputPath]).status,
+        0
+      );
+      const manifest = JSON.parse(readFileSync(outputPath, "utf-8"));
+      return Object.fromEntries(
+        manifest.map(
+          (/** @type {{ url: string, revision: string }} */ entry) => [
+            entry.url,
+            entry.revision
+          ]
+        )
+      );
+    };
+
+    const before = getRevisions();
+    writeFileSync(join(dir, "index.html"), "<h1>Hello again</h1>");
+    const after = getRevisions();
+
+    assert.notStrictEqual(after["/index.html"], before["/index.html"]);
+    assert.strictEqual(after["/assets/app.js"], before["/assets/app.js"]);
+    // The output file isn't part of the manifest
+    assert.strictEqual(after["/manifest.json"], undefined);
+  });
+
+  test("prefixes URLs with the path the directory is served from", () => {
+    const outputPath = join(dir, "manifest.json");
+    const result = runCli([
+      "precache",
+      dir,
+      "--include",
+      "index.html",
+      "--prefix",
+      "/app",
+      "--output",
+      outputPath
+    ]);
+    assert.strictEqual(result.status, 0, result.stderr);
+
+    const manifest = JSON.parse(readFileSync(outputPath, "utf-8"));
+    assert.deepStrictEqual(
+      manifest.map((/** @type {{ url: string }} */ entry) => entry.url),
+      ["/app/index.html"]
+    );
+  });
+
+  test("encodes URL characters in file names", () => {
+    writeFileSync(join(dir, "assets", "x#y?z.css"), "");
+    writeFileSync(join(dir, "assets", "my file.css"), "");
+    const outputPath = join(dir, "manifest.json");
+    const result = runCli([
+      "precache",
+      dir,
+      "--include",
+      "**/*.css",
+      "--output",
+      outputPath
+    ]);
+    assert.strictEqual(result.status, 0, result.stderr);
+
+    const manifest = JSON.parse(readFileSync(outputPath, "utf-8"));
+    assert.deepStrictEqual(
+      manifest.map((/** @type {{ url: string }} */ entry) => entry.url),
+      ["/assets/my%20file.css", "/assets/x%23y%3Fz.css"]
+    );
+  });
+
+  test("fails with usage information for invalid arguments", () => {
+    const missingDir = runCli(["precache"]);
+    assert.strictEqual(missingDir.status, 1);
+    assert.match(missingDir.stderr, /Usage: swimple precache <dir>/);
+
+    const notADirectory = runCli(["precache", join(dir, "index.html")]);
+    assert.strictEqual(notADirectory.status, 1);
+    assert.match(notADirectory.stderr, /Not a directory/);
+
+    const unknownOption = runCli(["precache", dir, "--bogus"]);
+    assert.strictEqual(unknownOption.status, 1);
+    assert.match(unknownOption.stderr, /Unknown option '--bogus'/);
+  });
+});
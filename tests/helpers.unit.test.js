@@ -12,14 +12,51 @@ import {
   isFresh,
   isStale,
   addTimestamp,
+  getConditionalRequest,
+  mergeNotModifiedResponse,
   getInferredInvalidationPaths,
   getStrategy,
   getTTL,
   getStaleTTL,
+  getNetworkTimeout,
+  getWriteThrough,
+  getWriteThroughUrl,
+  withTimeout,
+  parseCacheControl,
+  getResponseCacheTTLs,
+  getFallbackStaleTTL,
   matchesScope,
+  globToRegExp,
+  pathTemplateToRegExp,
+  getPathTemplateParams,
+  fillPathTemplate,
+  getRuleInvalidationPaths,
+  compileInvalidationRules,
+  matchesPattern,
+  findRoute,
   validateConfig,
   isOlderThanMaxAge,
-  cleanupOldCacheEntries
+  isNoStore,
+  getVaryHeaderNames,
+  getVarySignature,
+  buildCacheKey,
+  hasResponseChanged,
+  postCacheUpdate,
+  getPartitionId,
+  parseCacheTags,
+  getResponseCacheTags,
+  getInvalidationTags,
+  cleanupOldCacheEntries,
+  evictCacheEntries,
+  getCacheEntriesMetadata,
+  recordEntryMetadata,
+  recordEntryAccess,
+  getCacheStats,
+  clearCache,
+  parsePrecacheManifest,
+  cleanupPrecachedEntries,
+  getResponseSize,
+  isQuotaExceededError
 } from "../src/helpers.js";
 import "./test-setup.js";
 
@@ -163,6 +200,14 @@ describe("isFresh", () => {
     const result = isFresh(response, 5); // 5 second TTL
     assert.strictEqual(result, false); // age >= ttl, so not fresh
   });
+
+  test("returns true for precached responses regardless of age", () => {
+    const headers = new Headers();
+    headers.set("x-sw-cache-timestamp", (Date.now() - 10000).toString());
+    headers.set("x-sw-cache-revision", "abc123");
+    const response = new Response(null, { headers });
+    assert.strictEqual(isFresh(response, 5), true);
+  });
 });
 
 describe("isStale", () => {
@@ -210,13 +255,13 @@ describe("isStale", () => {
 });
 
 describe("addTimestamp", () => {
-  test("adds timestamp header to response", () => {
+  test("adds timestamp header to response", async () => {
     const originalResponse = new Response("test body", {
       status: 200,
       statusText: "OK",
       headers: { "Content-Type": "text/plain" }
     });
-    const result = addTimestamp(originalResponse);
+    const result = await addTimestamp(originalResponse);
     const timestamp = getCacheTimestamp(result);
     assert.notStrictEqual(timestamp, null);
     assert.ok(typeof timestamp === "number");
@@ -225,31 +270,107 @@ describe("addTimestamp", () => {
 
   test("preserves response body", async () => {
     const originalResponse = new Response("test body");
-    const result = addTimestamp(originalResponse);
+    const result = await addTimestamp(originalResponse);
     const body = await result.text();
     assert.strictEqual(body, "test body");
   });
 
-  test("preserves response status and statusText", () => {
+  test("preserves response status and statusText", async () => {
     const originalResponse = new Response(null, {
       status: 404,
       statusText: "Not Found"
     });
-    const result = addTimestamp(originalResponse);
+    const result = await addTimestamp(originalResponse);
     assert.strictEqual(result.status, 404);
     assert.strictEqual(result.statusText, "Not Found");
   });
 
-  test("preserves existing headers", () => {
+  test("preserves existing headers", async () => {
     const originalResponse = new Response(null, {
       headers: { "Content-Type": "application/json", "X-Custom": "value" }
     });
-    const result = addTimestamp(originalResponse);
+    const result = await addTimestamp(originalResponse);
     assert.strictEqual(result.headers.get("Content-Type"), "application/json");
     assert.strictEqual(result.headers.get("X-Custom"), "value");
   });
 });
 
+describe("getConditionalRequest", () => {
+  test("adds If-None-Match and If-Modified-Since from cached validators", () => {
+    const request = new Request("https://example.com/api/users", {
+      headers: { Accept: "application/json" }
+    });
+    const cachedResponse = new Response("data", {
+      headers: {
+        ETag: '"abc123"',
+        "Last-Modified": "Wed, 21 Oct 2026 07:28:00 GMT"
+      }
+    });
+    const result = getConditionalRequest(request, cachedResponse);
+    assert(result, "Should return a conditional request");
+    assert.strictEqual(result.url, request.url);
+    assert.strictEqual(result.headers.get("If-None-Match"), '"abc123"');
+    assert.strictEqual(
+      result.headers.get("If-Modified-Since"),
+      "Wed, 21 Oct 2026 07:28:00 GMT"
+    );
+    assert.strictEqual(result.headers.get("Accept"), "application/json");
+  });
+
+  test("returns null when cached response has no validators", () => {
+    const request = new Request("https://example.com/api/users");
+    const result = getConditionalRequest(request, new Response("data"));
+    assert.strictEqual(result, null);
+  });
+
+  test("returns null when request already has conditional headers", () => {
+    const request = new Request("https://example.com/api/users", {
+      headers: { "If-None-Match": '"client"' }
+    });
+    const cachedResponse = new Response("data", {
+      headers: { ETag: '"abc123"' }
+    });
+    assert.strictEqual(getConditionalRequest(request, cachedResponse), null);
+  });
+});
+
+describe("mergeNotModifiedResponse", () => {
+  test("keeps cached body and status", async () => {
+    const cachedResponse = new Response("cached body", {
+      status: 200,
+      statusText: "OK",
+      headers: { ETag: '"v1"' }
+    });
+    const notModified = new Response(null, { status: 304 });
+    const result = mergeNotModifiedResponse(cachedResponse, notModified);
+    assert.strictEqual(result.status, 200);
+    assert.strictEqual(result.statusText, "OK");
+    assert.strictEqual(await result.text(), "cached body");
+  });
+
+  test("updates headers from the 304 response except body headers", () => {
+    const cachedResponse = new Response("cached body", {
+      headers: {
+        "Cache-Control": "max-age=60",
+        "Content-Type": "application/json",
+        ETag: '"v1"'
+      }
+    });
+    const notModified = new Response(null, {
+      status: 304,
+      headers: {
+        "Cache-Control": "max-age=120",
+        "Content-Type": "text/plain",
+        ETag: '"v2"'
+      }
+    });
+    const result = mergeNotModifiedResponse(cachedResponse, notModified);
+    assert.strictEqual(result.headers.get("Cache-Control"), "max-age=120");
+    assert.strictEqual(result.headers.get("ETag"), '"v2"');
+    assert.strictEqual(result.headers.get("Content-Type"), "application/json");
+  });
+});
+
 describe("getInferredInvalidationPaths", () => {
   test("returns exact URL and parent collection path", () => {
     const url = "https://example.com/api/users/123";
@@ -319,12 +440,28 @@ describe("getStrategy", () => {
     assert.strictEqual(result, "network-first"); // Should use default
   });
 
+  test("supports custom strategy names", () => {
+    const headers = new Headers();
+    headers.set("X-SW-Cache-Strategy", "revalidate-on-start");
+    assert.strictEqual(
+      getStrategy(headers, "cache-first", "", ["revalidate-on-start"]),
+      "revalidate-on-start"
+    );
+    assert.strictEqual(
+      getStrategy(headers, "cache-first"),
+      "cache-first",
+      "Unknown custom strategy should use default"
+    );
+  });
+
   test("supports all valid strategies", () => {
     const headers = new Headers();
     const strategies = [
       "cache-first",
       "network-first",
-      "stale-while-revalidate"
+      "stale-while-revalidate",
+      "cache-only",
+      "network-only"
     ];
     for (const strategy of strategies) {
       headers.set("X-SW-Cache-Strategy", strategy);
@@ -425,231 +562,1274 @@ describe("getStaleTTL", () => {
   });
 });
 
-describe("matchesScope", () => {
-  test("returns true when scope is empty and defaultTTLSeconds > 0", () => {
-    const result = matchesScope("https://example.com/api/users", [], 300);
-    assert.strictEqual(result, true);
+describe("getNetworkTimeout", () => {
+  test("returns header value when valid timeout is provided", () => {
+    const headers = new Headers();
+    headers.set("X-SW-Cache-Network-Timeout", "2.5");
+    assert.strictEqual(getNetworkTimeout(headers, 10), 2.5);
   });
 
-  test("returns false when scope is empty and defaultTTLSeconds is 0", () => {
-    const result = matchesScope("https://example.com/api/users", [], 0);
-    assert.strictEqual(result, false);
+  test("returns default when header is not present and default > 0", () => {
+    assert.strictEqual(getNetworkTimeout(new Headers(), 3), 3);
   });
 
-  test("returns true when URL matches scope prefix", () => {
-    const result = matchesScope(
-      "https://example.com/api/users",
-      ["/api/"],
-      300
-    );
-    assert.strictEqual(result, true);
+  test("returns null when header is not present and default is 0", () => {
+    assert.strictEqual(getNetworkTimeout(new Headers(), 0), null);
   });
 
-  test("returns false when URL does not match scope prefix", () => {
-    const result = matchesScope(
-      "https://example.com/other/path",
-      ["/api/"],
-      300
-    );
-    assert.strictEqual(result, false);
+  test("returns null when header value is 0 or not a number", () => {
+    const headers = new Headers();
+    headers.set("X-SW-Cache-Network-Timeout", "0");
+    assert.strictEqual(getNetworkTimeout(headers, 3), null);
+    headers.set("X-SW-Cache-Network-Timeout", "not-a-number");
+    assert.strictEqual(getNetworkTimeout(headers, 3), null);
   });
+});
 
-  test("returns true when URL matches any scope prefix", () => {
-    const result = matchesScope(
-      "https://example.com/graphql/query",
-      ["/api/", "/graphql/"],
-      300
-    );
-    assert.strictEqual(result, true);
+describe("getWriteThrough", () => {
+  test("returns default when header is not present", () => {
+    assert.strictEqual(getWriteThrough(new Headers(), true), true);
+    assert.strictEqual(getWriteThrough(new Headers(), false), false);
+  });
+
+  test("header overrides the default", () => {
+    const headers = new Headers();
+    headers.set("X-SW-Cache-Write-Through", "true");
+    assert.strictEqual(getWriteThrough(headers, false), true);
+    headers.set("X-SW-Cache-Write-Through", "false");
+    assert.strictEqual(getWriteThrough(headers, true), false);
   });
 });
 
-describe("validateConfig", () => {
-  test("throws error when config is not an object", () => {
-    assert.throws(
-      // @ts-expect-error - intentionally testing invalid input
-      () => validateConfig(null),
-      /config is required and must be an object/
-    );
-    assert.throws(
-      // @ts-expect-error - intentionally testing invalid input
-      () => validateConfig(undefined),
-      /config is required and must be an object/
-    );
-    assert.throws(
-      // @ts-expect-error - intentionally testing invalid input
-      () => validateConfig("string"),
-      /config is required and must be an object/
-    );
+describe("getWriteThroughUrl", () => {
+  const url = "https://example.com/api/users/123";
+
+  test("returns the request URL for successful PUT and PATCH responses", () => {
+    for (const method of ["PUT", "PATCH"]) {
+      const request = new Request(url, { method });
+      assert.strictEqual(
+        getWriteThroughUrl(request, new Response("{}", { status: 200 })),
+        url
+      );
+    }
   });
 
-  test("throws error when cacheName is missing", () => {
-    assert.throws(
-      // @ts-expect-error - intentionally testing invalid input
-      () => validateConfig({}),
-      /config.cacheName is required and must be a string/
-    );
-    assert.throws(
-      // @ts-expect-error - intentionally testing invalid input
-      () => validateConfig({ cacheName: null }),
-      /config.cacheName is required and must be a string/
-    );
-    assert.throws(
-      // @ts-expect-error - intentionally testing invalid input
-      () => validateConfig({ cacheName: 123 }),
-      /config.cacheName is required and must be a string/
+  test("returns the Location of a 201 response, resolved against the request URL", () => {
+    const request = new Request("https://example.com/api/users", {
+      method: "POST"
+    });
+    const response = new Response("{}", {
+      status: 201,
+      headers: { Location: "/api/users/456" }
+    });
+    assert.strictEqual(
+      getWriteThroughUrl(request, response),
+      "https://example.com/api/users/456"
     );
   });
 
-  test("throws error when defaultStrategy is invalid", () => {
-    assert.throws(
-      // @ts-expect-error - intentionally testing invalid input
-      () => validateConfig({ cacheName: "test", defaultStrategy: "invalid" }),
-      /config.defaultStrategy must be one of/
-    );
-    assert.throws(
-      // @ts-expect-error - intentionally testing invalid input
-      () => validateConfig({ cacheName: "test", defaultStrategy: "cache" }),
-      /config.defaultStrategy must be one of/
+  test("returns null for POST responses without a Location", () => {
+    const request = new Request("https://example.com/api/users", {
+      method: "POST"
+    });
+    assert.strictEqual(
+      getWriteThroughUrl(request, new Response("{}", { status: 200 })),
+      null
     );
   });
 
-  test("does not throw when config is valid", () => {
-    assert.doesNotThrow(() => validateConfig({ cacheName: "test-cache" }));
-    assert.doesNotThrow(() =>
-      validateConfig({
-        cacheName: "test-cache",
-        defaultStrategy: "cache-first"
-      })
-    );
-    assert.doesNotThrow(() =>
-      validateConfig({
-        cacheName: "test-cache",
-        defaultStrategy: "network-first"
-      })
+  test("returns null for failed, empty or cross-origin responses", () => {
+    const request = new Request(url, { method: "PATCH" });
+    assert.strictEqual(
+      getWriteThroughUrl(request, new Response("{}", { status: 500 })),
+      null
     );
-    assert.doesNotThrow(() =>
-      validateConfig({
-        cacheName: "test-cache",
-        defaultStrategy: "stale-while-revalidate"
-      })
+    assert.strictEqual(
+      getWriteThroughUrl(request, new Response(null, { status: 204 })),
+      null
     );
+    const crossOrigin = new Response("{}", {
+      status: 201,
+      headers: { Location: "https://other.com/api/users/123" }
+    });
+    assert.strictEqual(getWriteThroughUrl(request, crossOrigin), null);
   });
 
-  test("throws error when maxCacheAgeSeconds is not a number", () => {
-    assert.throws(
-      // @ts-expect-error - intentionally testing invalid input
-      () => validateConfig({ cacheName: "test", maxCacheAgeSeconds: "7200" }),
-      /config.maxCacheAgeSeconds must be a positive number if provided/
-    );
-    assert.throws(
-      // @ts-expect-error - intentionally testing invalid input
-      () => validateConfig({ cacheName: "test", maxCacheAgeSeconds: null }),
-      /config.maxCacheAgeSeconds must be a positive number if provided/
+  test("returns null for DELETE requests", () => {
+    const request = new Request(url, { method: "DELETE" });
+    assert.strictEqual(
+      getWriteThroughUrl(request, new Response("{}", { status: 200 })),
+      null
     );
   });
+});
 
-  test("throws error when maxCacheAgeSeconds is zero or negative", () => {
-    assert.throws(
-      () => validateConfig({ cacheName: "test", maxCacheAgeSeconds: 0 }),
-      /config.maxCacheAgeSeconds must be a positive number if provided/
-    );
-    assert.throws(
-      () => validateConfig({ cacheName: "test", maxCacheAgeSeconds: -100 }),
-      /config.maxCacheAgeSeconds must be a positive number if provided/
-    );
+describe("withTimeout", () => {
+  test("resolves with the promise's value before the timeout", async () => {
+    const result = await withTimeout(Promise.resolve("value"), 1);
+    assert.strictEqual(result, "value");
   });
 
-  test("does not throw when maxCacheAgeSeconds is valid", () => {
-    assert.doesNotThrow(() =>
-      validateConfig({ cacheName: "test", maxCacheAgeSeconds: 7200 })
-    );
-    assert.doesNotThrow(() =>
-      validateConfig({ cacheName: "test", maxCacheAgeSeconds: 1 })
+  test("resolves with undefined when the timeout elapses first", async (testContext) => {
+    testContext.mock.timers.enable({ apis: ["setTimeout"] });
+    const resultPromise = withTimeout(new Promise(() => {}), 2);
+    testContext.mock.timers.tick(2000);
+    assert.strictEqual(await resultPromise, undefined);
+    testContext.mock.timers.reset();
+  });
+
+  test("rejects when the promise rejects before the timeout", async () => {
+    await assert.rejects(
+      withTimeout(Promise.reject(new Error("Network error")), 1),
+      /Network error/
     );
   });
 });
 
-describe("isOlderThanMaxAge", () => {
-  test("returns true when response is older than max age", () => {
-    const timestamp = Date.now() - 10000; // 10 seconds ago
-    const headers = new Headers();
-    headers.set("x-sw-cache-timestamp", timestamp.toString());
-    const response = new Response(null, { headers });
-    const result = isOlderThanMaxAge(response, 5); // 5 second max age
-    assert.strictEqual(result, true);
+describe("parseCacheControl", () => {
+  test("parses directives with and without values", () => {
+    const result = parseCacheControl(
+      "max-age=60, stale-while-revalidate=600, no-transform"
+    );
+    assert.deepStrictEqual(result, {
+      "max-age": "60",
+      "stale-while-revalidate": "600",
+      "no-transform": ""
+    });
   });
 
-  test("returns false when response is newer than max age", () => {
-    const timestamp = Date.now() - 1000; // 1 second ago
-    const headers = new Headers();
-    headers.set("x-sw-cache-timestamp", timestamp.toString());
-    const response = new Response(null, { headers });
-    const result = isOlderThanMaxAge(response, 5); // 5 second max age
-    assert.strictEqual(result, false);
+  test("lowercases directive names and strips quotes", () => {
+    const result = parseCacheControl('Max-Age="120", Private');
+    assert.deepStrictEqual(result, { "max-age": "120", private: "" });
   });
 
-  test("returns false when timestamp header is missing", () => {
-    const response = new Response();
-    const result = isOlderThanMaxAge(response, 5);
-    assert.strictEqual(result, false);
+  test("returns empty object when header is missing", () => {
+    assert.deepStrictEqual(parseCacheControl(null), {});
+    assert.deepStrictEqual(parseCacheControl(""), {});
   });
+});
 
-  test("returns true when response is exactly at max age boundary", () => {
-    const timestamp = Date.now() - 5000; // exactly 5 seconds ago
-    const headers = new Headers();
-    headers.set("x-sw-cache-timestamp", timestamp.toString());
-    const response = new Response(null, { headers });
-    const result = isOlderThanMaxAge(response, 5); // 5 second max age
-    assert.strictEqual(result, true); // age >= maxAge, so older
+describe("getResponseCacheTTLs", () => {
+  test("uses max-age as fresh TTL", () => {
+    const response = new Response(null, {
+      headers: { "Cache-Control": "max-age=60" }
+    });
+    assert.deepStrictEqual(getResponseCacheTTLs(response), {
+      ttl: 60,
+      staleTTL: null
+    });
   });
 
-  test("handles large max age values", () => {
-    const timestamp = Date.now() - 7200000; // 2 hours ago
-    const headers = new Headers();
-    headers.set("x-sw-cache-timestamp", timestamp.toString());
-    const response = new Response(null, { headers });
-    const result = isOlderThanMaxAge(response, 7200); // 2 hour max age
-    assert.strictEqual(result, true);
+  test("falls back to s-maxage when max-age is missing", () => {
+    const response = new Response(null, {
+      headers: { "Cache-Control": "s-maxage=30" }
+    });
+    assert.deepStrictEqual(getResponseCacheTTLs(response), {
+      ttl: 30,
+      staleTTL: null
+    });
   });
-});
 
-describe("cleanupOldCacheEntries", () => {
-  test("deletes entries older than max age", async () => {
-    const cacheName = `test-cache-${Date.now()}`;
-    const cache = await caches.open(cacheName);
+  test("extends stale TTL by stale-while-revalidate", () => {
+    const response = new Response(null, {
+      headers: { "Cache-Control": "max-age=60, stale-while-revalidate=600" }
+    });
+    assert.deepStrictEqual(getResponseCacheTTLs(response), {
+      ttl: 60,
+      staleTTL: 660
+    });
+  });
 
-    // Create requests
-    const request1 = new Request("https://example.com/api/users");
-    const request2 = new Request("https://example.com/api/posts");
+  test("uses the larger of stale-while-revalidate and stale-if-error", () => {
+    const response = new Response(null, {
+      headers: {
+        "Cache-Control":
+          "max-age=60, stale-while-revalidate=600, stale-if-error=86400"
+      }
+    });
+    assert.deepStrictEqual(getResponseCacheTTLs(response), {
+      ttl: 60,
+      staleTTL: 86460
+    });
+  });
 
-    // Create responses with different timestamps
-    const oldTimestamp = Date.now() - 10000; // 10 seconds ago
-    const newTimestamp = Date.now() - 1000; // 1 second ago
+  test("subtracts Age header from fresh TTL", () => {
+    const response = new Response(null, {
+      headers: {
+        "Cache-Control": "max-age=60, stale-while-revalidate=100",
+        Age: "20"
+      }
+    });
+    assert.deepStrictEqual(getResponseCacheTTLs(response), {
+      ttl: 40,
+      staleTTL: 140
+    });
+  });
 
-    const oldHeaders = new Headers();
-    oldHeaders.set("x-sw-cache-timestamp", oldTimestamp.toString());
-    const oldResponse = new Response("old data", { headers: oldHeaders });
+  test("treats no-cache as immediately stale", () => {
+    const response = new Response(null, {
+      headers: { "Cache-Control": "no-cache, max-age=60" }
+    });
+    assert.deepStrictEqual(getResponseCacheTTLs(response), {
+      ttl: 0,
+      staleTTL: null
+    });
+  });
 
-    const newHeaders = new Headers();
-    newHeaders.set("x-sw-cache-timestamp", newTimestamp.toString());
-    const newResponse = new Response("new data", { headers: newHeaders });
+  test("removes stale window with must-revalidate", () => {
+    const response = new Response(null, {
+      headers: {
+        "Cache-Control": "max-age=60, must-revalidate, stale-if-error=600"
+      }
+    });
+    assert.deepStrictEqual(getResponseCacheTTLs(response), {
+      ttl: 60,
+      staleTTL: 60
+    });
+  });
 
-    // Add both to cache
-    await cache.put(request1, oldResponse);
-    await cache.put(request2, newResponse);
+  test("uses Expires relative to Date header", () => {
+    const response = new Response(null, {
+      headers: {
+        Date: "Wed, 21 Oct 2026 07:28:00 GMT",
+        Expires: "Wed, 21 Oct 2026 07:38:00 GMT"
+      }
+    });
+    assert.deepStrictEqual(getResponseCacheTTLs(response), {
+      ttl: 600,
+      staleTTL: null
+    });
+  });
 
-    // Cleanup entries older than 5 seconds
-    await cleanupOldCacheEntries(cacheName, 5);
+  test("uses Expires relative to cache timestamp when Date is missing", () => {
+    const timestamp = Date.parse("Wed, 21 Oct 2026 07:28:00 GMT");
+    const response = new Response(null, {
+      headers: {
+        Expires: "Wed, 21 Oct 2026 07:29:00 GMT",
+        "x-sw-cache-timestamp": timestamp.toString()
+      }
+    });
+    assert.deepStrictEqual(getResponseCacheTTLs(response), {
+      ttl: 60,
+      staleTTL: null
+    });
+  });
 
-    // Old entry should be deleted
-    const oldCached = await cache.match(request1);
-    assert.strictEqual(oldCached, undefined);
+  test("treats invalid Expires as already expired", () => {
+    const response = new Response(null, { headers: { Expires: "0" } });
+    assert.deepStrictEqual(getResponseCacheTTLs(response), {
+      ttl: 0,
+      staleTTL: null
+    });
+  });
 
-    // New entry should still exist
-    const newCached = await cache.match(request2);
-    assert.notStrictEqual(newCached, null);
-    assert.notStrictEqual(newCached, undefined);
+  test("prefers max-age over Expires", () => {
+    const response = new Response(null, {
+      headers: {
+        "Cache-Control": "max-age=10",
+        Date: "Wed, 21 Oct 2026 07:28:00 GMT",
+        Expires: "Wed, 21 Oct 2026 07:38:00 GMT"
+      }
+    });
+    assert.strictEqual(getResponseCacheTTLs(response)?.ttl, 10);
+  });
+
+  test("returns null when response has no freshness information", () => {
+    const response = new Response(null, {
+      headers: { "Cache-Control": "public" }
+    });
+    assert.strictEqual(getResponseCacheTTLs(response), null);
+    assert.strictEqual(getResponseCacheTTLs(new Response()), null);
+  });
+});
+
+describe("getFallbackStaleTTL", () => {
+  test("keeps the configured stale window after the response TTL", () => {
+    assert.strictEqual(getFallbackStaleTTL(60, 300, 3600), 3360);
+    assert.strictEqual(getFallbackStaleTTL(10800, 300, 3600), 14100);
+  });
+
+  test("returns the response TTL when the stale TTL is shorter than the TTL", () => {
+    assert.strictEqual(getFallbackStaleTTL(60, 300, 100), 60);
+  });
+
+  test("returns null when stale caching is disabled", () => {
+    assert.strictEqual(getFallbackStaleTTL(60, 300, null), null);
+  });
+});
+
+describe("isNoStore", () => {
+  test("returns true for no-store responses", () => {
+    const response = new Response(null, {
+      headers: { "Cache-Control": "no-store" }
+    });
+    assert.strictEqual(isNoStore(response), true);
+    assert.strictEqual(isNoStore(response, true), true);
+  });
+
+  test("returns true for private responses only on shared devices", () => {
+    const response = new Response(null, {
+      headers: { "Cache-Control": "private, max-age=60" }
+    });
+    assert.strictEqual(isNoStore(response), false);
+    assert.strictEqual(isNoStore(response, true), true);
+  });
+
+  test("returns false for cacheable responses", () => {
+    const response = new Response(null, {
+      headers: { "Cache-Control": "public, max-age=60" }
+    });
+    assert.strictEqual(isNoStore(response, true), false);
+    assert.strictEqual(isNoStore(new Response()), false);
+  });
+});
+
+describe("getVaryHeaderNames", () => {
+  test("returns lowercased header names from Vary", () => {
+    const response = new Response(null, {
+      headers: { Vary: "Accept-Language, Accept" }
+    });
+    assert.deepStrictEqual(getVaryHeaderNames(response), [
+      "accept-language",
+      "accept"
+    ]);
+  });
+
+  test("returns empty array when Vary is missing", () => {
+    assert.deepStrictEqual(getVaryHeaderNames(new Response()), []);
+  });
+
+  test("includes * when response varies on everything", () => {
+    const response = new Response(null, { headers: { Vary: "*" } });
+    assert.deepStrictEqual(getVaryHeaderNames(response), ["*"]);
+  });
+});
+
+describe("getVarySignature", () => {
+  test("returns empty string when no names are given", async () => {
+    const headers = new Headers({ "Accept-Language": "en" });
+    assert.strictEqual(await getVarySignature(headers, []), "");
+  });
+
+  test("differs for different header values", async () => {
+    const en = await getVarySignature(
+      new Headers({ "Accept-Language": "en" }),
+      ["Accept-Language"]
+    );
+    const fr = await getVarySignature(
+      new Headers({ "Accept-Language": "fr" }),
+      ["Accept-Language"]
+    );
+    assert.notStrictEqual(en, fr);
+  });
+
+  test("ignores header name case and order", async () => {
+    const headers = new Headers({ Accept: "application/json", "X-A": "1" });
+    assert.strictEqual(
+      await getVarySignature(headers, ["Accept", "x-a"]),
+      await getVarySignature(headers, ["X-A", "accept"])
+    );
+  });
+
+  test("does not include raw header values", async () => {
+    const headers = new Headers({ Authorization: "Bearer secret-token" });
+    const signature = await getVarySignature(headers, ["Authorization"]);
+    assert(!signature.includes("secret-token"));
+  });
+});
+
+describe("buildCacheKey", () => {
+  test("returns key URL without headers when there are no parts", () => {
+    const key = buildCacheKey("https://example.com/api/products?page=1");
+    assert.strictEqual(key.url, "https://example.com/api/products?page=1");
+    assert.strictEqual([...key.headers].length, 0);
+  });
+
+  test("appends partition and variant parameters", () => {
+    const key = buildCacheKey("https://example.com/api/products?page=1", {
+      partition: "aaaa",
+      variant: "bbbb"
+    });
+    assert.strictEqual(
+      key.url,
+      "https://example.com/api/products?page=1&x-sw-cache-partition=aaaa&x-sw-cache-variant=bbbb"
+    );
+    assert.strictEqual(new URL(key.url).pathname, "/api/products");
+  });
+
+  test("starts a query string when key URL has none", () => {
+    const key = buildCacheKey("https://example.com/api/products", {
+      variant: "bbbb"
+    });
+    assert.strictEqual(
+      key.url,
+      "https://example.com/api/products?x-sw-cache-variant=bbbb"
+    );
+  });
+});
+
+describe("getPartitionId", () => {
+  test("uses the Authorization header", async () => {
+    const request = new Request("https://example.com/api/me", {
+      headers: { Authorization: "Bearer abc" }
+    });
+    assert.strictEqual(
+      await getPartitionId(request, "authorization"),
+      "Bearer abc"
+    );
+  });
+
+  test("uses a custom header", async () => {
+    const request = new Request("https://example.com/api/me", {
+      headers: { "X-User-Id": "42" }
+    });
+    assert.strictEqual(
+      await getPartitionId(request, { header: "X-User-Id" }),
+      "42"
+    );
+  });
+
+  test("reads a cookie from the Cookie header", async () => {
+    const request = new Request("https://example.com/api/me", {
+      headers: { Cookie: "theme=dark; session=s3cr=t" }
+    });
+    assert.strictEqual(
+      await getPartitionId(request, { cookie: "session" }),
+      "s3cr=t"
+    );
+  });
+
+  test("uses a custom function", async () => {
+    const request = new Request("https://example.com/api/me");
+    assert.strictEqual(
+      await getPartitionId(request, async () => "tenant-1"),
+      "tenant-1"
+    );
+  });
+
+  test("returns null when the request has no partition id", async () => {
+    const request = new Request("https://example.com/api/me");
+    assert.strictEqual(await getPartitionId(request, "authorization"), null);
+    assert.strictEqual(
+      await getPartitionId(request, { cookie: "session" }),
+      null
+    );
+    assert.strictEqual(await getPartitionId(request, () => null), null);
+  });
+});
+
+describe("hasResponseChanged", () => {
+  test("compares ETags when both responses have one", async () => {
+    const previous = new Response("a", { headers: { ETag: '"v1"' } });
+    assert.strictEqual(
+      await hasResponseChanged(
+        previous.clone(),
+        new Response("b", { headers: { ETag: '"v1"' } })
+      ),
+      false
+    );
+    assert.strictEqual(
+      await hasResponseChanged(
+        previous,
+        new Response("a", { headers: { ETag: '"v2"' } })
+      ),
+      true
+    );
+  });
+
+  test("compares Last-Modified when both responses have one", async () => {
+    const lastModified = "Wed, 21 Oct 2015 07:28:00 GMT";
+    assert.strictEqual(
+      await hasResponseChanged(
+        new Response("a", { headers: { "Last-Modified": lastModified } }),
+        new Response("b", { headers: { "Last-Modified": lastModified } })
+      ),
+      false
+    );
+  });
+
+  test("detects different Content-Length without reading bodies", async () => {
+    const previous = new Response("a", { headers: { "Content-Length": "1" } });
+    const response = new Response("bb", { headers: { "Content-Length": "2" } });
+    assert.strictEqual(await hasResponseChanged(previous, response), true);
+    assert.strictEqual(previous.bodyUsed, false);
+  });
+
+  test("compares bodies when there are no validators", async () => {
+    assert.strictEqual(
+      await hasResponseChanged(new Response("same"), new Response("same")),
+      false
+    );
+    assert.strictEqual(
+      await hasResponseChanged(new Response("old"), new Response("new")),
+      true
+    );
+  });
+});
+
+describe("postCacheUpdate", () => {
+  test("posts a cache update message to the BroadcastChannel", async () => {
+    const channel = new BroadcastChannel("swimple-cache-updates");
+    /** @type {Promise<MessageEvent>} */
+    const received = new Promise((resolve) => {
+      channel.onmessage = resolve;
+    });
+
+    await postCacheUpdate("api-cache-v1", "https://example.com/api/users");
+
+    const event = await received;
+    channel.close();
+    assert.deepStrictEqual(event.data, {
+      type: "swimple:cache-updated",
+      cacheName: "api-cache-v1",
+      url: "https://example.com/api/users"
+    });
+  });
+});
+
+describe("parseCacheTags", () => {
+  test("splits values on whitespace and commas", () => {
+    assert.deepStrictEqual(parseCacheTags(["user:123  org:42", "a,b, c"]), [
+      "user:123",
+      "org:42",
+      "a",
+      "b",
+      "c"
+    ]);
+  });
+
+  test("removes duplicates and empty tags", () => {
+    assert.deepStrictEqual(parseCacheTags([" a a ", "", "a"]), ["a"]);
+  });
+});
+
+describe("getResponseCacheTags", () => {
+  test("reads Surrogate-Key and X-SW-Cache-Tags headers", () => {
+    const response = new Response("", {
+      headers: {
+        "Surrogate-Key": "user:123 org:42",
+        "X-SW-Cache-Tags": "feed org:42"
+      }
+    });
+    assert.deepStrictEqual(getResponseCacheTags(response), [
+      "user:123",
+      "org:42",
+      "feed"
+    ]);
+  });
+
+  test("returns empty array when response has no tags", () => {
+    assert.deepStrictEqual(getResponseCacheTags(new Response("")), []);
+  });
+});
+
+describe("getInvalidationTags", () => {
+  test("reads all X-SW-Cache-Invalidate-Tag headers", () => {
+    const headers = new Headers();
+    headers.append("X-SW-Cache-Invalidate-Tag", "user:123");
+    headers.append("X-SW-Cache-Invalidate-Tag", "org:42 feed");
+    assert.deepStrictEqual(getInvalidationTags(headers), [
+      "user:123",
+      "org:42",
+      "feed"
+    ]);
+  });
+});
+
+describe("matchesScope", () => {
+  test("returns true when scope is empty and defaultTTLSeconds > 0", () => {
+    const result = matchesScope("https://example.com/api/users", [], 300);
+    assert.strictEqual(result, true);
+  });
+
+  test("returns false when scope is empty and defaultTTLSeconds is 0", () => {
+    const result = matchesScope("https://example.com/api/users", [], 0);
+    assert.strictEqual(result, false);
+  });
+
+  test("returns true when URL matches scope prefix", () => {
+    const result = matchesScope(
+      "https://example.com/api/users",
+      ["/api/"],
+      300
+    );
+    assert.strictEqual(result, true);
+  });
+
+  test("returns false when URL does not match scope prefix", () => {
+    const result = matchesScope(
+      "https://example.com/other/path",
+      ["/api/"],
+      300
+    );
+    assert.strictEqual(result, false);
+  });
+
+  test("returns true when URL matches any scope prefix", () => {
+    const result = matchesScope(
+      "https://example.com/graphql/query",
+      ["/api/", "/graphql/"],
+      300
+    );
+    assert.strictEqual(result, true);
+  });
+});
+
+describe("globToRegExp", () => {
+  test("* matches within a single path segment", () => {
+    const regExp = globToRegExp("/api/users/*");
+    assert.strictEqual(regExp.test("/api/users/123"), true);
+    assert.strictEqual(regExp.test("/api/users/123/posts"), false);
+    assert.strictEqual(regExp.test("/api/users"), false);
+  });
+
+  test("** matches across path segments", () => {
+    const regExp = globToRegExp("/api/users/**");
+    assert.strictEqual(regExp.test("/api/users/123"), true);
+    assert.strictEqual(regExp.test("/api/users/123/posts"), true);
+    assert.strictEqual(regExp.test("/api/teams/1"), false);
+  });
+
+  test("* can be used in the middle of a path", () => {
+    const regExp = globToRegExp("/api/orgs/42/*/members");
+    assert.strictEqual(regExp.test("/api/orgs/42/teams/members"), true);
+    assert.strictEqual(regExp.test("/api/orgs/42/teams/admins"), false);
+  });
+
+  test("escapes regular expression characters", () => {
+    const regExp = globToRegExp("/api/v1.0/*");
+    assert.strictEqual(regExp.test("/api/v1.0/users"), true);
+    assert.strictEqual(regExp.test("/api/v100/users"), false);
+  });
+});
+
+describe("pathTemplateToRegExp", () => {
+  test("captures :name params from single path segments", () => {
+    const match = pathTemplateToRegExp("/api/orgs/:org/projects/:id").exec(
+      "/api/orgs/42/projects/7"
+    );
+    assert.deepStrictEqual({ ...match?.groups }, { org: "42", id: "7" });
+  });
+
+  test("does not match params across segments or partial paths", () => {
+    const pattern = pathTemplateToRegExp("/api/users/:id");
+    assert.strictEqual(pattern.test("/api/users/1/posts"), false);
+    assert.strictEqual(pattern.test("/api/users"), false);
+  });
+
+  test("supports globs alongside params", () => {
+    const pattern = pathTemplateToRegExp("/api/orgs/:org/**");
+    assert.strictEqual(pattern.test("/api/orgs/42/projects/7"), true);
+  });
+});
+
+describe("getPathTemplateParams", () => {
+  test("returns param names in order", () => {
+    assert.deepStrictEqual(
+      getPathTemplateParams("/api/orgs/:org/projects/:id"),
+      ["org", "id"]
+    );
+    assert.deepStrictEqual(getPathTemplateParams("/api/search"), []);
+  });
+});
+
+describe("fillPathTemplate", () => {
+  test("replaces params with values", () => {
+    assert.strictEqual(
+      fillPathTemplate("/api/orgs/:org/dashboard", { org: "42" }),
+      "/api/orgs/42/dashboard"
+    );
+  });
+});
+
+describe("getRuleInvalidationPaths", () => {
+  const url = "https://example.com/api/orgs/42/projects/7";
+
+  test("fills invalidate templates from matching rules", () => {
+    const paths = getRuleInvalidationPaths(
+      url,
+      "PATCH",
+      compileInvalidationRules([
+        {
+          match: "/api/orgs/:org/projects/:id",
+          invalidate: ["/api/orgs/:org/dashboard", "/api/search"]
+        },
+        { match: "/api/users/:id", invalidate: ["/api/users"] }
+      ])
+    );
+    assert.deepStrictEqual(paths, ["/api/orgs/42/dashboard", "/api/search"]);
+  });
+
+  test("adds ancestors and descendants", () => {
+    const paths = getRuleInvalidationPaths(
+      url,
+      "DELETE",
+      compileInvalidationRules([
+        { match: "/api/orgs/**", ancestors: true, descendants: true }
+      ])
+    );
+    assert.deepStrictEqual(paths, [
+      "/api/orgs/42/projects",
+      "/api/orgs/42",
+      "/api/orgs",
+      "/api",
+      "/api/orgs/42/projects/7/**"
+    ]);
+  });
+
+  test("skips rules for other methods", () => {
+    const rules = compileInvalidationRules([
+      {
+        match: "/api/orgs/:org/projects/:id",
+        methods: ["DELETE"],
+        invalidate: ["/api/orgs/:org"]
+      }
+    ]);
+    assert.deepStrictEqual(getRuleInvalidationPaths(url, "PATCH", rules), []);
+    assert.deepStrictEqual(getRuleInvalidationPaths(url, "DELETE", rules), [
+      "/api/orgs/42"
+    ]);
+  });
+});
+
+describe("matchesPattern", () => {
+  const url = "https://example.com/api/users/123?include=posts";
+
+  test("matches string prefixes against the pathname", () => {
+    assert.strictEqual(matchesPattern(url, "/api/users"), true);
+    assert.strictEqual(matchesPattern(url, "/api/teams"), false);
+  });
+
+  test("matches globs against the pathname", () => {
+    assert.strictEqual(matchesPattern(url, "/api/*/123"), true);
+    assert.strictEqual(matchesPattern(url, "/api/*"), false);
+  });
+
+  test("matches RegExps against the pathname", () => {
+    assert.strictEqual(matchesPattern(url, /^\/api\/users\/\d+$/), true);
+    assert.strictEqual(matchesPattern(url, /include/), false);
+  });
+
+  test("matches URLPattern-like objects against the full URL", () => {
+    const pattern = { test: (/** @type {string} */ input) => input === url };
+    assert.strictEqual(matchesPattern(url, pattern), true);
+  });
+});
+
+describe("findRoute", () => {
+  test("returns the first matching route", () => {
+    const routes = [
+      { match: "/api/users/*", ttlSeconds: 10 },
+      { match: "/api/", ttlSeconds: 20 }
+    ];
+    assert.strictEqual(
+      findRoute("https://example.com/api/users/1", routes),
+      routes[0]
+    );
+    assert.strictEqual(
+      findRoute("https://example.com/api/teams", routes),
+      routes[1]
+    );
+  });
+
+  test("returns null when no route matches", () => {
+    assert.strictEqual(
+      findRoute("https://example.com/static/app.js", [{ match: "/api/" }]),
+      null
+    );
+  });
+});
+
+describe("validateConfig", () => {
+  test("throws error when config is not an object", () => {
+    assert.throws(
+      // @ts-expect-error - intentionally testing invalid input
+      () => validateConfig(null),
+      /config is required and must be an object/
+    );
+    assert.throws(
+      // @ts-expect-error - intentionally testing invalid input
+      () => validateConfig(undefined),
+      /config is required and must be an object/
+    );
+    assert.throws(
+      // @ts-expect-error - intentionally testing invalid input
+      () => validateConfig("string"),
+      /config is required and must be an object/
+    );
+  });
+
+  test("throws error when cacheName is missing", () => {
+    assert.throws(
+      // @ts-expect-error - intentionally testing invalid input
+      () => validateConfig({}),
+      /config.cacheName is required and must be a string/
+    );
+    assert.throws(
+      // @ts-expect-error - intentionally testing invalid input
+      () => validateConfig({ cacheName: null }),
+      /config.cacheName is required and must be a string/
+    );
+    assert.throws(
+      // @ts-expect-error - intentionally testing invalid input
+      () => validateConfig({ cacheName: 123 }),
+      /config.cacheName is required and must be a string/
+    );
+  });
+
+  test("throws error when defaultStrategy is invalid", () => {
+    assert.throws(
+      // @ts-expect-error - intentionally testing invalid input
+      () => validateConfig({ cacheName: "test", defaultStrategy: "invalid" }),
+      /config.defaultStrategy must be one of/
+    );
+    assert.throws(
+      // @ts-expect-error - intentionally testing invalid input
+      () => validateConfig({ cacheName: "test", defaultStrategy: "cache" }),
+      /config.defaultStrategy must be one of/
+    );
+  });
+
+  test("does not throw when config is valid", () => {
+    assert.doesNotThrow(() => validateConfig({ cacheName: "test-cache" }));
+    assert.doesNotThrow(() =>
+      validateConfig({
+        cacheName: "test-cache",
+        defaultStrategy: "cache-first"
+      })
+    );
+    assert.doesNotThrow(() =>
+      validateConfig({
+        cacheName: "test-cache",
+        defaultStrategy: "network-first"
+      })
+    );
+    assert.doesNotThrow(() =>
+      validateConfig({
+        cacheName: "test-cache",
+        defaultStrategy: "stale-while-revalidate"
+      })
+    );
+    assert.doesNotThrow(() =>
+      validateConfig({ cacheName: "test-cache", defaultStrategy: "cache-only" })
+    );
+    assert.doesNotThrow(() =>
+      validateConfig({
+        cacheName: "test-cache",
+        defaultStrategy: "network-only"
+      })
+    );
+  });
+
+  test("throws error when maxCacheAgeSeconds is not a number", () => {
+    assert.throws(
+      // @ts-expect-error - intentionally testing invalid input
+      () => validateConfig({ cacheName: "test", maxCacheAgeSeconds: "7200" }),
+      /config.maxCacheAgeSeconds must be a positive number if provided/
+    );
+    assert.throws(
+      // @ts-expect-error - intentionally testing invalid input
+      () => validateConfig({ cacheName: "test", maxCacheAgeSeconds: null }),
+      /config.maxCacheAgeSeconds must be a positive number if provided/
+    );
+  });
+
+  test("throws error when maxCacheAgeSeconds is zero or negative", () => {
+    assert.throws(
+      () => validateConfig({ cacheName: "test", maxCacheAgeSeconds: 0 }),
+      /config.maxCacheAgeSeconds must be a positive number if provided/
+    );
+    assert.throws(
+      () => validateConfig({ cacheName: "test", maxCacheAgeSeconds: -100 }),
+      /config.maxCacheAgeSeconds must be a positive number if provided/
+    );
+  });
+
+  test("does not throw when maxCacheAgeSeconds is valid", () => {
+    assert.doesNotThrow(() =>
+      validateConfig({ cacheName: "test", maxCacheAgeSeconds: 7200 })
+    );
+    assert.doesNotThrow(() =>
+      validateConfig({ cacheName: "test", maxCacheAgeSeconds: 1 })
+    );
+  });
+
+  test("throws error when respectResponseCacheHeaders is not a boolean", () => {
+    assert.throws(
+      () =>
+        validateConfig({
+          cacheName: "test",
+          // @ts-expect-error - intentionally testing invalid input
+          respectResponseCacheHeaders: "true"
+        }),
+      /config.respectResponseCacheHeaders must be a boolean/
+    );
+    assert.doesNotThrow(() =>
+      validateConfig({ cacheName: "test", respectResponseCacheHeaders: true })
+    );
+  });
+
+  test("throws error when conditionalRevalidation is not a boolean", () => {
+    assert.throws(
+      () =>
+        validateConfig({
+          cacheName: "test",
+          // @ts-expect-error - intentionally testing invalid input
+          conditionalRevalidation: 1
+        }),
+      /config.conditionalRevalidation must be a boolean/
+    );
+    assert.doesNotThrow(() =>
+      validateConfig({ cacheName: "test", conditionalRevalidation: false })
+    );
+  });
+
+  test("throws error when sharedDevice is not a boolean", () => {
+    assert.throws(
+      // @ts-expect-error - intentionally testing invalid input
+      () => validateConfig({ cacheName: "test", sharedDevice: "yes" }),
+      /config.sharedDevice must be a boolean/
+    );
+    assert.doesNotThrow(() =>
+      validateConfig({ cacheName: "test", sharedDevice: true })
+    );
+  });
+
+  test("throws error when varyHeaders is not an array of strings", () => {
+    assert.throws(
+      // @ts-expect-error - intentionally testing invalid input
+      () => validateConfig({ cacheName: "test", varyHeaders: "Accept" }),
+      /config.varyHeaders must be an array of strings/
+    );
+    assert.throws(
+      // @ts-expect-error - intentionally testing invalid input
+      () => validateConfig({ cacheName: "test", varyHeaders: [1] }),
+      /config.varyHeaders must be an array of strings/
+    );
+    assert.doesNotThrow(() =>
+      validateConfig({ cacheName: "test", varyHeaders: ["Accept-Language"] })
+    );
+  });
+
+  test("throws error when partitionBy is invalid", () => {
+    assert.throws(
+      // @ts-expect-error - intentionally testing invalid input
+      () => validateConfig({ cacheName: "test", partitionBy: "cookie" }),
+      /config.partitionBy must be/
+    );
+    assert.throws(
+      // @ts-expect-error - intentionally testing invalid input
+      () => validateConfig({ cacheName: "test", partitionBy: { cookie: 1 } }),
+      /config.partitionBy must be/
+    );
+    for (const partitionBy of /** @type {PartitionBy[]} */ ([
+      "authorization",
+      { header: "X-User-Id" },
+      { cookie: "session" },
+      () => "user"
+    ])) {
+      assert.doesNotThrow(() =>
+        validateConfig({ cacheName: "test", partitionBy })
+      );
+    }
+  });
+
+  test("throws error when strategies are invalid", () => {
+    assert.throws(
+      () =>
+        // @ts-expect-error - intentionally testing invalid input
+        validateConfig({ cacheName: "test", strategies: { custom: "nope" } }),
+      /config.strategies must be an object mapping strategy names to functions/
+    );
+    assert.throws(
+      () =>
+        validateConfig({
+          cacheName: "test",
+          strategies: { custom: async () => new Response() },
+          defaultStrategy: "other"
+        }),
+      /config.defaultStrategy must be one of: .*'custom'/
+    );
+    assert.doesNotThrow(() =>
+      validateConfig({
+        cacheName: "test",
+        strategies: { custom: async () => new Response() },
+        defaultStrategy: "custom",
+        routes: [{ match: "/api/", strategy: "custom" }]
+      })
+    );
+  });
+
+  test("throws error when writeThrough is not a boolean", () => {
+    assert.throws(
+      // @ts-expect-error - intentionally testing invalid input
+      () => validateConfig({ cacheName: "test", writeThrough: "yes" }),
+      /config.writeThrough must be a boolean/
+    );
+  });
+
+  test("throws error when maxEntries is not a positive integer", () => {
+    for (const maxEntries of [0, -1, 1.5, "10"]) {
+      assert.throws(
+        // @ts-expect-error - intentionally testing invalid input
+        () => validateConfig({ cacheName: "test", maxEntries }),
+        /config.maxEntries must be a positive integer/
+      );
+    }
+  });
+
+  test("throws error when maxCacheBytes is not a positive number", () => {
+    for (const maxCacheBytes of [0, -1, "1000"]) {
+      assert.throws(
+        // @ts-expect-error - intentionally testing invalid input
+        () => validateConfig({ cacheName: "test", maxCacheBytes }),
+        /config.maxCacheBytes must be a positive number/
+      );
+    }
+  });
+
+  test("throws error when invalidationRules are invalid", () => {
+    assert.throws(
+      // @ts-expect-error - intentionally testing invalid input
+      () => validateConfig({ cacheName: "test", invalidationRules: {} }),
+      /config.invalidationRules must be an array/
+    );
+    assert.throws(
+      () =>
+        validateConfig({
+          cacheName: "test",
+          invalidationRules: [{ match: "api/users/:id" }]
+        }),
+      /config.invalidationRules\[0\].match must be a path starting with "\/"/
+    );
+    assert.throws(
+      () =>
+        validateConfig({
+          cacheName: "test",
+          // @ts-expect-error - intentionally testing invalid input
+          invalidationRules: [{ match: "/api/users/:id", ancestors: "yes" }]
+        }),
+      /config.invalidationRules\[0\].ancestors must be a boolean/
+    );
+    assert.throws(
+      () =>
+        validateConfig({
+          cacheName: "test",
+          invalidationRules: [
+            { match: "/api/users/:id", invalidate: ["/api/orgs/:org"] }
+          ]
+        }),
+      /config.invalidationRules\[0\].invalidate uses :org/
+    );
+    assert.throws(
+      () =>
+        validateConfig({
+          cacheName: "test",
+          invalidationRules: [{ match: "/api/:id/sub/:id" }]
+        }),
+      /config.invalidationRules\[0\].match uses :id more than once/
+    );
+  });
+
+  test("throws error when serverInvalidation is not a boolean", () => {
+    assert.throws(
+      // @ts-expect-error - intentionally testing invalid input
+      () => validateConfig({ cacheName: "test", serverInvalidation: 1 }),
+      /config.serverInvalidation must be a boolean/
+    );
+  });
+
+  test("throws error when invalidationTiming is invalid", () => {
+    assert.throws(
+      // @ts-expect-error - intentionally testing invalid input
+      () => validateConfig({ cacheName: "test", invalidationTiming: "later" }),
+      /config.invalidationTiming must be one of/
+    );
+    for (const invalidationTiming of /** @type {const} */ ([
+      "before",
+      "after-success",
+      "both"
+    ])) {
+      assert.doesNotThrow(() =>
+        validateConfig({ cacheName: "test", invalidationTiming })
+      );
+    }
+  });
+
+  test("throws error when broadcastUpdates is not a boolean", () => {
+    assert.throws(
+      // @ts-expect-error - intentionally testing invalid input
+      () => validateConfig({ cacheName: "test", broadcastUpdates: "yes" }),
+      /config.broadcastUpdates must be a boolean/
+    );
+    assert.doesNotThrow(() =>
+      validateConfig({ cacheName: "test", broadcastUpdates: true })
+    );
+  });
+
+  test("throws error when networkTimeoutSeconds is invalid", () => {
+    assert.throws(
+      () => validateConfig({ cacheName: "test", networkTimeoutSeconds: -1 }),
+      /config.networkTimeoutSeconds must be a non-negative number/
+    );
+    assert.throws(
+      // @ts-expect-error - intentionally testing invalid input
+      () => validateConfig({ cacheName: "test", networkTimeoutSeconds: "3" }),
+      /config.networkTimeoutSeconds must be a non-negative number/
+    );
+    assert.doesNotThrow(() =>
+      validateConfig({ cacheName: "test", networkTimeoutSeconds: 3 })
+    );
+  });
+
+  test("throws error when routes are invalid", () => {
+    assert.throws(
+      // @ts-expect-error - intentionally testing invalid input
+      () => validateConfig({ cacheName: "test", routes: {} }),
+      /config.routes must be an array/
+    );
+    assert.throws(
+      // @ts-expect-error - intentionally testing invalid input
+      () => validateConfig({ cacheName: "test", routes: [{ match: 1 }] }),
+      /config.routes\[0\].match must be a string, RegExp or URLPattern/
+    );
+    assert.throws(
+      () =>
+        validateConfig({
+          cacheName: "test",
+          // @ts-expect-error - intentionally testing invalid input
+          routes: [{ match: "/api/", strategy: "invalid" }]
+        }),
+      /config.routes\[0\].strategy must be one of/
+    );
+    assert.throws(
+      () =>
+        validateConfig({
+          cacheName: "test",
+          routes: [{ match: "/api/" }, { match: "/feed/", ttlSeconds: -1 }]
+        }),
+      /config.routes\[1\].ttlSeconds must be a non-negative number/
+    );
+    assert.throws(
+      () =>
+        validateConfig({
+          cacheName: "test",
+          // @ts-expect-error - intentionally testing invalid input
+          routes: [{ match: "/api/", outbox: "yes" }]
+        }),
+      /config.routes\[0\].outbox must be a boolean/
+    );
+    assert.doesNotThrow(() =>
+      validateConfig({
+        cacheName: "test",
+        routes: [
+          { match: "/api/config", strategy: "cache-first", ttlSeconds: 86400 },
+          { match: /^\/api\/feed/, invalidate: ["/api/home"] }
+        ]
+      })
+    );
+  });
+
+  test("throws error when cacheKey is not a function", () => {
+    assert.throws(
+      // @ts-expect-error - intentionally testing invalid input
+      () => validateConfig({ cacheName: "test", cacheKey: "url" }),
+      /config.cacheKey must be a function/
+    );
+    assert.doesNotThrow(() =>
+      validateConfig({ cacheName: "test", cacheKey: (request) => request.url })
+    );
+  });
+});
+
+describe("isOlderThanMaxAge", () => {
+  test("returns true when response is older than max age", () => {
+    const timestamp = Date.now() - 10000; // 10 seconds ago
+    const headers = new Headers();
+    headers.set("x-sw-cache-timestamp", timestamp.toString());
+    const response = new Response(null, { headers });
+    const result = isOlderThanMaxAge(response, 5); // 5 second max age
+    assert.strictEqual(result, true);
+  });
+
+  test("returns false when response is newer than max age", () => {
+    const timestamp = Date.now() - 1000; // 1 second ago
+    const headers = new Headers();
+    headers.set("x-sw-cache-timestamp", timestamp.toString());
+    const response = new Response(null, { headers });
+    const result = isOlderThanMaxAge(response, 5); // 5 second max age
+    assert.strictEqual(result, false);
+  });
+
+  test("returns false when timestamp header is missing", () => {
+    const response = new Response();
+    const result = isOlderThanMaxAge(response, 5);
+    assert.strictEqual(result, false);
+  });
+
+  test("returns false for precached responses", () => {
+    const headers = new Headers();
+    headers.set("x-sw-cache-timestamp", (Date.now() - 10000).toString());
+    headers.set("x-sw-cache-revision", "");
+    const response = new Response(null, { headers });
+    assert.strictEqual(isOlderThanMaxAge(response, 5), false);
+  });
+
+  test("returns true when response is exactly at max age boundary", () => {
+    const timestamp = Date.now() - 5000; // exactly 5 seconds ago
+    const headers = new Headers();
+    headers.set("x-sw-cache-timestamp", timestamp.toString());
+    const response = new Response(null, { headers });
+    const result = isOlderThanMaxAge(response, 5); // 5 second max age
+    assert.strictEqual(result, true); // age >= maxAge, so older
+  });
+
+  test("handles large max age values", () => {
+    const timestamp = Date.now() - 7200000; // 2 hours ago
+    const headers = new Headers();
+    headers.set("x-sw-cache-timestamp", timestamp.toString());
+    const response = new Response(null, { headers });
+    const result = isOlderThanMaxAge(response, 7200); // 2 hour max age
+    assert.strictEqual(result, true);
+  });
+});
+
+describe("cleanupOldCacheEntries", () => {
+  test("deletes entries older than max age", async () => {
+    const cacheName = `test-cache-${Date.now()}`;
+    const cache = await caches.open(cacheName);
+
+    // Create requests
+    const request1 = new Request("https://example.com/api/users");
+    const request2 = new Request("https://example.com/api/posts");
+
+    // Create responses with different timestamps
+    const oldTimestamp = Date.now() - 10000; // 10 seconds ago
+    const newTimestamp = Date.now() - 1000; // 1 second ago
+
+    const oldHeaders = new Headers();
+    oldHeaders.set("x-sw-cache-timestamp", oldTimestamp.toString());
+    const oldResponse = new Response("old data", { headers: oldHeaders });
+
+    const newHeaders = new Headers();
+    newHeaders.set("x-sw-cache-timestamp", newTimestamp.toString());
+    const newResponse = new Response("new data", { headers: newHeaders });
+
+    // Add both to cache
+    await cache.put(request1, oldResponse);
+    await cache.put(request2, newResponse);
+
+    // Cleanup entries older than 5 seconds
+    await cleanupOldCacheEntries(cacheName, 5);
+
+    // Old entry should be deleted
+    const oldCached = await cache.match(request1);
+    assert.strictEqual(oldCached, undefined);
+
+    // New entry should still exist
+    const newCached = await cache.match(request2);
+    assert.notStrictEqual(newCached, null);
+    assert.notStrictEqual(newCached, undefined);
     if (newCached) {
       const newCachedText = await newCached.text();
       assert.strictEqual(newCachedText, "new data");
@@ -762,4 +1942,409 @@ describe("cleanupOldCacheEntries", () => {
     // Cleanup
     await caches.delete(cacheName);
   });
+
+  test("accepts a function for per-entry max age", async () => {
+    const cacheName = `test-cache-${Date.now()}`;
+    const cache = await caches.open(cacheName);
+
+    const headers = new Headers();
+    headers.set("x-sw-cache-timestamp", (Date.now() - 10000).toString());
+    await cache.put(
+      new Request("https://example.com/api/config"),
+      new Response("config", { headers })
+    );
+    await cache.put(
+      new Request("https://example.com/api/feed"),
+      new Response("feed", { headers })
+    );
+
+    // Config entries live for a day, everything else for 5 seconds
+    await cleanupOldCacheEntries(cacheName, (url) =>
+      url.endsWith("/api/config") ? 86400 : 5
+    );
+
+    assert.notStrictEqual(
+      await cache.match(new Request("https://example.com/api/config")),
+      undefined
+    );
+    assert.strictEqual(
+      await cache.match(new Request("https://example.com/api/feed")),
+      undefined
+    );
+
+    // Cleanup
+    await caches.delete(cacheName);
+  });
+
+  test("checks entries past their max age again with their cached response", async () => {
+    const cacheName = `test-cache-${Date.now()}`;
+    const cache = await caches.open(cacheName);
+
+    const timestamp = (Date.now() - 10000).toString();
+    await cache.put(
+      new Request("https://example.com/api/config"),
+      new Response("config", {
+        headers: {
+          "x-sw-cache-timestamp": timestamp,
+          "Cache-Control": "max-age=86400"
+        }
+      })
+    );
+    await cache.put(
+      new Request("https://example.com/api/feed"),
+      new Response("feed", { headers: { "x-sw-cache-timestamp": timestamp } })
+    );
+
+    /** @type {string[]} */
+    const checkedUrls = [];
+    await cleanupOldCacheEntries(cacheName, (url, response) => {
+      if (!response) {
+        return 5;
+      }
+      checkedUrls.push(url);
+      return response.headers.get("Cache-Control") === "max-age=86400"
+        ? 86400
+        : 5;
+    });
+
+    assert.deepStrictEqual(checkedUrls.sort(), [
+      "https://example.com/api/config",
+      "https://example.com/api/feed"
+    ]);
+    assert.notStrictEqual(
+      await cache.match(new Request("https://example.com/api/config")),
+      undefined
+    );
+    assert.strictEqual(
+      await cache.match(new Request("https://example.com/api/feed")),
+      undefined
+    );
+
+    // Cleanup
+    await caches.delete(cacheName);
+  });
+});
+
+describe("getResponseSize", () => {
+  test("uses the internal size header, then Content-Length", async () => {
+    assert.strictEqual(
+      await getResponseSize(
+        new Response("abc", {
+          headers: { "x-sw-cache-size": "10", "Content-Length": "20" }
+        })
+      ),
+      10
+    );
+    assert.strictEqual(
+      await getResponseSize(
+        new Response("abc", { headers: { "Content-Length": "20" } })
+      ),
+      20
+    );
+  });
+
+  test("measures the body without consuming it", async () => {
+    const response = new Response("héllo");
+    assert.strictEqual(await getResponseSize(response), 6);
+    assert.strictEqual(await response.text(), "héllo");
+  });
+
+  test("returns 0 for responses without a body", async () => {
+    assert.strictEqual(await getResponseSize(new Response(null)), 0);
+  });
+});
+
+describe("isQuotaExceededError", () => {
+  test("detects QuotaExceededError DOMExceptions", () => {
+    assert.strictEqual(
+      isQuotaExceededError(new DOMException("Full", "QuotaExceededError")),
+      true
+    );
+    assert.strictEqual(isQuotaExceededError(new Error("Full")), false);
+    assert.strictEqual(isQuotaExceededError(null), false);
+  });
+});
+
+describe("evictCacheEntries", () => {
+  /**
+   * @param {Cache} cache
+   * @param {string} url
+   * @param {number} timestamp
+   */
+  async function putEntry(cache, url, timestamp) {
+    await cache.put(
+      new Request(url),
+      new Response(url, {
+        headers: { "x-sw-cache-timestamp": timestamp.toString() }
+      })
+    );
+  }
+
+  test("evicts the least recently accessed entries over the limit", async () => {
+    const cacheName = `test-cache-lru-${Date.now()}`;
+    const cache = await caches.open(cacheName);
+    const now = Date.now();
+    await putEntry(cache, "https://example.com/api/a", now - 3000);
+    await putEntry(cache, "https://example.com/api/b", now - 2000);
+    await putEntry(cache, "https://example.com/api/c", now - 1000);
+
+    // "a" was cached first but accessed last
+    await getCacheEntriesMetadata(cacheName);
+    await recordEntryAccess(cacheName, "https://example.com/api/a");
+    const remainingEntries = await evictCacheEntries(cacheName, {
+      maxEntries: 2
+    });
+
+    const urls = (await cache.keys()).map((request) => request.url).sort();
+    assert.deepStrictEqual(urls, [
+      "https://example.com/api/a",
+      "https://example.com/api/c"
+    ]);
+    assert.deepStrictEqual(
+      remainingEntries.map((entry) => entry.url).sort(),
+      urls
+    );
+
+    await caches.delete(cacheName);
+  });
+
+  test("never evicts precached entries", async () => {
+    const cacheName = `test-cache-lru-${Date.now()}`;
+    const cache = await caches.open(cacheName);
+    const now = Date.now();
+    await cache.put(
+      new Request("https://example.com/app.js"),
+      new Response("app", {
+        headers: {
+          "x-sw-cache-timestamp": (now - 3000).toString(),
+          "x-sw-cache-revision": "1"
+        }
+      })
+    );
+    await putEntry(cache, "https://example.com/api/a", now - 2000);
+    await putEntry(cache, "https://example.com/api/b", now - 1000);
+
+    await evictCacheEntries(cacheName, { maxEntries: 1 });
+
+    const urls = (await cache.keys()).map((request) => request.url).sort();
+    assert.deepStrictEqual(urls, [
+      "https://example.com/api/b",
+      "https://example.com/app.js"
+    ]);
+    await clearCache(cacheName);
+  });
+
+  test("does nothing when the cache is within the limit", async () => {
+    const cacheName = `test-cache-lru-${Date.now()}`;
+    const cache = await caches.open(cacheName);
+    await putEntry(cache, "https://example.com/api/a", Date.now());
+
+    await evictCacheEntries(cacheName, { maxEntries: 1 });
+
+    assert.strictEqual((await cache.keys()).length, 1);
+    await caches.delete(cacheName);
+  });
+
+  test("evicts the least recently accessed entries over the byte budget", async () => {
+    const cacheName = `test-cache-lru-${Date.now()}`;
+    const cache = await caches.open(cacheName);
+    const now = Date.now();
+    for (const [path, age] of [
+      ["a", 3000],
+      ["b", 2000],
+      ["c", 1000]
+    ]) {
+      await cache.put(
+        new Request(`https://example.com/api/${path}`),
+        new Response("x".repeat(100), {
+          headers: { "x-sw-cache-timestamp": (now - age).toString() }
+        })
+      );
+    }
+
+    await evictCacheEntries(cacheName, { maxBytes: 250 });
+    assert.deepStrictEqual(
+      (await cache.keys()).map((request) => request.url).sort(),
+      ["https://example.com/api/b", "https://example.com/api/c"]
+    );
+
+    await evictCacheEntries(cacheName, { freeBytes: 1 });
+    assert.deepStrictEqual(
+      (await cache.keys()).map((request) => request.url),
+      ["https://example.com/api/c"]
+    );
+
+    await caches.delete(cacheName);
+  });
+});
+
+describe("getCacheEntriesMetadata", () => {
+  test("reads entries missing from the metadata index from the cache", async () => {
+    const cacheName = `test-cache-metadata-${Date.now()}`;
+    const cache = await caches.open(cacheName);
+    const timestamp = Date.now() - 1000;
+    await cache.put(
+      new Request("https://example.com/api/users"),
+      new Response("users", {
+        headers: {
+          "x-sw-cache-timestamp": timestamp.toString(),
+          "Surrogate-Key": "users list"
+        }
+      })
+    );
+
+    const entries = await getCacheEntriesMetadata(cacheName);
+    assert.deepStrictEqual(entries, [
+      {
+        cacheName,
+        url: "https://example.com/api/users",
+        timestamp,
+        size: 5,
+        tags: ["users", "list"],
+        lastAccess: timestamp,
+        revision: null
+      }
+    ]);
+
+    // The entry is now indexed, so it's no longer read from the cache
+    let matched = false;
+    const match = cache.match.bind(cache);
+    cache.match = async (request, options) => {
+      matched = true;
+      return match(request, options);
+    };
+    assert.deepStrictEqual(await getCacheEntriesMetadata(cacheName), entries);
+    assert.strictEqual(matched, false);
+
+    await clearCache(cacheName);
+  });
+
+  test("removes metadata of entries that are no longer cached", async () => {
+    const cacheName = `test-cache-metadata-${Date.now()}`;
+    const cache = await caches.open(cacheName);
+    const url = "https://example.com/api/users";
+    await cache.put(new Request(url), new Response("users"));
+    await recordEntryMetadata(cacheName, url, new Response("users"));
+    await cache.delete(url);
+
+    assert.deepStrictEqual(await getCacheEntriesMetadata(cacheName), []);
+
+    // A new entry at the same URL doesn't inherit the removed metadata
+    await cache.put(new Request(url), new Response("new users"));
+    const [entry] = await getCacheEntriesMetadata(cacheName);
+    assert.strictEqual(entry.size, 9);
+
+    await clearCache(cacheName);
+  });
+});
+
+describe("getCacheStats", () => {
+  test("summarizes the entries of a cache", async () => {
+    const cacheName = `test-cache-stats-${Date.now()}`;
+    const cache = await caches.open(cacheName);
+    const now = Date.now();
+    for (const [path, age] of [
+      ["a", 3000],
+      ["b", 1000]
+    ]) {
+      await cache.put(
+        new Request(`https://example.com/api/${path}`),
+        new Response("x".repeat(100), {
+          headers: { "x-sw-cache-timestamp": (now - age).toString() }
+        })
+      );
+    }
+
+    assert.deepStrictEqual(await getCacheStats(cacheName), {
+      entries: 2,
+      bytes: 200,
+      oldestTimestamp: now - 3000,
+      newestTimestamp: now - 1000
+    });
+
+    await clearCache(cacheName);
+  });
+
+  test("returns empty stats for an empty cache", async () => {
+    assert.deepStrictEqual(await getCacheStats("test-cache-stats-empty"), {
+      entries: 0,
+      bytes: 0,
+      oldestTimestamp: null,
+      newestTimestamp: null
+    });
+  });
+});
+
+describe("parsePrecacheManifest", () => {
+  test("resolves URLs and defaults missing revisions to empty", () => {
+    assert.deepStrictEqual(
+      parsePrecacheManifest(
+        [
+          "/app.3f2a1c.js",
+          { url: "/index.html", revision: "abc123" },
+          { url: "https://example.com/data.json", revision: null }
+        ],
+        "https://example.com/sw.js"
+      ),
+      [
+        { url: "https://example.com/app.3f2a1c.js", revision: "" },
+        { url: "https://example.com/index.html", revision: "abc123" },
+        { url: "https://example.com/data.json", revision: "" }
+      ]
+    );
+  });
+
+  test("throws for invalid manifests", () => {
+    const baseUrl = "https://example.com/sw.js";
+    assert.throws(
+      // @ts-expect-error - testing invalid input
+      () => parsePrecacheManifest({ url: "/index.html" }, baseUrl),
+      /must be an array/
+    );
+    assert.throws(
+      // @ts-expect-error - testing invalid input
+      () => parsePrecacheManifest([{ revision: "1" }], baseUrl),
+      /url must be a non-empty string/
+    );
+    assert.throws(
+      // @ts-expect-error - testing invalid input
+      () => parsePrecacheManifest([{ url: "/a", revision: 1 }], baseUrl),
+      /revision must be a string/
+    );
+    assert.throws(
+      () => parsePrecacheManifest(["/index.html"]),
+      /url is invalid/
+    );
+  });
+});
+
+describe("cleanupPrecachedEntries", () => {
+  test("deletes precached entries that aren't listed, keeping runtime entries", async () => {
+    const cacheName = `test-cache-precache-${Date.now()}`;
+    const cache = await caches.open(cacheName);
+    for (const [url, revision] of [
+      ["https://example.com/index.html", "2"],
+      ["https://example.com/old.js", ""],
+      ["https://example.com/api/users", null]
+    ]) {
+      /** @type {Record<string, string>} */
+      const headers = { "x-sw-cache-timestamp": Date.now().toString() };
+      if (revision !== null) {
+        headers["x-sw-cache-revision"] = revision;
+      }
+      await cache.put(new Request(url), new Response(url, { headers }));
+    }
+
+    await cleanupPrecachedEntries(
+      cacheName,
+      new Set(["https://example.com/index.html"])
+    );
+
+    const urls = (await cache.keys()).map((request) => request.url).sort();
+    assert.deepStrictEqual(urls, [
+      "https://example.com/api/users",
+      "https://example.com/index.html"
+    ]);
+    await clearCache(cacheName);
+  });
 });
@@ -5,7 +5,17 @@
  */
 import { test, describe } from "node:test";
 import assert from "node:assert";
-import { createHandleRequest } from "../src/index.js";
+import {
+  createHandleRequest,
+  invalidateTags,
+  getCacheStats,
+  cleanupOldCacheEntries
+} from "../src/index.js";
+import {
+  onCacheUpdate,
+  CACHE_UPDATES_CHANNEL,
+  CACHE_UPDATED_MESSAGE_TYPE
+} from "../src/updates.js";
 import "./test-setup.js";
 
 // Helper to create a FetchEvent-like object
@@ -17,6 +27,25 @@ function createFetchEvent(request) {
   return /** @type {FetchEvent} */ ({ request });
 }
 
+// Helper to create a FetchEvent-like object that records promises passed to waitUntil
+/**
+ * @param {Request} request
+ * @returns {{ event: FetchEvent, waitUntilPromises: Promise<unknown>[] }}
+ */
+function createExtendableFetchEvent(request) {
+  /** @type {Promise<unknown>[]} */
+  const waitUntilPromises = [];
+  const event = /** @type {FetchEvent} */ (
+    /** @type {unknown} */ ({
+      request,
+      waitUntil: (/** @type {Promise<unknown>} */ promise) => {
+        waitUntilPromises.push(promise);
+      }
+    })
+  );
+  return { event, waitUntilPromises };
+}
+
 // Helper to create a mock fetch function
 /**
  * @param {Map<string, Response>} responses - Map of URL to Response
@@ -62,6 +91,70 @@ function createMockFetch(responses = new Map(), errors = new Map()) {
   return { fetch, getCallCount: () => callCount, reset };
 }
 
+// Helper to create a handler for the /api/ scope whose network requests are answered by
+// `respond`, with the given paths requested (and so cached) up front
+/**
+ * @param {Partial<HandleRequestConfig> & { cacheName: string }} config - Handler config, `scope` defaults to `["/api/"]`
+ * @param {(request: Request) => Response | Promise<Response>} respond - Answers each network request
+ * @param {string[]} [cachedPaths] - Paths on https://example.com to request before returning
+ * @returns {Promise<{ handleRequest: HandleRequest, cache: Cache, getCachedPaths: () => Promise<string[]> }>}
+ */
+async function createCachingHandler(config, respond, cachedPaths = []) {
+  const handleRequest = createHandleRequest({
+    scope: ["/api/"],
+    ...config,
+    customFetch: async (input, init) => respond(new Request(input, init))
+  });
+  for (const path of cachedPaths) {
+    await handleRequest(
+      createFetchEvent(new Request(`https://example.com${path}`))
+    );
+  }
+  const cache = await caches.open(config.cacheName);
+  const getCachedPaths = async () =>
+    (await cache.keys())
+      .map((request) => {
+        const url = new URL(request.url);
+        return url.pathname + url.search;
+      })
+      .sort();
+  return { handleRequest, cache, getCachedPaths };
+}
+
+// Helper to create a mock fetch whose responses are resolved manually, to simulate a slow network
+/**
+ * @returns {{ fetch: typeof globalThis.fetch, respond: (response: Response) => void, getCallCount: () => number, waitForCalls: (count: number) => Promise<void> }}
+ */
+function createSlowFetch() {
+  /** @type {((response: Response) => void)[]} */
+  const pending = [];
+  /** @type {{ count: number, resolve: () => void }[]} */
+  let callWaiters = [];
+  let callCount = 0;
+  const fetch = async () => {
+    callCount++;
+    const response = new Promise((resolve) => pending.push(resolve));
+    callWaiters = callWaiters.filter((waiter) => {
+      if (callCount < waiter.count) {
+        return true;
+      }
+      waiter.resolve();
+      return false;
+    });
+    return response;
+  };
+  return {
+    fetch: /** @type {typeof globalThis.fetch} */ (fetch),
+    respond: (response) => pending.shift()?.(response),
+    getCallCount: () => callCount,
+    // Resolves once the network has been called `count` times in total
+    waitForCalls: (count) =>
+      callCount >= count
+        ? Promise.resolve()
+        : new Promise((resolve) => callWaiters.push({ count, resolve }))
+  };
+}
+
 // Note: Use context.mock.timers in tests to advance time instead of waiting
 
 describe("createHandleRequest", () => {
@@ -730,6 +823,7 @@ describe("createHandleRequest", () => {
 
       // Advance time for background update to complete
       testContext.mock.timers.tick(200);
+      await handleRequest.waitForBackgroundWork();
 
       // Verify cache was updated in background
       const cache = await caches.open(cacheName);
@@ -2109,4 +2203,3431 @@ describe("createHandleRequest", () => {
       testContext.mock.timers.reset();
     });
   });
+
+  describe("respectResponseCacheHeaders", () => {
+    test("uses response max-age instead of default TTL", async (testContext) => {
+      testContext.mock.timers.enable({ apis: ["Date"] });
+
+      const cacheName = "test-respect-max-age";
+      const url = "https://example.com/api/config";
+      const request = new Request(url);
+
+      const { fetch: customFetch, getCallCount } = createMockFetch(
+        new Map([
+          [
+            url,
+            new Response("Config data", {
+              status: 200,
+              headers: { "Cache-Control": "max-age=60" }
+            })
+          ]
+        ])
+      );
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        defaultStrategy: "cache-first",
+        defaultTTLSeconds: 1,
+        respectResponseCacheHeaders: true,
+        customFetch
+      });
+
+      await handleRequest(createFetchEvent(request));
+      assert.strictEqual(getCallCount(), 1);
+
+      // Past the default TTL but within max-age
+      testContext.mock.timers.tick(30000);
+
+      const result = await handleRequest(createFetchEvent(request));
+      assert.strictEqual(await result?.text(), "Config data");
+      assert.strictEqual(
+        getCallCount(),
+        1,
+        "Fetch should not be called while within response max-age"
+      );
+
+      // Past max-age
+      testContext.mock.timers.tick(31000);
+
+      await handleRequest(createFetchEvent(request));
+      assert.strictEqual(
+        getCallCount(),
+        2,
+        "Fetch should be called once response max-age has passed"
+      );
+
+      testContext.mock.timers.reset();
+    });
+
+    test("serves stale response within stale-while-revalidate window", async (testContext) => {
+      testContext.mock.timers.enable({ apis: ["Date"] });
+
+      const cacheName = "test-respect-swr";
+      const url = "https://example.com/api/feed";
+      const request = new Request(url);
+
+      const {
+        fetch: customFetch,
+        getCallCount,
+        reset
+      } = createMockFetch(
+        new Map([
+          [
+            url,
+            new Response("Old feed", {
+              status: 200,
+              headers: {
+                "Cache-Control": "max-age=10, stale-while-revalidate=100"
+              }
+            })
+          ]
+        ])
+      );
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        defaultStrategy: "stale-while-revalidate",
+        defaultTTLSeconds: 300,
+        defaultStaleTTLSeconds: 3600,
+        respectResponseCacheHeaders: true,
+        customFetch
+      });
+
+      await handleRequest(createFetchEvent(request));
+
+      // Past max-age but within stale-while-revalidate
+      testContext.mock.timers.tick(50000);
+      reset(new Map([[url, new Response("New feed", { status: 200 })]]));
+
+      const staleResult = await handleRequest(createFetchEvent(request));
+      assert.strictEqual(await staleResult?.text(), "Old feed");
+      assert.strictEqual(
+        getCallCount(),
+        1,
+        "Stale response should trigger a background update"
+      );
+
+      testContext.mock.timers.reset();
+    });
+
+    test("a max-age longer than the defaults keeps the entry and a stale window", async (testContext) => {
+      testContext.mock.timers.enable({ apis: ["Date"] });
+
+      const cacheName = "test-respect-long-max-age";
+      const url = "https://example.com/api/config";
+      const request = new Request(url);
+
+      const {
+        fetch: customFetch,
+        getCallCount,
+        reset
+      } = createMockFetch(
+        new Map([
+          [
+            url,
+            new Response("Config v1", {
+              status: 200,
+              headers: { "Cache-Control": "max-age=10800" }
+            })
+          ]
+        ])
+      );
+      // Defaults: 300s TTL, 3600s stale TTL and 7200s maxCacheAgeSeconds
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        defaultStrategy: "stale-while-revalidate",
+        respectResponseCacheHeaders: true,
+        customFetch
+      });
+
+      await handleRequest(createFetchEvent(request));
+
+      // Past maxCacheAgeSeconds but within max-age
+      testContext.mock.timers.tick(9000 * 1000);
+      const freshResult = await handleRequest(createFetchEvent(request));
+      assert.strictEqual(await freshResult?.text(), "Config v1");
+      assert.strictEqual(getCallCount(), 1);
+
+      // Past max-age, within the default stale window that follows it
+      testContext.mock.timers.tick(2000 * 1000);
+      reset(new Map([[url, new Response("Config v2", { status: 200 })]]));
+      const staleResult = await handleRequest(createFetchEvent(request));
+      assert.strictEqual(await staleResult?.text(), "Config v1");
+      await handleRequest.waitForBackgroundWork();
+      assert.strictEqual(
+        getCallCount(),
+        1,
+        "Stale response should trigger a background update"
+      );
+      const cache = await caches.open(cacheName);
+      assert.strictEqual(await (await cache.match(url))?.text(), "Config v2");
+
+      testContext.mock.timers.reset();
+    });
+
+    test("request TTL header overrides response max-age", async (testContext) => {
+      testContext.mock.timers.enable({ apis: ["Date"] });
+
+      const cacheName = "test-respect-header-override";
+      const url = "https://example.com/api/config";
+
+      const { fetch: customFetch, getCallCount } = createMockFetch(
+        new Map([
+          [
+            url,
+            new Response("Config data", {
+              status: 200,
+              headers: { "Cache-Control": "max-age=60" }
+            })
+          ]
+        ])
+      );
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        defaultStrategy: "cache-first",
+        respectResponseCacheHeaders: true,
+        customFetch
+      });
+
+      await handleRequest(createFetchEvent(new Request(url)));
+      testContext.mock.timers.tick(5000);
+
+      await handleRequest(
+        createFetchEvent(
+          new Request(url, { headers: { "X-SW-Cache-TTL-Seconds": "2" } })
+        )
+      );
+      assert.strictEqual(
+        getCallCount(),
+        2,
+        "Request TTL header should take precedence over max-age"
+      );
+
+      testContext.mock.timers.reset();
+    });
+
+    test("ignores response headers when disabled", async (testContext) => {
+      testContext.mock.timers.enable({ apis: ["Date"] });
+
+      const cacheName = "test-respect-disabled";
+      const url = "https://example.com/api/config";
+      const request = new Request(url);
+
+      const { fetch: customFetch, getCallCount } = createMockFetch(
+        new Map([
+          [
+            url,
+            new Response("Config data", {
+              status: 200,
+              headers: { "Cache-Control": "max-age=1" }
+            })
+          ]
+        ])
+      );
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        defaultStrategy: "cache-first",
+        defaultTTLSeconds: 300,
+        customFetch
+      });
+
+      await handleRequest(createFetchEvent(request));
+      testContext.mock.timers.tick(5000);
+      await handleRequest(createFetchEvent(request));
+      assert.strictEqual(
+        getCallCount(),
+        1,
+        "Default TTL should be used when respectResponseCacheHeaders is off"
+      );
+
+      testContext.mock.timers.reset();
+    });
+  });
+
+  describe("conditional revalidation", () => {
+    /**
+     * Create a fetch that returns a response with an ETag, then 304s when the ETag matches
+     * @param {string} url
+     * @returns {{ fetch: typeof globalThis.fetch, requests: Request[] }}
+     */
+    function createETagFetch(url) {
+      /** @type {Request[]} */
+      const requests = [];
+      const fetch = async (/** @type {Request} */ request) => {
+        requests.push(request);
+        if (request.headers.get("If-None-Match") === '"v1"') {
+          return new Response(null, {
+            status: 304,
+            headers: { ETag: '"v1"' }
+          });
+        }
+        return new Response("Full body", {
+          status: 200,
+          headers: { ETag: '"v1"' }
+        });
+      };
+      return {
+        fetch: /** @type {typeof globalThis.fetch} */ (fetch),
+        requests
+      };
+    }
+
+    test("cache-first sends If-None-Match and reuses cached body on 304", async (testContext) => {
+      testContext.mock.timers.enable({ apis: ["Date"] });
+
+      const cacheName = "test-conditional-cache-first";
+      const url = "https://example.com/api/products";
+      const request = new Request(url);
+      const { fetch: customFetch, requests } = createETagFetch(url);
+
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        defaultStrategy: "cache-first",
+        defaultTTLSeconds: 1,
+        customFetch
+      });
+
+      await handleRequest(createFetchEvent(request));
+      const cache = await caches.open(cacheName);
+      const firstCached = await cache.match(request);
+      const firstTimestamp = firstCached?.headers.get("x-sw-cache-timestamp");
+
+      testContext.mock.timers.tick(2000);
+
+      const result = await handleRequest(createFetchEvent(request));
+      assert(result, "Should return a response");
+      assert.strictEqual(result.status, 200);
+      assert.strictEqual(await result.text(), "Full body");
+      assert.strictEqual(requests.length, 2);
+      assert.strictEqual(requests[0].headers.get("If-None-Match"), null);
+      assert.strictEqual(requests[1].headers.get("If-None-Match"), '"v1"');
+
+      const refreshed = await cache.match(request);
+      assert(refreshed, "Cache entry should still exist");
+      assert.strictEqual(await refreshed.text(), "Full body");
+      assert.notStrictEqual(
+        refreshed.headers.get("x-sw-cache-timestamp"),
+        firstTimestamp,
+        "Timestamp should be refreshed on 304"
+      );
+
+      // Refreshed entry is fresh again, so no further network request
+      await handleRequest(createFetchEvent(request));
+      assert.strictEqual(requests.length, 2);
+
+      testContext.mock.timers.reset();
+    });
+
+    test("stale-while-revalidate revalidates in background with If-None-Match", async (testContext) => {
+      testContext.mock.timers.enable({ apis: ["Date"] });
+
+      const cacheName = "test-conditional-swr";
+      const url = "https://example.com/api/products";
+      const request = new Request(url);
+      const { fetch: customFetch, requests } = createETagFetch(url);
+
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        defaultStrategy: "stale-while-revalidate",
+        defaultTTLSeconds: 1,
+        defaultStaleTTLSeconds: 60,
+        customFetch
+      });
+
+      await handleRequest(createFetchEvent(request));
+      testContext.mock.timers.tick(2000);
+
+      const staleResult = await handleRequest(createFetchEvent(request));
+      assert.strictEqual(await staleResult?.text(), "Full body");
+
+      // Let the background revalidation settle
+      await handleRequest.waitForBackgroundWork();
+
+      assert.strictEqual(requests.length, 2);
+      assert.strictEqual(requests[1].headers.get("If-None-Match"), '"v1"');
+
+      const cache = await caches.open(cacheName);
+      const refreshed = await cache.match(request);
+      assert(refreshed, "Cache entry should still exist");
+      assert.strictEqual(await refreshed.text(), "Full body");
+      assert.strictEqual(
+        refreshed.headers.get("x-sw-cache-timestamp"),
+        Date.now().toString(),
+        "Timestamp should be refreshed on 304"
+      );
+
+      testContext.mock.timers.reset();
+    });
+
+    test("conditionalRevalidation: false sends unconditional requests", async (testContext) => {
+      testContext.mock.timers.enable({ apis: ["Date"] });
+
+      const cacheName = "test-conditional-disabled";
+      const url = "https://example.com/api/products";
+      const request = new Request(url);
+      const { fetch: customFetch, requests } = createETagFetch(url);
+
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        defaultStrategy: "cache-first",
+        defaultTTLSeconds: 1,
+        conditionalRevalidation: false,
+        customFetch
+      });
+
+      await handleRequest(createFetchEvent(request));
+      testContext.mock.timers.tick(2000);
+      await handleRequest(createFetchEvent(request));
+
+      assert.strictEqual(requests.length, 2);
+      assert.strictEqual(requests[1].headers.get("If-None-Match"), null);
+
+      testContext.mock.timers.reset();
+    });
+  });
+
+  describe("no-store and private responses", () => {
+    test("does not cache responses with Cache-Control: no-store", async () => {
+      const cacheName = "test-no-store";
+      const url = "https://example.com/api/secrets";
+      const request = new Request(url);
+
+      const { fetch: customFetch, getCallCount } = createMockFetch(
+        new Map([
+          [
+            url,
+            new Response("Secret data", {
+              status: 200,
+              headers: { "Cache-Control": "no-store" }
+            })
+          ]
+        ])
+      );
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        customFetch
+      });
+
+      const result = await handleRequest(createFetchEvent(request));
+      assert.strictEqual(await result?.text(), "Secret data");
+
+      const cache = await caches.open(cacheName);
+      assert.strictEqual(await cache.match(request), undefined);
+
+      await handleRequest(createFetchEvent(request));
+      assert.strictEqual(
+        getCallCount(),
+        2,
+        "Fetch should be called every time for no-store responses"
+      );
+    });
+
+    test("evicts an existing entry when the response becomes no-store", async (testContext) => {
+      testContext.mock.timers.enable({ apis: ["Date"] });
+
+      const cacheName = "test-no-store-evict";
+      const url = "https://example.com/api/account";
+      const request = new Request(url);
+
+      const { fetch: customFetch, reset } = createMockFetch(
+        new Map([[url, new Response("Cacheable data", { status: 200 })]])
+      );
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        defaultTTLSeconds: 1,
+        customFetch
+      });
+
+      await handleRequest(createFetchEvent(request));
+      const cache = await caches.open(cacheName);
+      assert(await cache.match(request), "Entry should be cached");
+
+      testContext.mock.timers.tick(2000);
+      reset(
+        new Map([
+          [
+            url,
+            new Response("Sensitive data", {
+              status: 200,
+              headers: { "Cache-Control": "no-store" }
+            })
+          ]
+        ])
+      );
+
+      const result = await handleRequest(createFetchEvent(request));
+      assert.strictEqual(await result?.text(), "Sensitive data");
+      assert.strictEqual(
+        await cache.match(request),
+        undefined,
+        "Existing entry should be evicted"
+      );
+
+      testContext.mock.timers.reset();
+    });
+
+    test("caches private responses by default", async () => {
+      const cacheName = "test-private-default";
+      const url = "https://example.com/api/me";
+      const request = new Request(url);
+
+      const { fetch: customFetch } = createMockFetch(
+        new Map([
+          [
+            url,
+            new Response("My data", {
+              status: 200,
+              headers: { "Cache-Control": "private" }
+            })
+          ]
+        ])
+      );
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        customFetch
+      });
+
+      await handleRequest(createFetchEvent(request));
+      const cache = await caches.open(cacheName);
+      assert(await cache.match(request), "Private response should be cached");
+    });
+
+    test("sharedDevice: true does not cache private responses", async () => {
+      const cacheName = "test-private-shared-device";
+      const url = "https://example.com/api/me";
+      const request = new Request(url);
+
+      const { fetch: customFetch } = createMockFetch(
+        new Map([
+          [
+            url,
+            new Response("My data", {
+              status: 200,
+              headers: { "Cache-Control": "private" }
+            })
+          ]
+        ])
+      );
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        sharedDevice: true,
+        customFetch
+      });
+
+      const result = await handleRequest(createFetchEvent(request));
+      assert.strictEqual(await result?.text(), "My data");
+      const cache = await caches.open(cacheName);
+      assert.strictEqual(await cache.match(request), undefined);
+    });
+  });
+
+  describe("vary-aware caching", () => {
+    /**
+     * Create a fetch that responds with the request's Accept-Language
+     * @param {Record<string, string>} [responseHeaders]
+     * @returns {{ fetch: typeof globalThis.fetch, getCallCount: () => number }}
+     */
+    function createLanguageFetch(responseHeaders = {}) {
+      let callCount = 0;
+      const fetch = async (/** @type {Request} */ request) => {
+        callCount++;
+        const language = request.headers.get("Accept-Language") ?? "none";
+        return new Response(`Products (${language})`, {
+          status: 200,
+          headers: responseHeaders
+        });
+      };
+      return {
+        fetch: /** @type {typeof globalThis.fetch} */ (fetch),
+        getCallCount: () => callCount
+      };
+    }
+
+    test("varyHeaders stores variants side by side", async () => {
+      const cacheName = "test-vary-config";
+      const url = "https://example.com/api/products";
+      const { fetch: customFetch, getCallCount } = createLanguageFetch();
+
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        varyHeaders: ["Accept-Language"],
+        customFetch
+      });
+
+      const enRequest = () =>
+        new Request(url, { headers: { "Accept-Language": "en" } });
+      const frRequest = () =>
+        new Request(url, { headers: { "Accept-Language": "fr" } });
+
+      await handleRequest(createFetchEvent(enRequest()));
+      await handleRequest(createFetchEvent(frRequest()));
+      assert.strictEqual(getCallCount(), 2);
+
+      const enResult = await handleRequest(createFetchEvent(enRequest()));
+      const frResult = await handleRequest(createFetchEvent(frRequest()));
+      assert.strictEqual(await enResult?.text(), "Products (en)");
+      assert.strictEqual(await frResult?.text(), "Products (fr)");
+      assert.strictEqual(
+        getCallCount(),
+        2,
+        "Both variants should be served from cache"
+      );
+    });
+
+    test("invalidation clears all variants", async () => {
+      const cacheName = "test-vary-invalidate";
+      const url = "https://example.com/api/products";
+      const { fetch: customFetch } = createLanguageFetch();
+
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        varyHeaders: ["Accept-Language"],
+        customFetch
+      });
+
+      await handleRequest(
+        createFetchEvent(
+          new Request(url, { headers: { "Accept-Language": "en" } })
+        )
+      );
+      await handleRequest(
+        createFetchEvent(
+          new Request(url, { headers: { "Accept-Language": "fr" } })
+        )
+      );
+
+      const cache = await caches.open(cacheName);
+      assert.strictEqual((await cache.keys()).length, 2);
+
+      await handleRequest(
+        createFetchEvent(
+          new Request(url, {
+            method: "POST",
+            headers: { "X-SW-Cache-Invalidate": "/api/products" }
+          })
+        )
+      );
+      assert.strictEqual((await cache.keys()).length, 0);
+    });
+
+    test("response Vary header prevents serving a mismatched variant", async () => {
+      const cacheName = "test-vary-response";
+      const url = "https://example.com/api/products";
+      const { fetch: customFetch, getCallCount } = createLanguageFetch({
+        Vary: "Accept-Language"
+      });
+
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        customFetch
+      });
+
+      await handleRequest(
+        createFetchEvent(
+          new Request(url, { headers: { "Accept-Language": "en" } })
+        )
+      );
+
+      const sameResult = await handleRequest(
+        createFetchEvent(
+          new Request(url, { headers: { "Accept-Language": "en" } })
+        )
+      );
+      assert.strictEqual(await sameResult?.text(), "Products (en)");
+      assert.strictEqual(getCallCount(), 1);
+
+      const otherResult = await handleRequest(
+        createFetchEvent(
+          new Request(url, { headers: { "Accept-Language": "fr" } })
+        )
+      );
+      assert.strictEqual(await otherResult?.text(), "Products (fr)");
+      assert.strictEqual(
+        getCallCount(),
+        2,
+        "Mismatched variant should be fetched from network"
+      );
+    });
+
+    test("does not cache responses with Vary: *", async () => {
+      const cacheName = "test-vary-star";
+      const url = "https://example.com/api/products";
+      const { fetch: customFetch } = createLanguageFetch({ Vary: "*" });
+
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        customFetch
+      });
+
+      await handleRequest(createFetchEvent(new Request(url)));
+      const cache = await caches.open(cacheName);
+      assert.strictEqual((await cache.keys()).length, 0);
+    });
+  });
+
+  describe("cacheKey", () => {
+    /**
+     * Cache key function that sorts query parameters and drops utm_* parameters
+     * @param {Request} request
+     * @returns {string}
+     */
+    const normalizeQuery = (request) => {
+      const keyUrl = new URL(request.url);
+      const params = [...keyUrl.searchParams].filter(
+        ([name]) => !name.startsWith("utm_")
+      );
+      params.sort(([a], [b]) => a.localeCompare(b));
+      keyUrl.search = new URLSearchParams(params).toString();
+      return keyUrl.toString();
+    };
+
+    test("requests with equivalent keys share a cache entry", async () => {
+      const cacheName = "test-cache-key-sorted";
+      const { fetch: customFetch, getCallCount } = createMockFetch(
+        new Map([
+          [
+            "https://example.com/api/users?a=1&b=2",
+            new Response("Users", { status: 200 })
+          ]
+        ])
+      );
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        cacheKey: normalizeQuery,
+        customFetch
+      });
+
+      await handleRequest(
+        createFetchEvent(new Request("https://example.com/api/users?a=1&b=2"))
+      );
+      const result = await handleRequest(
+        createFetchEvent(
+          new Request("https://example.com/api/users?b=2&a=1&utm_source=mail")
+        )
+      );
+      assert.strictEqual(await result?.text(), "Users");
+      assert.strictEqual(
+        getCallCount(),
+        1,
+        "Second request should be served from the shared cache entry"
+      );
+
+      const cache = await caches.open(cacheName);
+      const keys = await cache.keys();
+      assert.deepStrictEqual(
+        keys.map((key) => key.url),
+        ["https://example.com/api/users?a=1&b=2"]
+      );
+    });
+
+    test("invalidation uses the cacheKey function", async () => {
+      const cacheName = "test-cache-key-invalidate";
+      const url = "https://example.com/api/users";
+      const { fetch: customFetch, getCallCount } = createMockFetch(
+        new Map([[url, new Response("Users", { status: 200 })]])
+      );
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        // Fold the tenant header into the key
+        cacheKey: (request) =>
+          `/tenants/${request.headers.get("X-Tenant")}${new URL(request.url).pathname}`,
+        customFetch
+      });
+
+      const tenantRequest = (/** @type {string} */ tenant) =>
+        new Request(url, { headers: { "X-Tenant": tenant } });
+
+      await handleRequest(createFetchEvent(tenantRequest("1")));
+      await handleRequest(createFetchEvent(tenantRequest("2")));
+      assert.strictEqual(getCallCount(), 2);
+
+      const cache = await caches.open(cacheName);
+      assert.deepStrictEqual(
+        (await cache.keys()).map((key) => key.url).sort(),
+        [
+          "https://example.com/tenants/1/api/users",
+          "https://example.com/tenants/2/api/users"
+        ]
+      );
+
+      // POST for tenant 1 should only invalidate tenant 1's entries
+      await handleRequest(
+        createFetchEvent(
+          new Request(url, { method: "POST", headers: { "X-Tenant": "1" } })
+        )
+      );
+      assert.deepStrictEqual(
+        (await cache.keys()).map((key) => key.url),
+        ["https://example.com/tenants/2/api/users"]
+      );
+    });
+  });
+
+  describe("partitionBy", () => {
+    test("never serves one user's cached response to another user", async () => {
+      const cacheName = "test-partition-authorization";
+      const url = "https://example.com/api/me";
+      let callCount = 0;
+      const customFetch = /** @type {typeof globalThis.fetch} */ (
+        async (/** @type {Request} */ request) => {
+          callCount++;
+          return new Response(`Me: ${request.headers.get("Authorization")}`, {
+            status: 200
+          });
+        }
+      );
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        partitionBy: "authorization",
+        customFetch
+      });
+
+      const userRequest = (/** @type {string} */ token) =>
+        new Request(url, { headers: { Authorization: `Bearer ${token}` } });
+
+      await handleRequest(createFetchEvent(userRequest("alice")));
+      const bobResult = await handleRequest(
+        createFetchEvent(userRequest("bob"))
+      );
+      assert.strictEqual(await bobResult?.text(), "Me: Bearer bob");
+      assert.strictEqual(callCount, 2);
+
+      const aliceResult = await handleRequest(
+        createFetchEvent(userRequest("alice"))
+      );
+      assert.strictEqual(await aliceResult?.text(), "Me: Bearer alice");
+      assert.strictEqual(
+        callCount,
+        2,
+        "Each user should be served from their own partition"
+      );
+
+      const cache = await caches.open(cacheName);
+      const keys = (await cache.keys()).map((key) => key.url);
+      assert.strictEqual(keys.length, 2);
+      assert(
+        keys.every((key) => !key.includes("alice") && !key.includes("bob")),
+        "Partition ids should be hashed in cache keys"
+      );
+    });
+
+    test("uses a custom partition function", async () => {
+      const cacheName = "test-partition-function";
+      const url = "https://example.com/api/me";
+      const { fetch: customFetch, getCallCount } = createMockFetch(
+        new Map([[url, new Response("Me", { status: 200 })]])
+      );
+      let currentUser = "alice";
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        partitionBy: () => currentUser,
+        customFetch
+      });
+
+      await handleRequest(createFetchEvent(new Request(url)));
+      currentUser = "bob";
+      await handleRequest(createFetchEvent(new Request(url)));
+      assert.strictEqual(getCallCount(), 2);
+
+      currentUser = "alice";
+      await handleRequest(createFetchEvent(new Request(url)));
+      assert.strictEqual(getCallCount(), 2);
+    });
+  });
+
+  describe("routes", () => {
+    test("applies per-route strategy and TTL", async (testContext) => {
+      testContext.mock.timers.enable({ apis: ["Date"] });
+
+      const cacheName = "test-routes-settings";
+      const configUrl = "https://example.com/api/config";
+      const feedUrl = "https://example.com/api/feed";
+      const { fetch: customFetch, getCallCount } = createMockFetch(
+        new Map([
+          [configUrl, new Response("Config", { status: 200 })],
+          [feedUrl, new Response("Feed", { status: 200 })]
+        ])
+      );
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        defaultTTLSeconds: 300,
+        routes: [
+          {
+            match: "/api/config",
+            strategy: "cache-first",
+            ttlSeconds: 86400,
+            maxCacheAgeSeconds: 172800
+          },
+          { match: "/api/feed", strategy: "network-first", ttlSeconds: 10 }
+        ],
+        customFetch
+      });
+
+      await handleRequest(createFetchEvent(new Request(configUrl)));
+      await handleRequest(createFetchEvent(new Request(feedUrl)));
+      assert.strictEqual(getCallCount(), 2);
+
+      // Two hours later - config is still fresh, feed always goes to network
+      testContext.mock.timers.tick(7200 * 1000);
+
+      const configResult = await handleRequest(
+        createFetchEvent(new Request(configUrl))
+      );
+      assert.strictEqual(await configResult?.text(), "Config");
+      assert.strictEqual(getCallCount(), 2, "Config should be a cache hit");
+
+      await handleRequest(createFetchEvent(new Request(feedUrl)));
+      assert.strictEqual(getCallCount(), 3, "Feed should use network-first");
+
+      testContext.mock.timers.reset();
+    });
+
+    test("only routes are in scope when scope is not set", async () => {
+      const cacheName = "test-routes-only";
+      const { fetch: customFetch } = createMockFetch(
+        new Map([
+          [
+            "https://example.com/api/config",
+            new Response("Config", { status: 200 })
+          ]
+        ])
+      );
+      const handleRequest = createHandleRequest({
+        cacheName,
+        routes: [{ match: "/api/config" }],
+        customFetch
+      });
+
+      assert.strictEqual(
+        handleRequest(
+          createFetchEvent(new Request("https://example.com/api/users"))
+        ),
+        null
+      );
+      const result = await handleRequest(
+        createFetchEvent(new Request("https://example.com/api/config"))
+      );
+      assert.strictEqual(await result?.text(), "Config");
+    });
+
+    test("matches RegExp and glob routes and supports opting out", async () => {
+      const cacheName = "test-routes-patterns";
+      const { fetch: customFetch } = createMockFetch(
+        new Map([
+          [
+            "https://example.com/api/users/1/avatar",
+            new Response("Avatar", { status: 200 })
+          ],
+          [
+            "https://example.com/api/live/scores",
+            new Response("Scores", { status: 200 })
+          ]
+        ])
+      );
+      const handleRequest = createHandleRequest({
+        cacheName,
+        routes: [
+          { match: /^\/api\/live\//, ttlSeconds: 0 },
+          { match: "/api/users/*/avatar", ttlSeconds: 600 }
+        ],
+        customFetch
+      });
+
+      assert.strictEqual(
+        handleRequest(
+          createFetchEvent(new Request("https://example.com/api/live/scores"))
+        ),
+        null,
+        "Route with ttlSeconds: 0 should opt out of caching"
+      );
+      await handleRequest(
+        createFetchEvent(new Request("https://example.com/api/users/1/avatar"))
+      );
+      const cache = await caches.open(cacheName);
+      assert(
+        await cache.match("https://example.com/api/users/1/avatar"),
+        "Glob route should be cached"
+      );
+    });
+
+    test("route invalidation rules add paths to invalidate", async () => {
+      const cacheName = "test-routes-invalidate";
+      const { fetch: customFetch } = createMockFetch(
+        new Map([
+          [
+            "https://example.com/api/dashboard",
+            new Response("Dashboard", { status: 200 })
+          ],
+          [
+            "https://example.com/api/projects",
+            new Response("Projects", { status: 200 })
+          ]
+        ])
+      );
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        routes: [
+          {
+            match: "/api/projects/*",
+            inferInvalidation: false,
+            invalidate: ["/api/dashboard"]
+          }
+        ],
+        customFetch
+      });
+
+      await handleRequest(
+        createFetchEvent(new Request("https://example.com/api/dashboard"))
+      );
+      await handleRequest(
+        createFetchEvent(new Request("https://example.com/api/projects"))
+      );
+
+      await handleRequest(
+        createFetchEvent(
+          new Request("https://example.com/api/projects/1", {
+            method: "PATCH"
+          })
+        )
+      );
+
+      const cache = await caches.open(cacheName);
+      assert.strictEqual(
+        await cache.match("https://example.com/api/dashboard"),
+        undefined,
+        "Route invalidation path should be invalidated"
+      );
+      assert(
+        await cache.match("https://example.com/api/projects"),
+        "Inferred parent should not be invalidated when route disables inference"
+      );
+    });
+  });
+
+  describe("network timeout", () => {
+    test("serves cached response when network is slower than networkTimeoutSeconds", async (testContext) => {
+      testContext.mock.timers.enable({ apis: ["setTimeout"] });
+
+      const cacheName = "test-network-timeout-fallback";
+      const url = "https://example.com/api/users";
+      const { fetch: customFetch, respond, waitForCalls } = createSlowFetch();
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        defaultStrategy: "network-first",
+        networkTimeoutSeconds: 3,
+        customFetch
+      });
+
+      // First request - nothing cached, waits for the network
+      const firstResponsePromise = handleRequest(
+        createFetchEvent(new Request(url))
+      );
+      await waitForCalls(1);
+      testContext.mock.timers.tick(5000);
+      respond(new Response("Network data v1", { status: 200 }));
+      assert.strictEqual(
+        await (await firstResponsePromise)?.text(),
+        "Network data v1"
+      );
+
+      // Second request - network is slow, cached response is served after the timeout
+      const secondResponsePromise = handleRequest(
+        createFetchEvent(new Request(url))
+      );
+      await waitForCalls(2);
+      testContext.mock.timers.tick(3000);
+      const secondResponse = await secondResponsePromise;
+      assert.strictEqual(await secondResponse?.text(), "Network data v1");
+      assert(
+        secondResponse?.headers.get("x-sw-cache-timestamp"),
+        "Response should come from cache"
+      );
+
+      // The network request finishes in the background and updates the cache
+      respond(new Response("Network data v2", { status: 200 }));
+      await handleRequest.waitForBackgroundWork();
+      const cache = await caches.open(cacheName);
+      assert.strictEqual(
+        await (await cache.match(url))?.text(),
+        "Network data v2"
+      );
+
+      testContext.mock.timers.reset();
+    });
+
+    test("returns network response when it arrives before the timeout", async (testContext) => {
+      testContext.mock.timers.enable({ apis: ["setTimeout"] });
+
+      const cacheName = "test-network-timeout-fast";
+      const url = "https://example.com/api/users";
+      const { fetch: customFetch, respond, waitForCalls } = createSlowFetch();
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        defaultStrategy: "network-first",
+        networkTimeoutSeconds: 3,
+        customFetch
+      });
+
+      const firstResponsePromise = handleRequest(
+        createFetchEvent(new Request(url))
+      );
+      await waitForCalls(1);
+      respond(new Response("Network data v1", { status: 200 }));
+      await firstResponsePromise;
+
+      const secondResponsePromise = handleRequest(
+        createFetchEvent(new Request(url))
+      );
+      await waitForCalls(2);
+      testContext.mock.timers.tick(1000);
+      respond(new Response("Network data v2", { status: 200 }));
+      const secondResponse = await secondResponsePromise;
+      assert.strictEqual(await secondResponse?.text(), "Network data v2");
+      assert.strictEqual(
+        secondResponse?.headers.get("x-sw-cache-timestamp"),
+        null
+      );
+
+      testContext.mock.timers.reset();
+    });
+
+    test("X-SW-Cache-Network-Timeout header sets the timeout per request", async (testContext) => {
+      testContext.mock.timers.enable({ apis: ["setTimeout"] });
+
+      const cacheName = "test-network-timeout-header";
+      const url = "https://example.com/api/users";
+      const { fetch: customFetch, respond, waitForCalls } = createSlowFetch();
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        defaultStrategy: "network-first",
+        customFetch
+      });
+
+      const firstResponsePromise = handleRequest(
+        createFetchEvent(new Request(url))
+      );
+      await waitForCalls(1);
+      respond(new Response("Network data v1", { status: 200 }));
+      await firstResponsePromise;
+
+      const secondResponsePromise = handleRequest(
+        createFetchEvent(
+          new Request(url, { headers: { "X-SW-Cache-Network-Timeout": "1" } })
+        )
+      );
+      await waitForCalls(2);
+      testContext.mock.timers.tick(1000);
+      assert.strictEqual(
+        await (await secondResponsePromise)?.text(),
+        "Network data v1"
+      );
+
+      respond(new Response("Network data v2", { status: 200 }));
+      await handleRequest.waitForBackgroundWork();
+      testContext.mock.timers.reset();
+    });
+  });
+
+  describe("cache-only strategy", () => {
+    test("returns cached response without network request", async () => {
+      const cacheName = "test-cache-only-hit";
+      const url = "https://example.com/api/users";
+      const { fetch: customFetch, getCallCount } = createMockFetch(
+        new Map([[url, new Response("Network data", { status: 200 })]])
+      );
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        customFetch
+      });
+
+      // Populate the cache with the default strategy
+      await handleRequest(createFetchEvent(new Request(url)));
+      assert.strictEqual(getCallCount(), 1);
+
+      const response = await handleRequest(
+        createFetchEvent(
+          new Request(url, { headers: { "X-SW-Cache-Strategy": "cache-only" } })
+        )
+      );
+      assert.strictEqual(await response?.text(), "Network data");
+      assert.strictEqual(getCallCount(), 1, "Network should not be used");
+    });
+
+    test("returns 504 when nothing usable is cached", async (testContext) => {
+      testContext.mock.timers.enable({ apis: ["Date"] });
+
+      const cacheName = "test-cache-only-miss";
+      const url = "https://example.com/api/users";
+      const { fetch: customFetch, getCallCount } = createMockFetch(
+        new Map([[url, new Response("Network data", { status: 200 })]])
+      );
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        defaultStrategy: "cache-only",
+        defaultTTLSeconds: 60,
+        defaultStaleTTLSeconds: 120,
+        customFetch
+      });
+
+      const missResponse = await handleRequest(
+        createFetchEvent(new Request(url))
+      );
+      assert.strictEqual(missResponse?.status, 504);
+      assert.strictEqual(getCallCount(), 0, "Network should not be used");
+
+      // Cache a response, then let it become too stale
+      await handleRequest(
+        createFetchEvent(
+          new Request(url, {
+            headers: { "X-SW-Cache-Strategy": "cache-first" }
+          })
+        )
+      );
+      testContext.mock.timers.tick(90 * 1000);
+      const staleResponse = await handleRequest(
+        createFetchEvent(new Request(url))
+      );
+      assert.strictEqual(staleResponse?.status, 200);
+
+      testContext.mock.timers.tick(60 * 1000);
+      const tooStaleResponse = await handleRequest(
+        createFetchEvent(new Request(url))
+      );
+      assert.strictEqual(tooStaleResponse?.status, 504);
+      assert.strictEqual(getCallCount(), 1);
+
+      testContext.mock.timers.reset();
+    });
+  });
+
+  describe("network-only strategy", () => {
+    test("always fetches from network and never caches", async () => {
+      const cacheName = "test-network-only";
+      const url = "https://example.com/api/users";
+      const { fetch: customFetch, getCallCount } = createMockFetch(
+        new Map([[url, new Response("Network data", { status: 200 })]])
+      );
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        defaultStrategy: "network-only",
+        customFetch
+      });
+
+      const firstResponse = handleRequest(createFetchEvent(new Request(url)));
+      assert.notStrictEqual(firstResponse, null, "Request should be handled");
+      assert.strictEqual(await (await firstResponse)?.text(), "Network data");
+      await handleRequest(createFetchEvent(new Request(url)));
+      assert.strictEqual(getCallCount(), 2);
+
+      const cache = await caches.open(cacheName);
+      assert.strictEqual(await cache.match(url), undefined);
+    });
+
+    test("can be selected with X-SW-Cache-Strategy header", async () => {
+      const cacheName = "test-network-only-header";
+      const url = "https://example.com/api/users";
+      const { fetch: customFetch, getCallCount } = createMockFetch(
+        new Map([[url, new Response("Network data", { status: 200 })]])
+      );
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        customFetch
+      });
+
+      await handleRequest(createFetchEvent(new Request(url)));
+      await handleRequest(
+        createFetchEvent(
+          new Request(url, {
+            headers: { "X-SW-Cache-Strategy": "network-only" }
+          })
+        )
+      );
+      assert.strictEqual(getCallCount(), 2, "Cache should be bypassed");
+    });
+  });
+
+  describe("custom strategies", () => {
+    test("custom strategy receives a context and can use the cache", async () => {
+      const cacheName = "test-custom-strategy";
+      const url = "https://example.com/api/users";
+      const { fetch: customFetch, getCallCount } = createMockFetch(
+        new Map([[url, new Response("Network data", { status: 200 })]])
+      );
+
+      // Cache-first, but always revalidate the first request after startup
+      let revalidated = false;
+      /** @type {StrategyContext[]} */
+      const contexts = [];
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        defaultStrategy: "revalidate-on-start",
+        defaultTTLSeconds: 60,
+        defaultStaleTTLSeconds: 600,
+        strategies: {
+          "revalidate-on-start": async (context) => {
+            contexts.push(context);
+            const cachedResponse = await context.match();
+            if (cachedResponse && context.isFresh(cachedResponse)) {
+              if (revalidated) {
+                return cachedResponse;
+              }
+              revalidated = true;
+            }
+            return context.fetchAndCache(cachedResponse);
+          }
+        },
+        customFetch
+      });
+
+      await handleRequest(createFetchEvent(new Request(url)));
+      await handleRequest(createFetchEvent(new Request(url)));
+      assert.strictEqual(getCallCount(), 2, "First hit should revalidate");
+      const result = await handleRequest(createFetchEvent(new Request(url)));
+      assert.strictEqual(await result?.text(), "Network data");
+      assert.strictEqual(getCallCount(), 2, "Later hits should use cache");
+
+      const context = contexts[0];
+      assert.strictEqual(context.url, url);
+      assert.strictEqual(context.request.url, url);
+      assert.strictEqual(context.ttl, 60);
+      assert.strictEqual(context.staleTTL, 600);
+      assert.strictEqual(context.networkTimeout, null);
+      assert.strictEqual(context.customFetch, customFetch);
+      assert(await context.cache.match(context.cacheKey));
+    });
+
+    test("custom strategies can be selected by header or route and replace built-ins", async () => {
+      const cacheName = "test-custom-strategy-selection";
+      const url = "https://example.com/api/users";
+      const { fetch: customFetch, getCallCount } = createMockFetch(
+        new Map([[url, new Response("Network data", { status: 200 })]])
+      );
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        routes: [{ match: "/api/teams", strategy: "teapot" }],
+        strategies: {
+          teapot: () => new Response("I'm a teapot", { status: 418 }),
+          "cache-first": (context) => context.customFetch(context.request)
+        },
+        customFetch
+      });
+
+      const headerResponse = await handleRequest(
+        createFetchEvent(
+          new Request(url, { headers: { "X-SW-Cache-Strategy": "teapot" } })
+        )
+      );
+      assert.strictEqual(headerResponse?.status, 418);
+
+      const routeResponse = await handleRequest(
+        createFetchEvent(new Request("https://example.com/api/teams"))
+      );
+      assert.strictEqual(routeResponse?.status, 418);
+
+      // The replaced cache-first strategy never caches
+      await handleRequest(createFetchEvent(new Request(url)));
+      await handleRequest(createFetchEvent(new Request(url)));
+      assert.strictEqual(getCallCount(), 2);
+    });
+  });
+
+  describe("in-flight request deduplication", () => {
+    test("concurrent cache misses share one network request", async () => {
+      const cacheName = "test-dedupe-miss";
+      const url = "https://example.com/api/me";
+      const {
+        fetch: customFetch,
+        respond,
+        getCallCount,
+        waitForCalls
+      } = createSlowFetch();
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        customFetch
+      });
+
+      const responsePromises = Array.from({ length: 5 }, () =>
+        handleRequest(createFetchEvent(new Request(url)))
+      );
+      await waitForCalls(1);
+
+      respond(new Response("Me", { status: 200 }));
+      const responses = await Promise.all(responsePromises);
+      for (const response of responses) {
+        assert.strictEqual(await response?.text(), "Me");
+      }
+      assert.strictEqual(getCallCount(), 1, "Only one network request");
+
+      // A later miss makes a new network request
+      await caches.delete(cacheName);
+      const laterResponsePromise = handleRequest(
+        createFetchEvent(new Request(url))
+      );
+      await waitForCalls(2);
+      respond(new Response("Me again", { status: 200 }));
+      assert.strictEqual(
+        await (await laterResponsePromise)?.text(),
+        "Me again"
+      );
+    });
+
+    test("only shares a response with callers matching its Vary header", async () => {
+      const cacheName = "test-dedupe-vary";
+      const url = "https://example.com/api/p";
+      /** @type {(() => void)[]} */
+      const pending = [];
+      let callCount = 0;
+      /** @type {((request: Request) => void) | null} */
+      let onFetch = null;
+      /** @param {Request} request */
+      const fetch = async (request) => {
+        callCount++;
+        onFetch?.(request);
+        await new Promise((resolve) => pending.push(() => resolve(undefined)));
+        return new Response(`lang=${request.headers.get("Accept-Language")}`, {
+          status: 200,
+          headers: { Vary: "Accept-Language" }
+        });
+      };
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        customFetch: /** @type {typeof globalThis.fetch} */ (
+          /** @type {unknown} */ (fetch)
+        )
+      });
+
+      /** @param {string} language */
+      const get = (language) =>
+        handleRequest(
+          createFetchEvent(
+            new Request(url, { headers: { "Accept-Language": language } })
+          )
+        );
+      /** @returns {Promise<Request>} */
+      const waitForFetch = () =>
+        new Promise((resolve) => {
+          onFetch = resolve;
+        });
+      const firstFetch = waitForFetch();
+      const responsePromises = [get("en"), get("fr"), get("en")];
+      await firstFetch;
+
+      // Callers with another language make their own request once the response arrives
+      const nextFetch = waitForFetch();
+      pending.shift()?.();
+      const nextRequest = await nextFetch;
+      assert.strictEqual(nextRequest.headers.get("Accept-Language"), "fr");
+      assert.strictEqual(callCount, 2);
+      pending.shift()?.();
+
+      const texts = await Promise.all(
+        responsePromises.map(async (promise) => (await promise)?.text())
+      );
+      assert.deepStrictEqual(texts, ["lang=en", "lang=fr", "lang=en"]);
+    });
+
+    test("concurrent stale-while-revalidate refreshes share one network request", async (testContext) => {
+      testContext.mock.timers.enable({ apis: ["Date"] });
+
+      const cacheName = "test-dedupe-swr";
+      const url = "https://example.com/api/me";
+      const {
+        fetch: customFetch,
+        respond,
+        getCallCount,
+        waitForCalls
+      } = createSlowFetch();
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        defaultStrategy: "stale-while-revalidate",
+        defaultTTLSeconds: 60,
+        customFetch
+      });
+
+      const firstResponsePromise = handleRequest(
+        createFetchEvent(new Request(url))
+      );
+      await waitForCalls(1);
+      respond(new Response("Me v1", { status: 200 }));
+      await firstResponsePromise;
+
+      testContext.mock.timers.tick(120 * 1000);
+
+      const responses = await Promise.all(
+        Array.from({ length: 3 }, () =>
+          handleRequest(createFetchEvent(new Request(url)))
+        )
+      );
+      for (const response of responses) {
+        assert.strictEqual(await response?.text(), "Me v1");
+      }
+      await waitForCalls(2);
+
+      respond(new Response("Me v2", { status: 200 }));
+      await handleRequest.waitForBackgroundWork();
+      assert.strictEqual(getCallCount(), 2, "One background refresh");
+      const cache = await caches.open(cacheName);
+      assert.strictEqual(await (await cache.match(url))?.text(), "Me v2");
+
+      testContext.mock.timers.reset();
+    });
+
+    test("requests in different partitions are not shared", async () => {
+      const cacheName = "test-dedupe-partitions";
+      const url = "https://example.com/api/me";
+      const { fetch: customFetch, respond, waitForCalls } = createSlowFetch();
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        partitionBy: "authorization",
+        customFetch
+      });
+
+      const alicePromise = handleRequest(
+        createFetchEvent(
+          new Request(url, { headers: { Authorization: "Bearer alice" } })
+        )
+      );
+      const bobPromise = handleRequest(
+        createFetchEvent(
+          new Request(url, { headers: { Authorization: "Bearer bob" } })
+        )
+      );
+      await waitForCalls(2);
+
+      respond(new Response("Alice", { status: 200 }));
+      respond(new Response("Bob", { status: 200 }));
+      assert.strictEqual(await (await alicePromise)?.text(), "Alice");
+      assert.strictEqual(await (await bobPromise)?.text(), "Bob");
+    });
+  });
+
+  describe("background work", () => {
+    test("stale-while-revalidate refresh is registered with event.waitUntil", async (testContext) => {
+      testContext.mock.timers.enable({ apis: ["Date"] });
+
+      const cacheName = "test-background-swr";
+      const url = "https://example.com/api/users";
+      const { fetch: customFetch, respond, waitForCalls } = createSlowFetch();
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        defaultStrategy: "stale-while-revalidate",
+        defaultTTLSeconds: 60,
+        customFetch
+      });
+
+      const firstResponsePromise = handleRequest(
+        createFetchEvent(new Request(url))
+      );
+      await waitForCalls(1);
+      respond(new Response("Users v1", { status: 200 }));
+      await firstResponsePromise;
+      await handleRequest.waitForBackgroundWork();
+
+      testContext.mock.timers.tick(120 * 1000);
+
+      const { event, waitUntilPromises } = createExtendableFetchEvent(
+        new Request(url)
+      );
+      const staleResponse = await handleRequest(event);
+      assert.strictEqual(await staleResponse?.text(), "Users v1");
+      assert.strictEqual(
+        waitUntilPromises.length,
+        1,
+        "Background refresh should be registered with waitUntil"
+      );
+
+      // The refresh is still running until the network responds
+      let settled = false;
+      const backgroundWork = handleRequest
+        .waitForBackgroundWork()
+        .then(() => (settled = true));
+      await waitForCalls(2);
+      assert.strictEqual(settled, false);
+
+      respond(new Response("Users v2", { status: 200 }));
+      await backgroundWork;
+      await waitUntilPromises[0];
+      const cache = await caches.open(cacheName);
+      assert.strictEqual(await (await cache.match(url))?.text(), "Users v2");
+
+      testContext.mock.timers.reset();
+    });
+
+    test("periodic cleanup is registered with event.waitUntil", async () => {
+      const cacheName = "test-background-cleanup";
+      const url = "https://example.com/api/users";
+      const { fetch: customFetch } = createMockFetch(
+        new Map([[url, new Response("Users", { status: 200 })]])
+      );
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        customFetch
+      });
+
+      // Cleanup runs on the first fetch
+      const { event, waitUntilPromises } = createExtendableFetchEvent(
+        new Request(url)
+      );
+      await handleRequest(event);
+      assert.strictEqual(waitUntilPromises.length, 1);
+      await handleRequest.waitForBackgroundWork();
+    });
+
+    test("background errors don't reject waitForBackgroundWork", async (testContext) => {
+      testContext.mock.timers.enable({ apis: ["Date"] });
+
+      const cacheName = "test-background-errors";
+      const url = "https://example.com/api/users";
+      const { fetch: customFetch, reset } = createMockFetch(
+        new Map([[url, new Response("Users", { status: 200 })]])
+      );
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        defaultStrategy: "stale-while-revalidate",
+        defaultTTLSeconds: 60,
+        customFetch
+      });
+
+      await handleRequest(createFetchEvent(new Request(url)));
+      testContext.mock.timers.tick(120 * 1000);
+      reset(new Map(), new Map([[url, new Error("Network error")]]));
+
+      const staleResponse = await handleRequest(
+        createFetchEvent(new Request(url))
+      );
+      assert.strictEqual(await staleResponse?.text(), "Users");
+      await handleRequest.waitForBackgroundWork();
+
+      testContext.mock.timers.reset();
+    });
+  });
+
+  describe("broadcastUpdates", () => {
+    /**
+     * Collect cache update messages posted while running a function
+     * @param {() => Promise<void>} fn
+     * @returns {Promise<CacheUpdateMessage[]>}
+     */
+    async function collectUpdates(fn) {
+      const markerCacheName = "test-broadcast-marker";
+      /** @type {CacheUpdateMessage[]} */
+      const messages = [];
+      /** @type {() => void} */
+      let markerReceived = () => {};
+      const marker = new Promise((resolve) => {
+        markerReceived = () => resolve(undefined);
+      });
+      const stop = onCacheUpdate((message) =>
+        message.cacheName === markerCacheName
+          ? markerReceived()
+          : messages.push(message)
+      );
+      await fn();
+
+      // Messages arrive in the order they were posted, so every update has
+      // been received once a marker posted afterwards arrives
+      const channel = new BroadcastChannel(CACHE_UPDATES_CHANNEL);
+      channel.postMessage({
+        type: CACHE_UPDATED_MESSAGE_TYPE,
+        cacheName: markerCacheName,
+        url: ""
+      });
+      channel.close();
+      await marker;
+      stop();
+      return messages;
+    }
+
+    test("broadcasts when a background refresh changes the cached response", async (testContext) => {
+      testContext.mock.timers.enable({ apis: ["Date"] });
+
+      const cacheName = "test-broadcast-changed";
+      const url = "https://example.com/api/users";
+      const { fetch: customFetch, reset } = createMockFetch(
+        new Map([[url, new Response("Users v1", { status: 200 })]])
+      );
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        defaultStrategy: "stale-while-revalidate",
+        defaultTTLSeconds: 60,
+        broadcastUpdates: true,
+        customFetch
+      });
+
+      const messages = await collectUpdates(async () => {
+        await handleRequest(createFetchEvent(new Request(url)));
+        testContext.mock.timers.tick(120 * 1000);
+        reset(new Map([[url, new Response("Users v2", { status: 200 })]]));
+
+        const staleResponse = await handleRequest(
+          createFetchEvent(new Request(url))
+        );
+        assert.strictEqual(await staleResponse?.text(), "Users v1");
+        await handleRequest.waitForBackgroundWork();
+      });
+
+      assert.deepStrictEqual(messages, [
+        { type: "swimple:cache-updated", cacheName, url }
+      ]);
+
+      testContext.mock.timers.reset();
+    });
+
+    test("does not broadcast when the refreshed response is unchanged", async (testContext) => {
+      testContext.mock.timers.enable({ apis: ["Date"] });
+
+      const cacheName = "test-broadcast-unchanged";
+      const url = "https://example.com/api/users";
+      const { fetch: customFetch } = createMockFetch(
+        new Map([[url, new Response("Users", { status: 200 })]])
+      );
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        defaultStrategy: "stale-while-revalidate",
+        defaultTTLSeconds: 60,
+        broadcastUpdates: true,
+        customFetch
+      });
+
+      const messages = await collectUpdates(async () => {
+        await handleRequest(createFetchEvent(new Request(url)));
+        testContext.mock.timers.tick(120 * 1000);
+        await handleRequest(createFetchEvent(new Request(url)));
+        await handleRequest.waitForBackgroundWork();
+      });
+
+      assert.deepStrictEqual(messages, []);
+
+      testContext.mock.timers.reset();
+    });
+
+    test("concurrent refreshes broadcast once", async (testContext) => {
+      testContext.mock.timers.enable({ apis: ["Date"] });
+
+      const cacheName = "test-broadcast-concurrent";
+      const url = "https://example.com/api/users";
+      const { fetch: customFetch, reset } = createMockFetch(
+        new Map([[url, new Response("Users v1", { status: 200 })]])
+      );
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        defaultStrategy: "stale-while-revalidate",
+        defaultTTLSeconds: 60,
+        broadcastUpdates: true,
+        customFetch
+      });
+
+      const messages = await collectUpdates(async () => {
+        await handleRequest(createFetchEvent(new Request(url)));
+        testContext.mock.timers.tick(120 * 1000);
+        reset(new Map([[url, new Response("Users v2", { status: 200 })]]));
+
+        await Promise.all(
+          Array.from({ length: 3 }, () =>
+            handleRequest(createFetchEvent(new Request(url)))
+          )
+        );
+        await handleRequest.waitForBackgroundWork();
+      });
+
+      assert.strictEqual(messages.length, 1);
+
+      testContext.mock.timers.reset();
+    });
+
+    test("is disabled by default", async (testContext) => {
+      testContext.mock.timers.enable({ apis: ["Date"] });
+
+      const cacheName = "test-broadcast-disabled";
+      const url = "https://example.com/api/users";
+      const { fetch: customFetch, reset } = createMockFetch(
+        new Map([[url, new Response("Users v1", { status: 200 })]])
+      );
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        defaultStrategy: "stale-while-revalidate",
+        defaultTTLSeconds: 60,
+        customFetch
+      });
+
+      const messages = await collectUpdates(async () => {
+        await handleRequest(createFetchEvent(new Request(url)));
+        testContext.mock.timers.tick(120 * 1000);
+        reset(new Map([[url, new Response("Users v2", { status: 200 })]]));
+        await handleRequest(createFetchEvent(new Request(url)));
+        await handleRequest.waitForBackgroundWork();
+      });
+
+      assert.deepStrictEqual(messages, []);
+
+      testContext.mock.timers.reset();
+    });
+  });
+
+  describe("outbox", () => {
+    /**
+     * Mock fetch that records requests (method, URL and body) and can be switched offline
+     * @param {Map<string, Response>} responses - Map of URL to Response for GET requests
+     */
+    function createOutboxFetch(responses = new Map()) {
+      /** @type {{ method: string, url: string, body: string }[]} */
+      const requests = [];
+      let offline = false;
+      /** @param {Request} request */
+      const fetch = async (request) => {
+        if (offline) {
+          throw new TypeError("Failed to fetch");
+        }
+        requests.push({
+          method: request.method,
+          url: request.url,
+          body: await request.text()
+        });
+        return (
+          responses.get(request.url)?.clone() ??
+          new Response("OK", { status: 200 })
+        );
+      };
+      return {
+        fetch: /** @type {typeof globalThis.fetch} */ (
+          /** @type {unknown} */ (fetch)
+        ),
+        requests,
+        setOffline: (/** @type {boolean} */ value) => (offline = value)
+      };
+    }
+
+    test("queues failed mutations and returns 202", async () => {
+      const cacheName = "test-outbox-queue";
+      const { fetch: customFetch, requests, setOffline } = createOutboxFetch();
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        routes: [{ match: "/api/jobs/", outbox: true }],
+        customFetch
+      });
+
+      setOffline(true);
+      const response = await handleRequest(
+        createFetchEvent(
+          new Request("https://example.com/api/jobs/1", {
+            method: "PATCH",
+            body: JSON.stringify({ status: "done" })
+          })
+        )
+      );
+      assert.strictEqual(response?.status, 202);
+      assert.strictEqual(response?.headers.get("X-SW-Cache-Queued"), "true");
+
+      // Replay once back online
+      setOffline(false);
+      await handleRequest.handleSync({
+        tag: `swimple-outbox:${cacheName}`,
+        waitUntil: () => {}
+      });
+      assert.deepStrictEqual(requests, [
+        {
+          method: "PATCH",
+          url: "https://example.com/api/jobs/1",
+          body: JSON.stringify({ status: "done" })
+        }
+      ]);
+
+      // The outbox is empty after replaying
+      await handleRequest.handleSync({
+        tag: `swimple-outbox:${cacheName}`,
+        waitUntil: () => {}
+      });
+      assert.strictEqual(requests.length, 1);
+    });
+
+    test("sends queued mutations before a newer mutation", async () => {
+      const cacheName = "test-outbox-order";
+      const url = "https://example.com/api/notes/1";
+      const { fetch: customFetch, requests, setOffline } = createOutboxFetch();
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        routes: [{ match: "/api/notes/", outbox: true }],
+        customFetch
+      });
+      /** @param {string} body */
+      const put = (body) =>
+        handleRequest(
+          createFetchEvent(new Request(url, { method: "PUT", body }))
+        );
+
+      setOffline(true);
+      assert.strictEqual((await put("A"))?.status, 202);
+      setOffline(false);
+      assert.strictEqual((await put("B"))?.status, 200);
+
+      assert.deepStrictEqual(
+        requests.map(({ method, body }) => `${method} ${body}`),
+        ["PUT A", "PUT B"]
+      );
+    });
+
+    test("queues a newer mutation behind queued mutations that fail to replay", async () => {
+      const cacheName = "test-outbox-order-failed";
+      const responses = new Map([
+        [
+          "https://example.com/api/notes/1",
+          new Response("Bad Gateway", { status: 502 })
+        ]
+      ]);
+      const {
+        fetch: customFetch,
+        requests,
+        setOffline
+      } = createOutboxFetch(responses);
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        routes: [{ match: "/api/notes/", outbox: true }],
+        customFetch
+      });
+      /** @param {string} id */
+      const put = (id) =>
+        handleRequest(
+          createFetchEvent(
+            new Request(`https://example.com/api/notes/${id}`, {
+              method: "PUT",
+              body: id
+            })
+          )
+        );
+
+      setOffline(true);
+      assert.strictEqual((await put("1"))?.status, 202);
+      setOffline(false);
+      assert.strictEqual((await put("2"))?.status, 202);
+      assert.deepStrictEqual(
+        requests.map(({ body }) => body),
+        ["1"]
+      );
+
+      responses.delete("https://example.com/api/notes/1");
+      await handleRequest.handleSync({
+        tag: `swimple-outbox:${cacheName}`,
+        waitUntil: () => {}
+      });
+      assert.deepStrictEqual(
+        requests.map(({ body }) => body),
+        ["1", "1", "2"]
+      );
+    });
+
+    test("replays in order and invalidates the cache on replay", async () => {
+      const cacheName = "test-outbox-replay";
+      const listUrl = "https://example.com/api/jobs";
+      const {
+        fetch: customFetch,
+        requests,
+        setOffline
+      } = createOutboxFetch(
+        new Map([[listUrl, new Response("Jobs", { status: 200 })]])
+      );
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        routes: [{ match: "/api/jobs", outbox: true }],
+        customFetch
+      });
+
+      // Cache the list while online
+      await handleRequest(createFetchEvent(new Request(listUrl)));
+      requests.length = 0;
+
+      setOffline(true);
+      for (const id of ["1", "2"]) {
+        const response = await handleRequest(
+          createFetchEvent(
+            new Request(`https://example.com/api/jobs/${id}`, {
+              method: "DELETE"
+            })
+          )
+        );
+        assert.strictEqual(response?.status, 202);
+      }
+
+      // The cached list is still available offline while the mutations are queued
+      const offlineResponse = await handleRequest(
+        createFetchEvent(new Request(listUrl))
+      );
+      assert.strictEqual(await offlineResponse?.text(), "Jobs");
+
+      setOffline(false);
+      const sync = handleRequest.handleSync({
+        tag: `swimple-outbox:${cacheName}`,
+        waitUntil: () => {}
+      });
+      assert(sync, "Outbox sync event should be handled");
+      await sync;
+
+      assert.deepStrictEqual(
+        requests.map(({ method, url }) => `${method} ${url}`),
+        [
+          "DELETE https://example.com/api/jobs/1",
+          "DELETE https://example.com/api/jobs/2"
+        ]
+      );
+      const cache = await caches.open(cacheName);
+      assert.strictEqual(
+        await cache.match(listUrl),
+        undefined,
+        "Inferred paths should be invalidated on replay"
+      );
+    });
+
+    test("replays after the next successful fetch", async () => {
+      const cacheName = "test-outbox-next-fetch";
+      const { fetch: customFetch, requests, setOffline } = createOutboxFetch();
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        routes: [{ match: "/api/jobs/", outbox: true }],
+        customFetch
+      });
+
+      setOffline(true);
+      await handleRequest(
+        createFetchEvent(
+          new Request("https://example.com/api/jobs/1", {
+            method: "POST",
+            body: "note"
+          })
+        )
+      );
+
+      // Still offline - the sync fails so the browser retries it later
+      await assert.rejects(
+        /** @type {Promise<void>} */ (
+          handleRequest.handleSync({
+            tag: `swimple-outbox:${cacheName}`,
+            waitUntil: () => {}
+          })
+        ),
+        /Failed to fetch/
+      );
+
+      setOffline(false);
+      await handleRequest(
+        createFetchEvent(new Request("https://example.com/api/users"))
+      );
+      await handleRequest.waitForBackgroundWork();
+
+      assert.deepStrictEqual(
+        requests.map(({ method, url }) => `${method} ${url}`),
+        [
+          "GET https://example.com/api/users",
+          "POST https://example.com/api/jobs/1"
+        ]
+      );
+    });
+
+    test("keeps mutations queued when the server fails on replay", async () => {
+      const cacheName = "test-outbox-server-error";
+      const jobUrl = "https://example.com/api/jobs/1";
+      const responses = new Map([
+        [jobUrl, new Response("Bad Gateway", { status: 502 })]
+      ]);
+      const {
+        fetch: customFetch,
+        requests,
+        setOffline
+      } = createOutboxFetch(responses);
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        routes: [{ match: "/api/jobs/", outbox: true }],
+        customFetch
+      });
+      const sync = () =>
+        /** @type {Promise<void>} */ (
+          handleRequest.handleSync({
+            tag: `swimple-outbox:${cacheName}`,
+            waitUntil: () => {}
+          })
+        );
+
+      setOffline(true);
+      await handleRequest(
+        createFetchEvent(new Request(jobUrl, { method: "PATCH", body: "done" }))
+      );
+      setOffline(false);
+
+      await assert.rejects(sync(), /Mutation replay failed: PATCH .* \(502\)/);
+
+      // Sent again once the server recovers
+      responses.delete(jobUrl);
+      await sync();
+      assert.deepStrictEqual(
+        requests.map(({ method, url }) => `${method} ${url}`),
+        [`PATCH ${jobUrl}`, `PATCH ${jobUrl}`]
+      );
+
+      // Nothing left to send
+      await sync();
+      assert.strictEqual(requests.length, 2);
+    });
+
+    test("replays mutations queued while replaying", async () => {
+      const cacheName = "test-outbox-queued-during-replay";
+      const firstUrl = "https://example.com/api/jobs/1";
+      const secondUrl = "https://example.com/api/jobs/2";
+      /** @type {string[]} */
+      const requests = [];
+      /** @type {Set<string>} */
+      const offlineUrls = new Set();
+      /** @type {() => void} */
+      let sendSecond = () => {};
+      const secondSent = new Promise((resolve) => {
+        sendSecond = () => resolve(undefined);
+      });
+      /** @type {() => Promise<unknown>} */
+      let duringFirstReplay = async () => {};
+      /** @param {Request} request */
+      const fetch = async (request) => {
+        if (request.url === secondUrl) {
+          await secondSent;
+        }
+        if (offlineUrls.has(request.url)) {
+          throw new TypeError("Failed to fetch");
+        }
+        requests.push(`${request.method} ${request.url}`);
+        const callback = duringFirstReplay;
+        duringFirstReplay = async () => {};
+        await callback();
+        return new Response("OK", { status: 200 });
+      };
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        routes: [{ match: "/api/jobs/", outbox: true }],
+        customFetch: /** @type {typeof globalThis.fetch} */ (
+          /** @type {unknown} */ (fetch)
+        )
+      });
+      /** @param {string} url */
+      const patch = (url) =>
+        handleRequest(createFetchEvent(new Request(url, { method: "PATCH" })));
+      const sync = () =>
+        handleRequest.handleSync({
+          tag: `swimple-outbox:${cacheName}`,
+          waitUntil: () => {}
+        });
+
+      // Both mutations are sent while the outbox is empty, then the connection drops
+      await sync();
+      offlineUrls.add(firstUrl);
+      offlineUrls.add(secondUrl);
+      const secondResponse = patch(secondUrl);
+      assert.strictEqual((await patch(firstUrl))?.status, 202);
+      offlineUrls.delete(firstUrl);
+
+      // The second mutation fails (and is queued) while the first one is replayed
+      duringFirstReplay = async () => {
+        sendSecond();
+        assert.strictEqual((await secondResponse)?.status, 202);
+        offlineUrls.clear();
+      };
+      await sync();
+
+      assert.deepStrictEqual(requests, [
+        `PATCH ${firstUrl}`,
+        `PATCH ${secondUrl}`
+      ]);
+    });
+
+    test("mutations outside outbox routes still fail when offline", async () => {
+      const cacheName = "test-outbox-other-routes";
+      const { fetch: customFetch, setOffline } = createOutboxFetch();
+      const handleRequest = createHandleRequest({
+        cacheName,
+        scope: ["/api/"],
+        routes: [{ match: "/api/jobs/", outbox: true }],
+        customFetch
+      });
+
+      setOffline(true);
+      await assert.rejects(
+        /** @type {Promise<Response>} */ (
+          handleRequest(
+            createFetchEvent(
+              new Request("https://example.com/api/users/1", {
+                method: "PATCH"
+              })
+            )
+          )
+        ),
+        /Failed to fetch/
+      );
+      assert.strictEqual(
+        handleRequest.handleSync({ tag: "other-sync", waitUntil: () => {} }),
+        null
+      );
+    });
+  });
+
+  describe("invalidationTiming", () => {
+    const cachedPaths = ["/api/users/1", "/api/users"];
+
+    /** Answer GET requests with old data, and hold PATCH requests until the test answers them */
+    function createServer() {
+      /** @type {(respondToPatch: (result: Response | Error) => void) => void} */
+      let onPatch = () => {};
+      return {
+        /** @param {Request} request */
+        respond: async (request) => {
+          if (request.method === "PATCH") {
+            /** @type {Response | Error} */
+            const result = await new Promise((resolve) => onPatch(resolve));
+            if (result instanceof Error) {
+              throw result;
+            }
+            return result;
+          }
+          return new Response(`Old ${request.url}`, { status: 200 });
+        },
+        /**
+         * Resolves with a function answering the next PATCH request, once it's sent
+         * @returns {Promise<(result: Response | Error) => void>}
+         */
+        waitForPatch: () =>
+          new Promise((resolve) => {
+            onPatch = resolve;
+          })
+      };
+    }
+
+    /**
+     * Send a PATCH for the user, and GET the list of users while it's in flight
+     * @param {HandleRequest} handleRequest
+     * @param {ReturnType<typeof createServer>} server
+     * @param {Response | Error} patchResult - Answer to the PATCH request
+     */
+    async function patchWithConcurrentGet(handleRequest, server, patchResult) {
+      const patchSent = server.waitForPatch();
+      const patchPromise = /** @type {Promise<Response>} */ (
+        handleRequest(
+          createFetchEvent(
+            new Request("https://example.com/api/users/1", { method: "PATCH" })
+          )
+        )
+      );
+      const respondToPatch = await patchSent;
+      await handleRequest(
+        createFetchEvent(new Request("https://example.com/api/users"))
+      );
+      respondToPatch(patchResult);
+      await patchPromise.catch(() => {});
+    }
+
+    test('"before" invalidates before the request is sent', async () => {
+      const server = createServer();
+      const { handleRequest, getCachedPaths } = await createCachingHandler(
+        {
+          cacheName: "test-invalidation-timing-before",
+          invalidationTiming: "before"
+        },
+        server.respond,
+        cachedPaths
+      );
+      await patchWithConcurrentGet(
+        handleRequest,
+        server,
+        new Response("Updated", { status: 200 })
+      );
+      // The concurrent GET re-populates the list with old data
+      assert.deepStrictEqual(await getCachedPaths(), ["/api/users"]);
+    });
+
+    test('"after-success" invalidates once the mutation succeeds', async () => {
+      const server = createServer();
+      const { handleRequest, getCachedPaths } = await createCachingHandler(
+        {
+          cacheName: "test-invalidation-timing-after-success",
+          invalidationTiming: "after-success"
+        },
+        server.respond,
+        cachedPaths
+      );
+      await patchWithConcurrentGet(
+        handleRequest,
+        server,
+        new Response("Updated", { status: 200 })
+      );
+      assert.deepStrictEqual(await getCachedPaths(), []);
+    });
+
+    test('"after-success" leaves the cache untouched when the mutation fails', async () => {
+      const server = createServer();
+      const { handleRequest, getCachedPaths } = await createCachingHandler(
+        {
+          cacheName: "test-invalidation-timing-after-success-failed",
+          invalidationTiming: "after-success"
+        },
+        server.respond,
+        cachedPaths
+      );
+      await patchWithConcurrentGet(
+        handleRequest,
+        server,
+        new Response("Conflict", { status: 409 })
+      );
+      assert.deepStrictEqual(await getCachedPaths(), [
+        "/api/users",
+        "/api/users/1"
+      ]);
+
+      await patchWithConcurrentGet(
+        handleRequest,
+        server,
+        new TypeError("Failed to fetch")
+      );
+      assert.deepStrictEqual(await getCachedPaths(), [
+        "/api/users",
+        "/api/users/1"
+      ]);
+    });
+
+    test('"both" invalidates before and again after success', async () => {
+      const server = createServer();
+      const { handleRequest, getCachedPaths } = await createCachingHandler(
+        {
+          cacheName: "test-invalidation-timing-both",
+          invalidationTiming: "both"
+        },
+        server.respond,
+        cachedPaths
+      );
+      await patchWithConcurrentGet(
+        handleRequest,
+        server,
+        new Response("Updated", { status: 200 })
+      );
+      assert.deepStrictEqual(
+        await getCachedPaths(),
+        [],
+        "List re-populated during the mutation should be invalidated again"
+      );
+    });
+  });
+
+  describe("writeThrough", () => {
+    /**
+     * Answer mutations with the given response, and count GET requests so tests can check
+     * whether reads were served from the cache.
+     * @param {() => Response} mutationResponse
+     */
+    function createServer(mutationResponse) {
+      let getCount = 0;
+      return {
+        /** @param {Request} request */
+        respond: (request) => {
+          if (request.method !== "GET") {
+            return mutationResponse();
+          }
+          getCount++;
+          return new Response(`Network ${request.url}`, { status: 200 });
+        },
+        getGetCount: () => getCount
+      };
+    }
+
+    test("stores a successful PATCH response as the cached GET response", async () => {
+      const { respond, getGetCount } = createServer(
+        () => new Response('{"name":"Updated"}', { status: 200 })
+      );
+      const { handleRequest } = await createCachingHandler(
+        { cacheName: "test-write-through-patch", writeThrough: true },
+        respond,
+        ["/api/users/123"]
+      );
+      const url = "https://example.com/api/users/123";
+
+      await handleRequest(
+        createFetchEvent(new Request(url, { method: "PATCH", body: "{}" }))
+      );
+      const response = await handleRequest(createFetchEvent(new Request(url)));
+
+      assert.strictEqual(getGetCount(), 1, "Read after PATCH should be a hit");
+      assert.strictEqual(await response?.text(), '{"name":"Updated"}');
+    });
+
+    test("stores a 201 response under its Location and still invalidates the collection", async () => {
+      const { respond, getGetCount } = createServer(
+        () =>
+          new Response('{"id":456}', {
+            status: 201,
+            headers: { Location: "/api/users/456" }
+          })
+      );
+      const { handleRequest, getCachedPaths } = await createCachingHandler(
+        { cacheName: "test-write-through-created", writeThrough: true },
+        respond,
+        ["/api/users"]
+      );
+
+      await handleRequest(
+        createFetchEvent(
+          new Request("https://example.com/api/users", {
+            method: "POST",
+            body: "{}"
+          })
+        )
+      );
+
+      assert.deepStrictEqual(
+        await getCachedPaths(),
+        ["/api/users/456"],
+        "Collection should be invalidated"
+      );
+      const response = await handleRequest(
+        createFetchEvent(new Request("https://example.com/api/users/456"))
+      );
+      assert.strictEqual(getGetCount(), 1);
+      assert.strictEqual(response?.status, 200);
+      assert.strictEqual(await response?.text(), '{"id":456}');
+    });
+
+    test("does not store failed mutation responses", async () => {
+      const { respond } = createServer(
+        () => new Response("Conflict", { status: 409 })
+      );
+      const { handleRequest, getCachedPaths } = await createCachingHandler(
+        { cacheName: "test-write-through-failed", writeThrough: true },
+        respond
+      );
+
+      await handleRequest(
+        createFetchEvent(
+          new Request("https://example.com/api/users/123", {
+            method: "PUT",
+            body: "{}"
+          })
+        )
+      );
+
+      assert.deepStrictEqual(await getCachedPaths(), []);
+    });
+
+    test("does not store responses for URLs outside the scope", async () => {
+      const { respond } = createServer(
+        () => new Response("{}", { status: 200 })
+      );
+      const { handleRequest, getCachedPaths } = await createCachingHandler(
+        { cacheName: "test-write-through-out-of-scope", writeThrough: true },
+        respond
+      );
+
+      await handleRequest(
+        createFetchEvent(
+          new Request("https://example.com/other/123", {
+            method: "PUT",
+            body: "{}"
+          })
+        )
+      );
+
+      assert.deepStrictEqual(await getCachedPaths(), []);
+    });
+
+    test("X-SW-Cache-Write-Through header overrides the config option", async () => {
+      const { respond } = createServer(
+        () => new Response('{"name":"Updated"}', { status: 200 })
+      );
+      const { handleRequest, getCachedPaths } = await createCachingHandler(
+        { cacheName: "test-write-through-header" },
+        respond
+      );
+
+      await handleRequest(
+        createFetchEvent(
+          new Request("https://example.com/api/users/1", {
+            method: "PATCH",
+            body: "{}"
+          })
+        )
+      );
+      assert.deepStrictEqual(
+        await getCachedPaths(),
+        [],
+        "writeThrough defaults to false"
+      );
+
+      await handleRequest(
+        createFetchEvent(
+          new Request("https://example.com/api/users/2", {
+            method: "PATCH",
+            body: "{}",
+            headers: { "X-SW-Cache-Write-Through": "true" }
+          })
+        )
+      );
+      assert.deepStrictEqual(await getCachedPaths(), ["/api/users/2"]);
+    });
+  });
+
+  describe("wildcard invalidation", () => {
+    /** @param {Request} request */
+    const respond = (request) =>
+      new Response(`${request.method} ${request.url}`, { status: 200 });
+
+    /**
+     * @param {string} path
+     * @param {string[]} invalidate - X-SW-Cache-Invalidate header values
+     */
+    function createMutationEvent(path, invalidate) {
+      const headers = new Headers();
+      invalidate.forEach((value) =>
+        headers.append("X-SW-Cache-Invalidate", value)
+      );
+      return createFetchEvent(
+        new Request(`https://example.com${path}`, { method: "POST", headers })
+      );
+    }
+
+    test("* matches a single path segment", async () => {
+      const { handleRequest, getCachedPaths } = await createCachingHandler(
+        { cacheName: "test-wildcard-segment" },
+        respond,
+        [
+          "/api/users/123",
+          "/api/users/123/posts",
+          "/api/users/123/settings?tab=profile",
+          "/api/users/123/posts/1"
+        ]
+      );
+
+      await handleRequest(
+        createMutationEvent("/api/users/123/reset", ["/api/users/123/*"])
+      );
+
+      assert.deepStrictEqual(await getCachedPaths(), [
+        "/api/users/123",
+        "/api/users/123/posts/1"
+      ]);
+    });
+
+    test("** matches across path segments", async () => {
+      const { handleRequest, getCachedPaths } = await createCachingHandler(
+        { cacheName: "test-wildcard-globstar" },
+        respond,
+        ["/api/users", "/api/users/123", "/api/users/123/posts/1", "/api/teams"]
+      );
+
+      await handleRequest(
+        createMutationEvent("/api/import", ["/api/users/**"])
+      );
+
+      assert.deepStrictEqual(await getCachedPaths(), [
+        "/api/teams",
+        "/api/users"
+      ]);
+    });
+
+    test("* can be used in the middle of a path", async () => {
+      const { handleRequest, getCachedPaths } = await createCachingHandler(
+        { cacheName: "test-wildcard-middle" },
+        respond,
+        [
+          "/api/orgs/42/teams/1/members",
+          "/api/orgs/42/teams/2/members",
+          "/api/orgs/42/teams/1",
+          "/api/orgs/43/teams/1/members"
+        ]
+      );
+
+      await handleRequest(
+        createMutationEvent("/api/orgs/42/invite", ["/api/orgs/42/*/*/members"])
+      );
+
+      assert.deepStrictEqual(await getCachedPaths(), [
+        "/api/orgs/42/teams/1",
+        "/api/orgs/43/teams/1/members"
+      ]);
+    });
+
+    test("patterns can be mixed with exact paths", async () => {
+      const { handleRequest, getCachedPaths } = await createCachingHandler(
+        { cacheName: "test-wildcard-mixed" },
+        respond,
+        ["/api/users", "/api/users/123/posts", "/api/teams"]
+      );
+
+      await handleRequest(
+        createMutationEvent("/api/users/123", [
+          "/api/users",
+          "/api/users/123/*"
+        ])
+      );
+
+      assert.deepStrictEqual(await getCachedPaths(), ["/api/teams"]);
+    });
+
+    test("route invalidate paths support patterns", async () => {
+      const { handleRequest, getCachedPaths } = await createCachingHandler(
+        {
+          cacheName: "test-wildcard-route",
+          routes: [
+            {
+              match: "/api/users/*/reset",
+              inferInvalidation: false,
+              invalidate: ["/api/users/**"]
+            }
+          ]
+        },
+        respond,
+        ["/api/users/123/posts", "/api/users/123/settings", "/api/teams"]
+      );
+
+      await handleRequest(
+        createFetchEvent(
+          new Request("https://example.com/api/users/123/reset", {
+            method: "POST"
+          })
+        )
+      );
+
+      assert.deepStrictEqual(await getCachedPaths(), ["/api/teams"]);
+    });
+  });
+
+  describe("tag invalidation", () => {
+    /** @type {Record<string, Record<string, string>>} */
+    const responseHeaders = {
+      "/api/users/123": { "X-SW-Cache-Tags": "user:123 org:42" },
+      "/api/orgs/42/members": { "Surrogate-Key": "org:42 user:123 user:456" },
+      "/api/feed": { "X-SW-Cache-Tags": "feed, user:456" },
+      "/api/teams": {}
+    };
+
+    /** @param {Request} request */
+    const respond = (request) =>
+      new Response(request.url, {
+        status: 200,
+        headers: responseHeaders[new URL(request.url).pathname] ?? {}
+      });
+
+    test("X-SW-Cache-Invalidate-Tag invalidates entries carrying the tag", async () => {
+      const { handleRequest, getCachedPaths } = await createCachingHandler(
+        { cacheName: "test-tags-header" },
+        respond,
+        Object.keys(responseHeaders)
+      );
+
+      await handleRequest(
+        createFetchEvent(
+          new Request("https://example.com/api/profile", {
+            method: "POST",
+            headers: { "X-SW-Cache-Invalidate-Tag": "user:123" }
+          })
+        )
+      );
+
+      assert.deepStrictEqual(await getCachedPaths(), [
+        "/api/feed",
+        "/api/teams"
+      ]);
+    });
+
+    test("X-SW-Cache-Invalidate-Tag can hold multiple tags", async () => {
+      const { handleRequest, getCachedPaths } = await createCachingHandler(
+        { cacheName: "test-tags-multiple" },
+        respond,
+        Object.keys(responseHeaders)
+      );
+      const headers = new Headers();
+      headers.append("X-SW-Cache-Invalidate-Tag", "feed");
+      headers.append("X-SW-Cache-Invalidate-Tag", "org:42 unknown");
+
+      await handleRequest(
+        createFetchEvent(
+          new Request("https://example.com/api/settings", {
+            method: "PUT",
+            headers
+          })
+        )
+      );
+
+      assert.deepStrictEqual(await getCachedPaths(), ["/api/teams"]);
+    });
+
+    test("tags are invalidated in addition to inferred paths", async () => {
+      const { handleRequest, getCachedPaths } = await createCachingHandler(
+        { cacheName: "test-tags-inferred" },
+        respond,
+        Object.keys(responseHeaders)
+      );
+
+      await handleRequest(
+        createFetchEvent(
+          new Request("https://example.com/api/teams/1", {
+            method: "DELETE",
+            headers: { "X-SW-Cache-Invalidate-Tag": "feed" }
+          })
+        )
+      );
+
+      assert.deepStrictEqual(await getCachedPaths(), [
+        "/api/orgs/42/members",
+        "/api/users/123"
+      ]);
+    });
+
+    test("invalidateTags purges entries carrying any of the tags", async () => {
+      const { getCachedPaths } = await createCachingHandler(
+        { cacheName: "test-tags-invalidate-tags" },
+        respond,
+        Object.keys(responseHeaders)
+      );
+
+      await invalidateTags("test-tags-invalidate-tags", ["user:456"]);
+
+      assert.deepStrictEqual(await getCachedPaths(), [
+        "/api/teams",
+        "/api/users/123"
+      ]);
+    });
+  });
+
+  describe("server-driven invalidation", () => {
+    const cachedPaths = [
+      "/api/users",
+      "/api/users/123",
+      "/api/users/123/posts",
+      "/api/feed",
+      "/api/teams"
+    ];
+
+    /**
+     * Respond to GET requests with the URL, and to mutations with the given headers
+     * @param {Record<string, string> | Headers} mutationHeaders
+     */
+    function respondWith(mutationHeaders) {
+      /** @param {Request} request */
+      return (request) =>
+        request.method === "GET"
+          ? new Response(request.url, {
+              status: 200,
+              headers: request.url.endsWith("/feed")
+                ? { "X-SW-Cache-Tags": "user:123" }
+                : {}
+            })
+          : new Response("OK", { status: 200, headers: mutationHeaders });
+    }
+
+    test("invalidates paths, patterns and tags from mutation response headers", async () => {
+      const responseHeaders = new Headers();
+      responseHeaders.append("X-SW-Cache-Invalidate", "/api/teams");
+      responseHeaders.append("X-SW-Cache-Invalidate", "/api/users/123/*");
+      responseHeaders.append("X-SW-Cache-Invalidate-Tag", "user:123");
+      const { handleRequest, getCachedPaths } = await createCachingHandler(
+        { cacheName: "test-server-invalidation-headers" },
+        respondWith(responseHeaders),
+        cachedPaths
+      );
+
+      await handleRequest(
+        createFetchEvent(
+          new Request("https://example.com/api/users/123", {
+            method: "PATCH"
+          })
+        )
+      );
+
+      // Inferred paths (/api/users/123, /api/users) are invalidated too
+      assert.deepStrictEqual(await getCachedPaths(), []);
+    });
+
+    test("applies response invalidation instead of inferred paths with inferInvalidation: false", async () => {
+      const { handleRequest, getCachedPaths } = await createCachingHandler(
+        {
+          cacheName: "test-server-invalidation-no-inference",
+          inferInvalidation: false
+        },
+        respondWith({ "X-SW-Cache-Invalidate": "/api/teams" }),
+        cachedPaths
+      );
+
+      const response = await handleRequest(
+        createFetchEvent(
+          new Request("https://example.com/api/users/123", {
+            method: "PATCH"
+          })
+        )
+      );
+
+      assert.strictEqual(response?.status, 200);
+      assert.deepStrictEqual(await getCachedPaths(), [
+        "/api/feed",
+        "/api/users",
+        "/api/users/123",
+        "/api/users/123/posts"
+      ]);
+    });
+
+    test("ignores response headers with serverInvalidation: false", async () => {
+      const { handleRequest, getCachedPaths } = await createCachingHandler(
+        {
+          cacheName: "test-server-invalidation-disabled",
+          inferInvalidation: false,
+          serverInvalidation: false
+        },
+        respondWith({ "X-SW-Cache-Invalidate": "/api/teams" }),
+        cachedPaths
+      );
+
+      const result = handleRequest(
+        createFetchEvent(
+          new Request("https://example.com/api/users/123", {
+            method: "PATCH"
+          })
+        )
+      );
+
+      assert.strictEqual(result, null, "Mutation should not be handled");
+      assert.strictEqual((await getCachedPaths()).length, 5);
+    });
+
+    test("ignores cross-origin mutations", async () => {
+      const { handleRequest, getCachedPaths } = await createCachingHandler(
+        {
+          cacheName: "test-server-invalidation-cross-origin",
+          inferInvalidation: false
+        },
+        respondWith({ "X-SW-Cache-Invalidate": "/api/teams" }),
+        cachedPaths
+      );
+
+      // Mock self.location.origin to simulate service worker on example.com
+      // @ts-ignore - Mocking service worker global
+      const originalSelf = globalThis.self;
+      // @ts-ignore
+      globalThis.self = {
+        location: /** @type {WorkerLocation} */ ({
+          origin: "https://example.com"
+        })
+      };
+      try {
+        const result = handleRequest(
+          createFetchEvent(
+            new Request("https://api.example.org/api/users/123", {
+              method: "PATCH"
+            })
+          )
+        );
+        assert.strictEqual(result, null, "Mutation should not be handled");
+
+        await handleRequest(
+          createFetchEvent(
+            new Request("https://example.com/api/users/123", {
+              method: "PATCH"
+            })
+          )
+        );
+        assert.deepStrictEqual(await getCachedPaths(), [
+          "/api/feed",
+          "/api/users",
+          "/api/users/123",
+          "/api/users/123/posts"
+        ]);
+      } finally {
+        // @ts-ignore
+        globalThis.self = originalSelf;
+      }
+    });
+  });
+
+  describe("invalidationRules", () => {
+    test("invalidates templated, ancestor and descendant paths for matching mutations", async () => {
+      const { handleRequest, getCachedPaths } = await createCachingHandler(
+        {
+          cacheName: "test-invalidation-rules",
+          inferInvalidation: false,
+          invalidationRules: [
+            {
+              match: "/api/orgs/:org/projects/:id",
+              invalidate: ["/api/orgs/:org/dashboard", "/api/search"],
+              descendants: true
+            },
+            {
+              match: "/api/orgs/:org/projects/:id",
+              methods: ["DELETE"],
+              ancestors: true
+            }
+          ]
+        },
+        (request) =>
+          new Response(`${request.method} ${request.url}`, { status: 200 }),
+        [
+          "/api/orgs/42/dashboard",
+          "/api/orgs/43/dashboard",
+          "/api/search?q=project",
+          "/api/orgs/42/projects",
+          "/api/orgs/42/projects/7",
+          "/api/orgs/42/projects/7/tasks/1"
+        ]
+      );
+
+      await handleRequest(
+        createFetchEvent(
+          new Request("https://example.com/api/orgs/42/projects/7", {
+            method: "PATCH"
+          })
+        )
+      );
+      // Inference is disabled, so the project and its collection are not invalidated
+      assert.deepStrictEqual(await getCachedPaths(), [
+        "/api/orgs/42/projects",
+        "/api/orgs/42/projects/7",
+        "/api/orgs/43/dashboard"
+      ]);
+
+      await handleRequest(
+        createFetchEvent(
+          new Request("https://example.com/api/orgs/42/projects/7", {
+            method: "DELETE"
+          })
+        )
+      );
+      assert.deepStrictEqual(await getCachedPaths(), [
+        "/api/orgs/42/projects/7",
+        "/api/orgs/43/dashboard"
+      ]);
+    });
+  });
+
+  describe("maxEntries", () => {
+    /** @param {Request} request */
+    const respond = (request) => new Response(request.url, { status: 200 });
+
+    /**
+     * Request paths one after another, waiting for their background work (e.g. recording the
+     * access) and advancing the mocked time so accesses get distinct timestamps
+     * @param {import("node:test").TestContext} testContext
+     * @param {HandleRequest} handleRequest
+     * @param {string[]} paths
+     */
+    async function getInOrder(testContext, handleRequest, paths) {
+      for (const path of paths) {
+        await handleRequest(
+          createFetchEvent(new Request(`https://example.com${path}`))
+        );
+        await handleRequest.waitForBackgroundWork();
+        testContext.mock.timers.tick(1);
+      }
+    }
+
+    test("evicts the least recently used entries after writes", async (testContext) => {
+      testContext.mock.timers.enable({ apis: ["Date"] });
+      const { handleRequest, getCachedPaths } = await createCachingHandler(
+        { cacheName: "test-max-entries-lru", maxEntries: 2 },
+        respond
+      );
+
+      // The second request for "a" is a cache hit, so "b" is now least recently used
+      await getInOrder(testContext, handleRequest, [
+        "/api/a",
+        "/api/b",
+        "/api/a",
+        "/api/c"
+      ]);
+      assert.deepStrictEqual(await getCachedPaths(), ["/api/a", "/api/c"]);
+
+      await getInOrder(testContext, handleRequest, ["/api/d"]);
+      assert.deepStrictEqual(await getCachedPaths(), ["/api/c", "/api/d"]);
+    });
+
+    test("remembers access times across service worker restarts", async (testContext) => {
+      testContext.mock.timers.enable({ apis: ["Date"] });
+      const config = { cacheName: "test-max-entries-restart", maxEntries: 2 };
+      const { handleRequest } = await createCachingHandler(config, respond);
+      await getInOrder(testContext, handleRequest, [
+        "/api/a",
+        "/api/b",
+        "/api/a"
+      ]);
+
+      // A new handler (e.g. after the service worker restarted) still knows "b" is least recently used
+      const { handleRequest: restartedHandler, getCachedPaths } =
+        await createCachingHandler(config, respond);
+      await getInOrder(testContext, restartedHandler, ["/api/c"]);
+      assert.deepStrictEqual(await getCachedPaths(), ["/api/a", "/api/c"]);
+    });
+
+    test("only reads the metadata index when a write goes over the limit", async (testContext) => {
+      testContext.mock.timers.enable({ apis: ["Date"] });
+      const { handleRequest, cache, getCachedPaths } =
+        await createCachingHandler(
+          { cacheName: "test-max-entries-usage", maxEntries: 3 },
+          respond
+        );
+      const keys = cache.keys.bind(cache);
+      let keysCount = 0;
+      cache.keys = async (request, options) => {
+        keysCount++;
+        return keys(request, options);
+      };
+
+      await getInOrder(testContext, handleRequest, ["/api/a"]);
+      keysCount = 0;
+      await getInOrder(testContext, handleRequest, ["/api/b", "/api/c"]);
+      assert.strictEqual(keysCount, 0);
+
+      await getInOrder(testContext, handleRequest, ["/api/d"]);
+      assert.strictEqual(keysCount, 1);
+      assert.deepStrictEqual(await getCachedPaths(), [
+        "/api/b",
+        "/api/c",
+        "/api/d"
+      ]);
+      await caches.delete("test-max-entries-usage");
+    });
+  });
+
+  describe("getCacheStats", () => {
+    test("reports the number, size and age of cached entries", async () => {
+      const cacheName = "test-cache-stats";
+      const before = Date.now();
+      const { handleRequest } = await createCachingHandler(
+        { cacheName },
+        (request) =>
+          new Response(new URL(request.url).pathname, { status: 200 }),
+        ["/api/a", "/api/bb"]
+      );
+
+      const stats = await getCacheStats(cacheName);
+      assert.strictEqual(stats.entries, 2);
+      assert.strictEqual(stats.bytes, "/api/a".length + "/api/bb".length);
+      assert.ok(
+        stats.oldestTimestamp !== null && stats.oldestTimestamp >= before
+      );
+      assert.ok(
+        stats.newestTimestamp !== null &&
+          stats.newestTimestamp >= stats.oldestTimestamp
+      );
+
+      // Invalidated entries are no longer counted
+      await handleRequest(
+        createFetchEvent(
+          new Request("https://example.com/api/a", { method: "POST" })
+        )
+      );
+      assert.strictEqual((await getCacheStats(cacheName)).entries, 1);
+    });
+  });
+
+  describe("maxCacheBytes", () => {
+    /**
+     * Respond with a 100 byte body, or a 1000 byte body for /large
+     * @param {Request} request
+     */
+    const respond = (request) =>
+      new Response(
+        request.url.endsWith("/large") ? "x".repeat(1000) : "x".repeat(100),
+        { status: 200 }
+      );
+
+    /**
+     * Request a path and wait for its background work (e.g. recording the access)
+     * @param {HandleRequest} handleRequest
+     * @param {string} path
+     */
+    async function get(handleRequest, path) {
+      const response = await handleRequest(
+        createFetchEvent(new Request(`https://example.com${path}`))
+      );
+      await handleRequest.waitForBackgroundWork();
+      return response;
+    }
+
+    test("evicts the least recently used entries to stay within the budget", async (testContext) => {
+      testContext.mock.timers.enable({ apis: ["Date"] });
+      const { handleRequest, getCachedPaths } = await createCachingHandler(
+        { cacheName: "test-max-cache-bytes-lru", maxCacheBytes: 250 },
+        respond
+      );
+
+      for (const path of ["/api/a", "/api/b", "/api/a", "/api/c"]) {
+        await get(handleRequest, path);
+        // Make sure accesses get distinct timestamps
+        testContext.mock.timers.tick(1);
+      }
+
+      assert.deepStrictEqual(await getCachedPaths(), ["/api/a", "/api/c"]);
+    });
+
+    test("does not cache responses larger than the budget", async () => {
+      const { handleRequest, getCachedPaths } = await createCachingHandler(
+        { cacheName: "test-max-cache-bytes-large", maxCacheBytes: 500 },
+        respond
+      );
+
+      await get(handleRequest, "/api/a");
+      const response = await get(handleRequest, "/api/large");
+
+      assert.strictEqual((await response?.text())?.length, 1000);
+      assert.deepStrictEqual(await getCachedPaths(), ["/api/a"]);
+    });
+
+    test("evicts entries and retries when the write exceeds the storage quota", async (testContext) => {
+      testContext.mock.timers.enable({ apis: ["Date"] });
+      const { handleRequest, cache, getCachedPaths } =
+        await createCachingHandler(
+          { cacheName: "test-max-cache-bytes-quota" },
+          respond
+        );
+      await get(handleRequest, "/api/a");
+      testContext.mock.timers.tick(1);
+      await get(handleRequest, "/api/b");
+
+      // Fail the next write with a QuotaExceededError
+      const put = cache.put.bind(cache);
+      let failures = 1;
+      cache.put = async (request, response) => {
+        if (failures-- > 0) {
+          throw new DOMException("Quota exceeded", "QuotaExceededError");
+        }
+        return put(request, response);
+      };
+
+      const response = await get(handleRequest, "/api/c");
+      assert.strictEqual(response?.status, 200);
+      assert.deepStrictEqual(await getCachedPaths(), ["/api/b", "/api/c"]);
+    });
+
+    test("returns the network response when the write fails", async () => {
+      const { handleRequest, cache, getCachedPaths } =
+        await createCachingHandler(
+          { cacheName: "test-max-cache-bytes-write-error" },
+          respond
+        );
+      cache.put = async () => {
+        throw new DOMException("Quota exceeded", "QuotaExceededError");
+      };
+
+      const response = await get(handleRequest, "/api/a");
+
+      assert.strictEqual(response?.status, 200);
+      assert.strictEqual((await response?.text())?.length, 100);
+      assert.deepStrictEqual(await getCachedPaths(), []);
+    });
+  });
+
+  describe("precache", () => {
+    /** Create a server for the app shell and API with a mutable set of files */
+    function createServer() {
+      /** @type {Map<string, string>} */
+      const files = new Map([
+        ["/index.html", "<h1>v1</h1>"],
+        ["/app.js", "app v1"],
+        ["/data.json", "{}"]
+      ]);
+      /** @type {Request[]} */
+      const requests = [];
+      let online = true;
+      return {
+        files,
+        requests,
+        /** @param {boolean} value */
+        setOnline: (value) => {
+          online = value;
+        },
+        /** @param {Request} request */
+        respond: (request) => {
+          if (!online) {
+            throw new TypeError("Failed to fetch");
+          }
+          requests.push(request);
+          const body = files.get(new URL(request.url).pathname);
+          return body === undefined
+            ? new Response("Not Found", { status: 404 })
+            : new Response(body, { status: 200 });
+        }
+      };
+    }
+
+    test("populates the cache so entries are served offline before they're requested", async () => {
+      const { requests, setOnline, respond } = createServer();
+      const { handleRequest } = await createCachingHandler(
+        { cacheName: "test-precache-offline", scope: ["/"] },
+        respond
+      );
+
+      await handleRequest.precache([
+        { url: "https://example.com/index.html", revision: "1" },
+        "https://example.com/app.js"
+      ]);
+      assert.deepStrictEqual(
+        requests.map((request) => [request.url, request.cache]),
+        [
+          ["https://example.com/index.html", "reload"],
+          ["https://example.com/app.js", "reload"]
+        ]
+      );
+
+      setOnline(false);
+      const response = await handleRequest(
+        createFetchEvent(new Request("https://example.com/index.html"))
+      );
+      assert.strictEqual(await response?.text(), "<h1>v1</h1>");
+      assert.notStrictEqual(
+        response?.headers.get("x-sw-cache-timestamp"),
+        null
+      );
+    });
+
+    test("skips entries whose revision didn't change", async () => {
+      const { files, requests, respond } = createServer();
+      const { handleRequest } = await createCachingHandler(
+        { cacheName: "test-precache-revision", scope: ["/"] },
+        respond
+      );
+      await handleRequest.precache([
+        { url: "https://example.com/index.html", revision: "1" },
+        "https://example.com/app.js"
+      ]);
+      requests.length = 0;
+
+      files.set("/index.html", "<h1>v2</h1>");
+      await handleRequest.precache([
+        { url: "https://example.com/index.html", revision: "2" },
+        "https://example.com/app.js"
+      ]);
+      assert.deepStrictEqual(
+        requests.map((request) => request.url),
+        ["https://example.com/index.html"]
+      );
+    });
+
+    test("serves changed revisions once cleanupPrecache swaps them in", async () => {
+      const { files, respond } = createServer();
+      const { handleRequest } = await createCachingHandler(
+        { cacheName: "test-precache-staging", scope: ["/"] },
+        respond
+      );
+      /** @param {string} path */
+      const get = async (path) =>
+        (
+          await handleRequest(
+            createFetchEvent(new Request(`https://example.com${path}`))
+          )
+        )?.text();
+      await handleRequest.precache([
+        { url: "https://example.com/index.html", revision: "1" },
+        { url: "https://example.com/app.js", revision: "1" }
+      ]);
+      await handleRequest.cleanupPrecache([
+        { url: "https://example.com/index.html", revision: "1" },
+        { url: "https://example.com/app.js", revision: "1" }
+      ]);
+
+      // Installing a new version leaves the active version's entries in place
+      files.set("/index.html", "<h1>v2</h1>");
+      files.set("/app.js", "app v2");
+      const manifest = [
+        { url: "https://example.com/index.html", revision: "2" },
+        { url: "https://example.com/app.js", revision: "2" }
+      ];
+      await handleRequest.precache(manifest);
+      assert.deepStrictEqual(
+        [await get("/index.html"), await get("/app.js")],
+        ["<h1>v1</h1>", "app v1"]
+      );
+
+      await handleRequest.cleanupPrecache(manifest);
+      assert.deepStrictEqual(
+        [await get("/index.html"), await get("/app.js")],
+        ["<h1>v2</h1>", "app v2"]
+      );
+    });
+
+    test("cleanupPrecache only swaps in the revisions of its manifest", async () => {
+      const { files, respond } = createServer();
+      const { handleRequest } = await createCachingHandler(
+        { cacheName: "test-precache-staging-revision", scope: ["/"] },
+        respond
+      );
+      await handleRequest.precache([
+        { url: "https://example.com/app.js", revision: "1" }
+      ]);
+
+      files.set("/app.js", "app v2");
+      await handleRequest.precache([
+        { url: "https://example.com/app.js", revision: "2" }
+      ]);
+      await handleRequest.cleanupPrecache([
+        { url: "https://example.com/app.js", revision: "1" }
+      ]);
+
+      const response = await handleRequest(
+        createFetchEvent(new Request("https://example.com/app.js"))
+      );
+      assert.strictEqual(await response?.text(), "app v1");
+    });
+
+    test("precached entries stay fresh and aren't cleaned up by age", async (testContext) => {
+      testContext.mock.timers.enable({ apis: ["Date"] });
+      const { requests, respond } = createServer();
+      const { handleRequest } = await createCachingHandler(
+        {
+          cacheName: "test-precache-fresh",
+          scope: ["/"],
+          defaultTTLSeconds: 1,
+          defaultStaleTTLSeconds: 1,
+          maxCacheAgeSeconds: 1
+        },
+        respond
+      );
+      await handleRequest.precache(["https://example.com/app.js"]);
+      requests.length = 0;
+
+      testContext.mock.timers.tick(10000);
+      await cleanupOldCacheEntries("test-precache-fresh", 1);
+      const response = await handleRequest(
+        createFetchEvent(new Request("https://example.com/app.js"))
+      );
+      await handleRequest.waitForBackgroundWork();
+      assert.strictEqual(await response?.text(), "app v1");
+      assert.strictEqual(requests.length, 0);
+    });
+
+    test("cleanupPrecache deletes entries removed from the manifest", async () => {
+      const { handleRequest, getCachedPaths } = await createCachingHandler(
+        { cacheName: "test-precache-cleanup", scope: ["/"] },
+        createServer().respond
+      );
+      await handleRequest.precache([
+        { url: "https://example.com/index.html", revision: "1" },
+        "https://example.com/app.js"
+      ]);
+      // Cached at runtime, not precached
+      await handleRequest(
+        createFetchEvent(new Request("https://example.com/data.json"))
+      );
+
+      await handleRequest.cleanupPrecache([
+        { url: "https://example.com/index.html", revision: "2" }
+      ]);
+
+      assert.deepStrictEqual(await getCachedPaths(), [
+        "/data.json",
+        "/index.html"
+      ]);
+    });
+
+    test("shares precached entries across partitions and variants", async () => {
+      const { files, setOnline, respond } = createServer();
+      const { handleRequest } = await createCachingHandler(
+        {
+          cacheName: "test-precache-partitions",
+          scope: ["/"],
+          partitionBy: { header: "X-User-Id" },
+          varyHeaders: ["Accept-Language"]
+        },
+        respond
+      );
+      await handleRequest.precache(["https://example.com/index.html"]);
+
+      // Runtime entries without a partition or variant aren't shared
+      await handleRequest(
+        createFetchEvent(new Request("https://example.com/data.json"))
+      );
+      files.set("/data.json", '{"user":"alice"}');
+      const headers = { "X-User-Id": "alice", "Accept-Language": "fr" };
+      const dataResponse = await handleRequest(
+        createFetchEvent(
+          new Request("https://example.com/data.json", { headers })
+        )
+      );
+      assert.strictEqual(await dataResponse?.text(), '{"user":"alice"}');
+
+      setOnline(false);
+      const response = await handleRequest(
+        createFetchEvent(
+          new Request("https://example.com/index.html", { headers })
+        )
+      );
+      assert.strictEqual(await response?.text(), "<h1>v1</h1>");
+    });
+
+    test("rejects when an entry can't be fetched or isn't cached by the handler", async () => {
+      const { handleRequest } = await createCachingHandler(
+        { cacheName: "test-precache-out-of-scope" },
+        createServer().respond
+      );
+      await assert.rejects(
+        handleRequest.precache(["https://example.com/index.html"]),
+        /not in scope or a route/
+      );
+
+      const { handleRequest: scopedHandler } = await createCachingHandler(
+        { cacheName: "test-precache-missing", scope: ["/"] },
+        createServer().respond
+      );
+      await assert.rejects(
+        scopedHandler.precache(["https://example.com/missing.js"]),
+        /Precache request failed: https:\/\/example.com\/missing.js \(404\)/
+      );
+    });
+
+    test("rejects when an entry can't be stored", async () => {
+      const { handleRequest, getCachedPaths } = await createCachingHandler(
+        {
+          cacheName: "test-precache-not-stored",
+          scope: ["/"],
+          maxCacheBytes: 5
+        },
+        createServer().respond
+      );
+      await assert.rejects(
+        handleRequest.precache(["https://example.com/index.html"]),
+        /Precache entry not stored: https:\/\/example.com\/index.html/
+      );
+      assert.deepStrictEqual(await getCachedPaths(), []);
+    });
+  });
 });
@@ -5,11 +5,16 @@
  */
 
 import { MockCacheStorage } from "./MockCache.js";
+import { MockIndexedDB } from "./MockIndexedDB.js";
 
 // Mock Cache API for Node.js environment
 // @ts-ignore - Mocking browser API for Node.js tests
 globalThis.caches = globalThis.caches || new MockCacheStorage();
 
+// Mock IndexedDB for Node.js environment
+// @ts-ignore - Mocking browser API for Node.js tests
+globalThis.indexedDB = globalThis.indexedDB || new MockIndexedDB();
+
 // Override Response.prototype.clone to simulate browser behavior where
 // cloned response headers are immutable (read-only)
 const originalClone = Response.prototype.clone;
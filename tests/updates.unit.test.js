@@ -0,0 +1,88 @@
+// @ts-check
+/**
+ * Unit tests for updates.js
+ * Tests the page-side cache update listener
+ */
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import {
+  onCacheUpdate,
+  CACHE_UPDATES_CHANNEL,
+  CACHE_UPDATED_MESSAGE_TYPE
+} from "../src/updates.js";
+
+// Helper to let BroadcastChannel messages be delivered
+const flush = async () => {
+  for (let i = 0; i < 10; i++) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+};
+
+describe("onCacheUpdate", () => {
+  test("calls callback with cache update messages", async () => {
+    /** @type {CacheUpdateMessage[]} */
+    const messages = [];
+    const stop = onCacheUpdate((message) => messages.push(message));
+
+    const channel = new BroadcastChannel(CACHE_UPDATES_CHANNEL);
+    channel.postMessage({
+      type: CACHE_UPDATED_MESSAGE_TYPE,
+      cacheName: "api-cache-v1",
+      url: "https://example.com/api/users"
+    });
+    channel.postMessage({ type: "something-else" });
+    await flush();
+    channel.close();
+    stop();
+
+    assert.deepStrictEqual(messages, [
+      {
+        type: CACHE_UPDATED_MESSAGE_TYPE,
+        cacheName: "api-cache-v1",
+        url: "https://example.com/api/users"
+      }
+    ]);
+  });
+
+  test("filters messages by cache name", async () => {
+    /** @type {string[]} */
+    const urls = [];
+    const stop = onCacheUpdate((message) => urls.push(message.url), {
+      cacheName: "api-cache-v1"
+    });
+
+    const channel = new BroadcastChannel(CACHE_UPDATES_CHANNEL);
+    channel.postMessage({
+      type: CACHE_UPDATED_MESSAGE_TYPE,
+      cacheName: "fonts-cache-v1",
+      url: "https://example.com/fonts/inter.woff2"
+    });
+    channel.postMessage({
+      type: CACHE_UPDATED_MESSAGE_TYPE,
+      cacheName: "api-cache-v1",
+      url: "https://example.com/api/users"
+    });
+    await flush();
+    channel.close();
+    stop();
+
+    assert.deepStrictEqual(urls, ["https://example.com/api/users"]);
+  });
+
+  test("stops listening when the returned function is called", async () => {
+    let callCount = 0;
+    const stop = onCacheUpdate(() => callCount++);
+    stop();
+
+    const channel = new BroadcastChannel(CACHE_UPDATES_CHANNEL);
+    channel.postMessage({
+      type: CACHE_UPDATED_MESSAGE_TYPE,
+      cacheName: "api-cache-v1",
+      url: "https://example.com/api/users"
+    });
+    await flush();
+    channel.close();
+
+    assert.strictEqual(callCount, 0);
+  });
+});